@@ -18,7 +18,7 @@ uniform float stopAtTime;
 /*in*/attribute float startTime; // 6
 /*in*/attribute float endTime;   // 7
 /*in*/attribute float command;   // 8
-/*in*/attribute vec3 rawPos;     // 9, optional
+/*in*/attribute vec3 rawPos;     // 9, cutter diameter in x for flat bits
 
 /*out*/varying vec4 colour;
 /*out*/varying vec2 center;
@@ -68,7 +68,9 @@ void main(void) {
     thisPos = upper;
 
   center = (thisPos.xy * resolution + resolution) / 2.0;
-  float r = cutterDiameter * pathScale / 2.0;
+  // Flat bits pass their diameter in rawPos.x
+  float d = (i < 18 && rawPos.x > 0.0) ? rawPos.x : cutterDiameter;
+  float r = d * pathScale / 2.0;
 
   if (i < 12) {
     // lower and upper circle triangles 
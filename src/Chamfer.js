@@ -0,0 +1,125 @@
+/*Copyright Crawford Currie 2025. This file is part of SVGcut, see the copyright and LICENSE at the root of the distribution. */
+
+/* global assert */
+/* global ClipperLib */
+ClipperLib.use_xyz = true;
+
+import { CutPath } from "./CutPath.js";
+import { CutPaths } from "./CutPaths.js";
+import { ToolpathGenerator } from "./ToolpathGenerator.js";
+
+/**
+ * Chamfer (bevel) the top edge of the paths using a V cutter.
+ *
+ * For Inside and Outside, the bevel runs from the path at the
+ * surface down into the material, the chamfer width into the part,
+ * and stops on the path where it meets the wall. The tool runs
+ * outside the part (in the waste) by an offset that puts the bevel
+ * in the middle of the flank of the cutter, and the depth is set so
+ * the cone of the cutter just reaches the path.
+ *
+ * "On" runs the tip of the cutter along the path, putting a bevel
+ * on both sides. Open paths are always cut "On".
+ * @extends ToolpathGenerator
+ */
+export class Chamfer extends ToolpathGenerator {
+
+  constructor() {
+    super({ cutRate: true, direction: true, passDepth: true,
+            offset: true, width: true });
+    this.generatesZ = true;
+  }
+
+  /**
+   * @override
+   */
+  static worksOnPaths() { return "ALL"; }
+
+  /**
+   * Work out where the cutter has to be to cut a chamfer.
+   * @param {object} params see generateToolpaths
+   * @param {boolean} on true if the tip follows the path
+   * @return {object} { width, offset, depth } where width is the
+   * width of the chamfer (limited by the cutter), offset is how far
+   * the tip is from the path (into the waste) and depth is how deep
+   * the tip goes.
+   */
+  chamfer(params, on) {
+    const r = params.cutterDiameter / 2;
+    // The bevel can't be wider than the flank of the cutter
+    const width = (params.width > 0 && params.width < r)
+          ? params.width : r;
+    const offset = on ? 0 : (r - width) / 2;
+    return {
+      width: width,
+      offset: offset,
+      depth: Math.round((offset + width) / Math.tan(params.cutterAngle))
+    };
+  }
+
+  /**
+   * @param {CutPaths} geometry input geometry
+   * @param {object} params named parameters
+   * @param {number} params.cutterDiameter diameter of thickest part of
+   * cutter in "integer" units
+   * @param {number} params.cutterAngle angle (radians) of cutter edge
+   * from axis of rotation
+   * @param {string} params.offset whether to chamfer On, Inside or
+   * Outside the paths
+   * @param {number} params.width width of the chamfer at the surface.
+   * 0 means the widest the cutter can do, which is also the maximum.
+   * @param {number} params.passDepth depth of each pass, 0 to cut to
+   * the full depth in one pass
+   * @param {boolean} params.climb true for climb milling
+   * @param {JoinType} params.joinType join type
+   * @param {number} params.mitreLimit join mitre limit
+   * @return {CutPaths} tool paths with Z set
+   * @override
+   */
+  generateToolpaths(geometry, params) {
+    assert(geometry instanceof CutPaths);
+    assert(typeof params.cutterDiameter === "number");
+    assert(typeof params.cutterAngle === "number");
+    assert(typeof params.offset === "string");
+    assert(typeof params.width === "number");
+    assert(typeof params.passDepth === "number");
+
+    const step = (params.offset === "Outside") ? 1 : -1;
+    const toolPaths = new CutPaths();
+    for (const path of geometry) {
+      if (path.length === 0)
+        continue;
+      const on = params.offset === "On" || !path.isClosed;
+      const cut = this.chamfer(params, on);
+
+      const levels = this.passLevels(cut.depth, params.passDepth);
+
+      let paths = new CutPaths([ path ]);
+      if (cut.offset > 0)
+        paths = paths.offset(step * cut.offset, params);
+      for (let pass of paths) {
+        pass = new CutPath(pass);
+        if (!params.climb)
+          pass.reverse();
+        toolPaths.push(this.joinPasses(pass, levels));
+      }
+    }
+    return toolPaths;
+  }
+
+  /**
+   * @override
+   */
+  bbBloat(toolPathWidth) {
+    return toolPathWidth / 2;
+  }
+
+  /**
+   * The preview shows the cut at the surface of the material
+   * @override
+   */
+  generatePreviewGeometry(toolPaths, params) {
+    const cut = this.chamfer(params, params.offset === "On");
+    return toolPaths.offset(cut.offset + cut.width, params);
+  }
+}
@@ -26,6 +26,8 @@ export const DEFAULT = {
   // Tool
   TOOL_DIAMETER : 1,      // mm, tool diameter
   TOOL_ANGLE    : 90,     // tool angle, degrees, 90=flat
+  TOOL_NUMBER   : 1,      // T number used in tool changes
+  TOOL_FLUTES   : 2,
   RAPID_RATE    : 1000,   // mm/min
   PLUNGE_RATE   : 100,    // mm/min
   // Operation
@@ -36,22 +38,66 @@ export const DEFAULT = {
   STRATEGY      : "Annular", // pocketing
   PASS_DEPTH    : 0.2,    // mm
   CUT_DEPTH     : 1,      // mm
-  RAMP          : false,
+  ENTRY         : "Plunge", // "Plunge", "Linear", "ZigZag" or "Helical"
+  RAMP_ANGLE    : 3,      // degrees from horizontal
+  RAMP_LENGTH   : 10,     // mm, zig-zag ramp
+  HELIX_RADIUS  : 2,      // mm, helical ramp
   MARGIN        : 0,      // mm
   SPACING       : 1,      // mm, perforations
   WIDTH         : 0,      // mm, engrave path
   STEP_OVER     : 40,     // percentage of tool diameter
   CUT_RATE      : 100,    // mm/min
   SPINDLE_RPM   : 1000,   // rpm
+  PECK_DEPTH    : 0,      // mm, 0 means don't peck
+  DWELL         : 0,      // seconds
+  RETRACT       : 1,      // mm above the material, drilling cycles
+  LASER_POWER   : 1000,   // S value
+  LASER_PASSES  : 1,
+  BLADE_OFFSET  : 0.25,   // mm, drag knife
+  SWIVEL_ANGLE  : 30,     // degrees, drag knife
+  OVERCUT       : 1,      // mm, drag knife
+  HOLE_DIAMETER : 0,      // mm, helical bore
+  THREAD_PITCH  : 1,      // mm, thread mill
+  THREAD_DIAMETER: 6,     // mm, thread mill
+  THREAD_TYPE   : "Internal",
+  THREAD_HAND   : "Right",
+  INLAY_START_DEPTH: 2.5, // mm, inlay plug
+  INLAY_GLUE_GAP: 0.5,    // mm, inlay plug
+  ENGAGEMENT    : 60,     // degrees, adaptive pocket
+  RASTER_ANGLE  : 45,     // degrees, angled raster pocket
+  CROSS_HATCH   : false,  // raster pocket
+  ZIG_ZAG       : true,   // raster pocket
+  REST_MACHINING: false,
+  CORNER_RELIEF : "None", // "None", "Dogbone" or "TBone"
+  CORNER_ANGLE  : 120,    // degrees, corners sharper than this get relief
+  LEAD_TYPE     : "None", // "None", "Tangent", "Arc" or "Perpendicular"
+  LEAD_LENGTH   : 2,      // mm, length (or radius of an arc) of leads
+  START_RULE    : "Generated", // "Generated", "Nearest" or "LongestEdge"
+  SURFACE_AREA  : "Page", // "Page" or "Content"
+  SURFACE_PATTERN: "Raster", // "Raster" or "Spiral"
+  SURFACE_OVERHANG: 5,    // mm
+  RELIEF_TOOL   : "Ball", // "Ball" or "V"
+  RELIEF_INVERT : false,  // true to cut white deepest
+  RELIEF_ALLOWANCE: 0.5,  // mm, left by roughing
+  RELIEF_FINISH_STEP_OVER: 10, // %age of cutter diameter
   // Curve conversion
   MIN_SEGS      : 5,
   MIN_SEG_LEN   : 0.25,   // mm
   // Offsetting
   JOIN_TYPE     : ClipperLib.JoinType.jtMiter,
   MITRE_LIMIT   : 2,      // deltas
+  // Text
+  TEXT_FONT     : "HersheySans1",
+  TEXT_HEIGHT   : 10,     // mm, height of capitals
   // Holding tabs
   TAB_CUT_DEPTH : 0.5,    // mm
   TAB_MARGIN    : 0,
+  AUTO_TAB_RULE : "Count", // "Count" or "Spacing" of automatic tabs
+  AUTO_TAB_COUNT: 4,      // tabs on each profile
+  AUTO_TAB_SPACING: 100,  // mm, between tabs
+  AUTO_TAB_LENGTH: 5,     // mm
+  AUTO_TAB_HEIGHT: 3,     // mm, above the bottom of the cut
+  AUTO_TAB_AVOID_CORNERS: true,
   // Material
   Z_ORIGIN      : "Top",
   THICKNESS     : 10,     // mm
@@ -61,7 +107,16 @@ export const DEFAULT = {
   ORIGIN        : "SVG page",
   EXTRA_X       : 0,      // gcode units
   EXTRA_Y       : 0,      // gcode units
-  RETURN_HOME   : false
+  RETURN_HOME   : false,
+  TOOL_CHANGE_PAUSE : false,
+  LASER_MODE    : false,
+  PLOTTER_MODE  : false,
+  PEN_UP        : "M3 S90", // servo pen lift
+  PEN_DOWN      : "M3 S30",
+  PEN_DWELL     : 0.2,    // seconds
+  POST_PROCESSOR: "LinuxCNC",
+  ARC_FITTING   : "None", // None, IJ, R
+  ARC_TOLERANCE : 0.01    // mm
 };
 
 /**
@@ -75,7 +130,15 @@ export const MIN = {
   CUT_RATE      : 0.01,   // mm/min
   PLUNGE_RATE   : 0.01,   // mm/min
   RAPID_RATE    : 0.01,   // mm/min
-  TAB_CUT_DEPTH : 0.001   // mm
+  TAB_CUT_DEPTH : 0.001,  // mm
+  AUTO_TAB_SPACING: 0.001, // mm
+  AUTO_TAB_LENGTH: 0.001, // mm
+  AUTO_TAB_HEIGHT: 0.001, // mm
+  RAMP_LENGTH   : 0.001,  // mm
+  HELIX_RADIUS  : 0.001,  // mm
+  LEAD_LENGTH   : 0.001,  // mm
+  TEXT_HEIGHT   : 0.001,  // mm
+  RELIEF_ALLOWANCE: 0     // mm
 };
 
 export const MAX = {
@@ -43,9 +43,26 @@ export class CutPath extends Array {
      */
     this.isClosed = false;
 
-    if (path && path instanceof CutPath)
+    /**
+     * Optional open path followed by the cutter to get to the start
+     * of a closed path, not including the start. Set by generators that
+     * add leads, see ToolpathGenerator.addLeads.
+     * @member {CutPath?} leadIn
+     */
+
+    /**
+     * Optional open path followed by the cutter after it gets back to
+     * the start of a closed path, not including the start.
+     * @member {CutPath?} leadOut
+     */
+
+    if (path && path instanceof CutPath) {
       this.isClosed = path.isClosed;
-    else if (typeof closed !== "undefined")
+      if (path.leadIn)
+        this.leadIn = new CutPath(path.leadIn);
+      if (path.leadOut)
+        this.leadOut = new CutPath(path.leadOut);
+    } else if (typeof closed !== "undefined")
       this.isClosed = closed;
 
     if (path && path instanceof CutPoint)
@@ -94,6 +111,14 @@ export class CutPath extends Array {
     if (this.isClosed)
       segments.push([ 'Z' ]);
 
+    // Leads are drawn as separate open paths
+    if (this.leadIn && this.length > 0)
+      segments.push(...new CutPath([ ...this.leadIn, this[0] ], false)
+                    .toSegments());
+    if (this.leadOut && this.length > 0)
+      segments.push(...new CutPath([ this[0], ...this.leadOut ], false)
+                    .toSegments());
+
     return segments;
   }
 
@@ -236,8 +261,8 @@ export class CutPath extends Array {
   }
 
   /**
-   * Assign a single Z value to all CutPoints in this path that
-   * don't already have a Z.
+   * Assign a single Z value to all CutPoints in this path (and its
+   * leads) that don't already have a Z.
    * @param {boolean} force force the new Z value even if the point already
    * has a Z.
    */
@@ -245,6 +270,27 @@ export class CutPath extends Array {
     for (const p of this)
       if (force || typeof p.Z === "undefined")
         p.Z = z;
+    if (this.leadIn)
+      this.leadIn.Z(z, force);
+    if (this.leadOut)
+      this.leadOut.Z(z, force);
+  }
+
+  /**
+   * Get the whole of the path followed by the cutter for a closed
+   * path with leads; the lead in, all the way round the path back to
+   * the start, then the lead out.
+   * @return {CutPath} an open path
+   */
+  withLeads() {
+    const path = new CutPath(this.leadIn ?? [], false);
+    path.push(...this);
+    if (this.isClosed && this.length > 0)
+      path.push(this[0]);
+    if (this.leadOut)
+      path.push(...this.leadOut);
+    path.unduplicate();
+    return path;
   }
 
   /**
@@ -0,0 +1,174 @@
+/*Copyright Crawford Currie 2025. This file is part of SVGcut, see the copyright and LICENSE at the root of the distribution. */
+
+/* global assert */
+/* global ClipperLib */
+ClipperLib.use_xyz = true;
+
+import { CutPoint } from "./CutPoint.js";
+import { CutPath } from "./CutPath.js";
+import { CutPaths } from "./CutPaths.js";
+import { Engrave } from "./Engrave.js";
+
+// Angle (rad) step used when generating swivel arcs
+const SWIVEL_STEP = Math.PI / 18;
+
+/**
+ * Cut along paths using a drag knife. The tip of a drag knife
+ * trails behind the axis of the tool by the blade offset, so the
+ * tool path has to lead the path being cut. At sharp corners the
+ * tool swivels around the corner to turn the blade, and closed paths
+ * are overcut so the cut fully separates.
+ * @extends Engrave
+ */
+export class DragKnife extends Engrave {
+
+  /**
+   * The paths followed by the tip of the blade, used for the preview
+   * @member {CutPaths}
+   */
+  #bladePaths = new CutPaths();
+
+  constructor() {
+    super();
+    this.needs = {
+      cutRate: true, direction: true, passDepth: true, climb: true,
+      dragKnife: true };
+  }
+
+  /**
+   * Walk along a closed path from the first vertex for a distance,
+   * to overcut it.
+   * @param {CutPath} path the closed path
+   * @param {number} distance how far to walk
+   * @return {CutPoint[]} the vertices visited, the last of which may
+   * be part way along an edge.
+   * @private
+   */
+  #overcut(path, distance) {
+    const pts = [];
+    for (let i = 0; i < path.length && distance > 0; i++) {
+      const a = path[i], b = path[(i + 1) % path.length];
+      const len = a.dist(b);
+      if (len >= distance) {
+        pts.push(new CutPoint(a.X + (b.X - a.X) * distance / len,
+                              a.Y + (b.Y - a.Y) * distance / len));
+        break;
+      }
+      pts.push(b);
+      distance -= len;
+    }
+    return pts;
+  }
+
+  /**
+   * Compute the path the tool has to follow for the tip of the blade
+   * to follow a path. Each edge is shifted forward along its
+   * direction by the blade offset. Where the direction changes by
+   * more than the swivel angle, the tool swivels around the corner so
+   * the blade is turned to the new direction before cutting on.
+   * @param {CutPoint[]} pts the points the blade tip has to visit
+   * @param {object} params named parameters
+   * @param {number} params.bladeOffset distance from the tool axis to
+   * the tip of the blade, in "integer" units
+   * @param {number} params.swivelAngle direction changes greater
+   * than this (radians) get a swivel arc.
+   * @return {CutPath} the tool path
+   */
+  compensate(pts, params) {
+    const r = params.bladeOffset;
+    const toolPath = new CutPath();
+
+    function push(x, y) {
+      toolPath.push(new CutPoint(Math.round(x), Math.round(y)));
+    }
+
+    let prevDir;
+    for (let i = 1; i < pts.length; i++) {
+      const a = pts[i - 1], b = pts[i];
+      const len = Math.sqrt((b.X - a.X) * (b.X - a.X)
+                            + (b.Y - a.Y) * (b.Y - a.Y));
+      if (len === 0)
+        continue;
+      const dir = { X: (b.X - a.X) / len, Y: (b.Y - a.Y) / len };
+      if (prevDir) {
+        const turn = Math.atan2(prevDir.X * dir.Y - prevDir.Y * dir.X,
+                                prevDir.X * dir.X + prevDir.Y * dir.Y);
+        if (Math.abs(turn) > params.swivelAngle) {
+          // Swivel the blade around the corner
+          const start = Math.atan2(prevDir.Y, prevDir.X);
+          const steps = Math.ceil(Math.abs(turn) / SWIVEL_STEP);
+          for (let s = 1; s < steps; s++) {
+            const angle = start + turn * s / steps;
+            push(a.X + r * Math.cos(angle), a.Y + r * Math.sin(angle));
+          }
+        }
+      }
+      push(a.X + r * dir.X, a.Y + r * dir.Y);
+      push(b.X + r * dir.X, b.Y + r * dir.Y);
+      prevDir = dir;
+    }
+    toolPath.unduplicate();
+    return toolPath;
+  }
+
+  /**
+   * Compute tool path. The paths are followed as for an Engrave "On"
+   * cut, then compensated for the blade offset.
+   * @param {CutPaths} geometry
+   * @param {object} params named parameters
+   * @param {number} params.cutterDiameter is in "integer" units
+   * @param {boolean} params.climb true for climb milling
+   * @param {number} params.bladeOffset distance from the tool axis to
+   * the tip of the blade, in "integer" units
+   * @param {number} params.swivelAngle direction changes greater
+   * than this (radians) get a swivel arc.
+   * @param {number} params.overcut how far to continue past the start
+   * of closed paths, in "integer" units
+   * @return {CutPaths}
+   * @override
+   */
+  generateToolpaths(geometry, params) {
+    assert(geometry instanceof CutPaths);
+    assert(typeof params.bladeOffset === "number");
+    assert(typeof params.swivelAngle === "number");
+    assert(typeof params.overcut === "number");
+
+    this.#bladePaths = super.generateToolpaths(geometry, {
+      ...params,
+      offset: "On",
+      margin: 0,
+      overlap: 0,
+      width: params.cutterDiameter
+    });
+
+    const toolPaths = new CutPaths();
+    for (const path of this.#bladePaths) {
+      if (path.length < 2)
+        continue;
+      const pts = [ ...path ];
+      if (path.isClosed) {
+        pts.push(path[0]);
+        pts.push(...this.#overcut(path, params.overcut));
+      }
+      const toolPath = this.compensate(pts, params);
+      if (toolPath.length > 0)
+        toolPaths.push(toolPath);
+    }
+    return toolPaths;
+  }
+
+  /**
+   * @override
+   */
+  bbBloat(toolPathWidth) {
+    return toolPathWidth;
+  }
+
+  /**
+   * The preview shows the cuts made by the tip of the blade
+   * @override
+   */
+  generatePreviewGeometry(toolPaths, params) {
+    return super.generatePreviewGeometry(this.#bladePaths, params);
+  }
+}
@@ -16,7 +16,7 @@ import { ToolpathGenerator } from "./ToolpathGenerator.js";
 export class Drill extends ToolpathGenerator {
 
   constructor() {
-    super();
+    super({ drillCycle: true });
     this.generatesZ = true;
   }
 
@@ -19,7 +19,8 @@ export class Engrave extends ToolpathGenerator {
     super({
       cutRate: true, direction: true, passDepth: true, ramp: true,
       offset: true, margin: true, width: true, stepOver: true,
-      climb: true });
+      climb: true, restMachining: true, cornerRelief: true, leads: true,
+      startPoint: true });
   }
 
   /**
@@ -39,6 +40,15 @@ export class Engrave extends ToolpathGenerator {
    * @param {boolean} params.climb true for climb milling
    * @param {JoinType} params.joinType join type
    * @param {number} params.mitreLimit join mitre limit
+   * @param {string?} params.cornerRelief relief to add to inside
+   * corners when cutting Inside or Outside, see cornerRelief()
+   * @param {number?} params.cornerAngle see cornerRelief()
+   * @param {string?} params.leadType lead in and out to add to closed
+   * paths when cutting Inside or Outside, "None", "Tangent", "Arc" or
+   * "Perpendicular", see addLeads()
+   * @param {number?} params.leadLength see addLeads()
+   * @param {object[]?} params.startPoints see chooseStartPoints()
+   * @param {string?} params.startRule see chooseStartPoints()
    * @return {CutPaths}
    * @override
    */
@@ -98,9 +108,28 @@ export class Engrave extends ToolpathGenerator {
       return toolPaths;
     }
 
+    const relieve = params.offset !== "On" && params.cornerRelief
+          && params.cornerRelief !== "None";
+    const leads = params.offset !== "On" && params.leadType
+          && params.leadType !== "None";
     const toolPaths = new CutPaths();
-    for (const path of geometry)
-      toolPaths.push(...engravePath(path));
+    const profiles = [];
+    for (const path of geometry) {
+      const paths = engravePath(path);
+      if (relieve && path.isClosed)
+        this.cornerRelief(paths, new CutPaths([ path ]), step > 0, inner,
+                          params);
+      if (path.isClosed)
+        profiles.push({ paths: paths, walls: new CutPaths([ path ]) });
+      toolPaths.push(...paths);
+    }
+
+    // Leads go from wherever the paths start
+    this.chooseStartPoints(toolPaths, params);
+    if (leads)
+      for (const profile of profiles)
+        this.addLeads(profile.paths, profile.walls, step > 0, inner, params);
+
     return toolPaths;
   }
 
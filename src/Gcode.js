@@ -6,6 +6,7 @@
 import { CutPoint } from "./CutPoint.js";
 import { CutPath } from "./CutPath.js";
 import { CutPaths } from "./CutPaths.js";
+import { PostProcessor } from "./PostProcessor.js";
 
 /**
  * Gcode parsing and generation.
@@ -25,6 +26,7 @@ export class CNC {
    * @param {number?} init.z Z coordinate
    * @param {number?} init.f feed rate
    * @param {number?} init.s spindle speed (default 0)
+   * @param {number?} init.t tool number (default undefined)
    */
   constructor(init) {
     if (init) {
@@ -33,6 +35,8 @@ export class CNC {
       this.z = init.z ?? NaN;
       this.f = init.f ?? NaN;
       this.s = init.s ?? 0;
+      if (typeof init.t !== "undefined")
+        this.t = init.t;
     } else {
       this.x = this.y = this.z = this.f = NaN;
       this.s = 0;
@@ -44,10 +48,123 @@ export class CNC {
   }
 }
 
+// Minimum number of points (including the start point) that will be
+// considered for fitting an arc
+const MIN_ARC_POINTS = 4;
+
+// Maximum angle (radians) subtended by a single straight line step when
+// an arc (G2/G3) is linearised by the parser
+const ARC_STEP = Math.PI / 18;
+
+// Number of straight line steps in each turn of a helical ramp
+const HELIX_STEPS = 36;
+
+// Number of directions, and the distance (in helix radii), searched
+// around the start of a path for a place to put a helical ramp
+const HELIX_DIRECTIONS = 16;
+const HELIX_SEARCH = 4;
+
+/**
+ * Get the distance from a point to a line segment
+ * @param {CutPoint} p the point
+ * @param {CutPoint} a start of the segment
+ * @param {CutPoint} b end of the segment
+ * @return {number} the distance
+ */
+function distToSegment(p, a, b) {
+  const dx = b.X - a.X, dy = b.Y - a.Y;
+  const l2 = dx * dx + dy * dy;
+  const t = (l2 > 0) ? Math.max(0, Math.min(
+    1, ((p.X - a.X) * dx + (p.Y - a.Y) * dy) / l2)) : 0;
+  return Math.hypot(p.X - a.X - t * dx, p.Y - a.Y - t * dy);
+}
+
+/**
+ * Determine if the line segment p1-p2 crosses the line segment a-b,
+ * other than by touching at p2
+ * @param {CutPoint} p1 start of the first segment
+ * @param {CutPoint} p2 end of the first segment
+ * @param {CutPoint} a start of the second segment
+ * @param {CutPoint} b end of the second segment
+ * @return {boolean} true if they cross
+ */
+function segmentsCross(p1, p2, a, b) {
+  const rx = p2.X - p1.X, ry = p2.Y - p1.Y;
+  const sx = b.X - a.X, sy = b.Y - a.Y;
+  const den = rx * sy - ry * sx;
+  if (den === 0)
+    return false; // parallel
+  const t = ((a.X - p1.X) * sy - (a.Y - p1.Y) * sx) / den;
+  const u = ((a.X - p1.X) * ry - (a.Y - p1.Y) * rx) / den;
+  // Allow for rounding where the segment touches at p2
+  const tol = 1 / Math.hypot(rx, ry);
+  return t >= 0 && t < 1 - tol && u >= 0 && u <= 1;
+}
+
+/**
+ * Compute the points along an arc, excluding the start point and
+ * including the end point. Z is interpolated linearly along the arc,
+ * so helices are also supported.
+ * @param {object} start start of the arc {x, y, z}
+ * @param {object} end end of the arc {x, y, z}
+ * @param {object} arc arc description
+ * @param {boolean} arc.clockwise true for G2, false for G3
+ * @param {number?} arc.i X offset of the centre from the start
+ * @param {number?} arc.j Y offset of the centre from the start
+ * @param {number?} arc.r radius, used if i and j are both undefined.
+ * Negative for an arc of more than 180 degrees.
+ * @return {object[]} list of {x, y, z}
+ * @private
+ */
+function linearise(start, end, arc) {
+  let cx, cy;
+  if (typeof arc.r === "number"
+      && typeof arc.i === "undefined" && typeof arc.j === "undefined") {
+    const dx = end.x - start.x, dy = end.y - start.y;
+    const d = Math.sqrt(dx * dx + dy * dy);
+    if (d === 0)
+      return [ end ]; // R format can't specify a full circle
+    // Distance from the chord midpoint to the centre
+    const h = Math.sqrt(Math.max(arc.r * arc.r - d * d / 4, 0));
+    // The centre is to the left of the chord for anticlockwise arcs
+    // < 180 degrees
+    const side = (arc.clockwise ? -1 : 1) * (arc.r < 0 ? -1 : 1);
+    cx = (start.x + end.x) / 2 - side * h * dy / d;
+    cy = (start.y + end.y) / 2 + side * h * dx / d;
+  } else {
+    cx = start.x + (arc.i ?? 0);
+    cy = start.y + (arc.j ?? 0);
+  }
+  const radius = Math.sqrt(
+    (start.x - cx) * (start.x - cx) + (start.y - cy) * (start.y - cy));
+  const a0 = Math.atan2(start.y - cy, start.x - cx);
+  let sweep = Math.atan2(end.y - cy, end.x - cx) - a0;
+  if (arc.clockwise) {
+    while (sweep >= 0) sweep -= 2 * Math.PI;
+  } else {
+    while (sweep <= 0) sweep += 2 * Math.PI;
+  }
+  const steps = Math.max(1, Math.ceil(Math.abs(sweep) / ARC_STEP));
+  const points = [];
+  for (let step = 1; step < steps; step++) {
+    const a = a0 + sweep * step / steps;
+    points.push({
+      x: cx + radius * Math.cos(a),
+      y: cy + radius * Math.sin(a),
+      z: start.z + (end.z - start.z) * step / steps
+    });
+  }
+  points.push({ x: end.x, y: end.y, z: end.z });
+  return points;
+}
+
 /**
  * Parse a block of linux-CNC gcode to a path. Only simple G-codes
- * (G0, G1) are interpreted, and only X, Y, Z and F. Polar coordinates
- * are not supported.
+ * (G0, G1, G2, G3) are interpreted, and only X, Y, Z, F, I, J and R.
+ * Arcs (G2, G3) are linearised into short straight steps. Polar coordinates
+ * are not supported. Tool changes (T with M6, or T with M0 where the
+ * controller can't change tools itself) are recorded in the `t` field
+ * of the path points, which is only present after the first tool change.
  *
  * *WARNING* feed rate (F) is assumed to be specified in units-per-minute.
  * G93-G71 will be ignored.
@@ -77,20 +194,70 @@ export function parse(gcode) {
     || fieldChanged(from.y, to.y)
     || fieldChanged(from.z, to.z)
     || fieldChanged(from.f, to.f)
-    || fieldChanged(from.s, to.s);
+    || fieldChanged(from.s, to.s)
+    || from.t !== to.t;
   }
 
-  function saveState(which) {
+  function savePoint(pt) {
     const last = path[path.length - 1];
-    if (!last || changed(last, state)) {
+    if (!last || changed(last, pt)) {
+
+      const saved = { x: pt.x, y: pt.y, z: pt.z, f: pt.f, s: pt.s };
+      if (typeof pt.t !== "undefined")
+        saved.t = pt.t;
+      path.push(saved);
+    }
+  }
+
+  function saveState(which) {
+    savePoint(state);
+  }
 
-      path.push({
-        x: state.x, y: state.y, z: state.z, f: state.f, s: state.s
-      });
+  /**
+   * Simulate a canned drilling cycle (G81, G82, G83) at the position
+   * given by the words on the line.
+   */
+  function drillCycle(words) {
+    // Cycle parameters are modal
+    for (const w of [ "z", "r", "q" ])
+      if (typeof words[w] !== "undefined")
+        cycle[w] = words[w];
+    if (typeof words.f !== "undefined")
+      state.f = words.f;
+    const clearZ = retractToR ? cycle.r : Math.max(cycle.initialZ, cycle.r);
+
+    // Rapid to above the hole, then down to the retract plane
+    if (typeof words.x !== "undefined")
+      state.x = words.x;
+    if (typeof words.y !== "undefined")
+      state.y = words.y;
+    saveState("X");
+    state.z = cycle.r;
+    saveState("R");
+
+    const peck = (motion === 83 && cycle.q > 0) ? cycle.q : cycle.r - cycle.z;
+    let depth = cycle.r;
+    while (depth > cycle.z) {
+      depth = Math.max(depth - peck, cycle.z);
+      state.z = depth;
+      saveState("Z");
+      if (depth > cycle.z) {
+        // Clear chips
+        state.z = cycle.r;
+        saveState("Q");
+      }
     }
+    state.z = clearZ;
+    saveState("Z");
   }
 
   let updateState = false;
+  // Current motion mode, 0..3 for G0..G3, 81..83 for drilling
+  // cycles, 80 for none.
+  let motion = 0;
+  // Parameters of the current drilling cycle, and whether to retract
+  // to the R plane (G99) or the initial Z (G98) after each hole.
+  let cycle, retractToR = false;
 
   for (const l of lines) {
     if (terminated) // terminated by M2 or M30?
@@ -117,6 +284,17 @@ export function parse(gcode) {
       continue;
     }
 
+    // Where the tool was at the start of the line, needed for arcs
+    const lineStart = new CNC(state);
+    // Arc parameters given on this line
+    const arc = {};
+    let moved = false;
+    // Tool selected, and whether it is changed, on this line
+    let tool, toolChange = false;
+    // Words given on this line, used in drilling cycles
+    const words = {};
+    let drilling = false;
+
     const re = /(\S)\s*([-+]?[\d.]+)/g;
     let m, parsingLine = true;
     let spindle = 0, waitingForSpindle = false;
@@ -128,8 +306,25 @@ export function parse(gcode) {
       case 'g':
         saveState("G");
         switch (value) {
-        case 0: case 1:
+        case 0: case 1: case 2: case 3:
+          motion = value;
           updateState = true;
+          cycle = undefined;
+          break;
+        case 80: // cancel drilling cycle
+          motion = value;
+          updateState = false;
+          cycle = undefined;
+          break;
+        case 81: case 82: case 83: // drilling cycles
+          motion = value;
+          updateState = false;
+          cycle = { initialZ: isNaN(state.z) ? -Infinity : state.z };
+          drilling = true;
+          break;
+        case 98: case 99: // drilling cycle retract mode
+          retractToR = (value === 99);
+          updateState = false;
           break;
         default:
           updateState = false; // ignore the rest of
@@ -141,23 +336,44 @@ export function parse(gcode) {
         // M2 and M30 terminate the program
         if (value === 2 || value === 30)
           terminated = true, parsingLine = false;
-        else if (value === 3) {
+        else if (value === 3 || value === 4) {
           // start/stop spindle
           updateState = true;
         } else if (value === 5)
           state.s = 0;
+        else if (value === 6 || value === 0)
+          toolChange = true;
         break;
 
         // Parameters. These just change the state.
-      case 'f': // feed rate
       case 'x': // X axis of machine
       case 'y': // Y axis of machine
       case 'z': // Z axis of machine
+        moved = true;
+        // fall through intended
+      case 'f': // feed rate
       case 's': // Spindle speed
+        words[code] = value;
         if (updateState)
           state[code] = value;
         break;
 
+      case 'r': // arc radius, or drilling cycle retract plane
+        words[code] = value;
+        // fall through intended
+      case 'i': // arc-centre X vector
+      case 'j': // arc-centre Y vector
+        arc[code] = value;
+        break;
+
+      case 'q': // peck increment, used in drilling cycles
+        words[code] = value;
+        break;
+
+      case 't': // tool number
+        tool = value;
+        break;
+
       case 'o': // subroutine marker
         saveState("O");
         // ignore the rest of this line
@@ -171,15 +387,10 @@ export function parse(gcode) {
       case 'c': // Rotation about Z axis
       case 'd': // Cutter diameter compensation
       case 'h': // tool length offset
-      case 'i': // arc-centre X vector
-      case 'j': // arc-centre Y vector
       case 'k': // arc-centre Z vector
       case 'l': // generic parameter word for G10, M66 and others
       case 'n': // line number
       case 'p': // dwell time
-      case 'q': // feed increment, used in drill cycles
-      case 'r': // arc radius
-      case 't': // tool number
       case 'u': // U axis of machine
       case 'v': // V axis of machine
       case 'w': // W axis of machine
@@ -189,6 +400,26 @@ export function parse(gcode) {
         console.error(`Gcode:${lineNo} unsupported ${code}${value}`);
       }
     }
+
+    if (cycle && (drilling || moved))
+      drillCycle(words);
+
+    if (updateState && moved && (motion === 2 || motion === 3)) {
+      // Replace the arc with a sequence of straight steps. The end
+      // point is left in the state, to be saved as normal.
+      arc.clockwise = (motion === 2);
+      savePoint(lineStart);
+      const steps = linearise(lineStart, state, arc);
+      steps.pop();
+      for (const step of steps)
+        savePoint({ x: step.x, y: step.y, z: step.z,
+                    f: state.f, s: state.s, t: state.t });
+    }
+
+    if (toolChange && typeof tool !== "undefined") {
+      saveState("T");
+      state.t = tool;
+    }
     lineNo++;
   }
   saveState("END");
@@ -243,6 +474,10 @@ export function parse(gcode) {
  * @property {number} z optional the z coord, undefined means same z, or use
  * z from pt or same z if pt.z is undefined
  * @property {string} rem optional remark (comment)
+ * @property {number} i optional arc centre X offset from the start (G2/G3)
+ * @property {number} j optional arc centre Y offset from the start (G2/G3)
+ * @property {number} r optional arc radius (G2/G3)
+ * @property {number} dwell optional dwell time in seconds (G4)
  * @memberof Gcode
  */
 
@@ -263,14 +498,40 @@ export class Generator {
    * gcode units
    * @param {number} job.xOffset Origin offset X
    * @param {number} job.yOffset Origin offset Y
-   * @param {number} job.decimal Number of decimal places to keep
-   * in gcode
+   * @param {number?} job.decimal Number of decimal places to keep
+   * in gcode. Defaults to the number given by the post-processor.
+   * @param {string?} job.postProcessor Name of the post-processor
+   * that defines the Gcode dialect, see PostProcessor.names()
    * @param {number} job.topZ Top of area to cut
    * @param {number} job.safeDepth Z depth to safely move over
    * uncut areas (gcode units).
    * @param {number} job.plungeRate Feedrate to plunge cutter
    * @param {number} job.retractRate Feedrate to retract cutter
    * @param {number} job.rapidRate Feedrate for rapid moves
+   * @param {string?} job.arcFitting How to fit arcs to cutting
+   * moves. "None" (the default) will only generate G1 moves, "IJ" will
+   * replace runs of moves that lie on a circular arc with G2/G3 using
+   * I and J to give the centre, and "R" will do the same using R to
+   * give the radius.
+   * @param {number?} job.arcTolerance Maximum distance a fitted arc
+   * may deviate from the original path (gcode units)
+   * @param {boolean?} job.toolChangePause true to pause (M0) after
+   * a tool change, even if the controller can change tools itself
+   * @param {boolean?} job.laser true to generate Gcode for a laser.
+   * Z passes are ignored, the beam is controlled using M4 (dynamic
+   * power) and S, and is turned off for rapid moves.
+   * @param {number?} job.focusZ if given in laser mode, the Z to move
+   * the laser to at the start of the job, to focus it. Otherwise Z
+   * is not used.
+   * @param {boolean?} job.plotter true to generate Gcode for a pen
+   * plotter. Z is not used, the pen is lifted and lowered using the
+   * `penUp` and `penDown` commands, and pass depth is ignored.
+   * @param {string?} job.penUp Gcode to lift the pen in plotter mode.
+   * May be several lines.
+   * @param {string?} job.penDown Gcode to lower the pen in plotter mode.
+   * May be several lines.
+   * @param {number?} job.penDwell time (seconds) to wait after lifting
+   * or lowering the pen, to give it time to move.
    */
   constructor(job) {
 
@@ -281,7 +542,6 @@ export class Generator {
     assert(typeof this.xScale === "number");
     assert(typeof this.yScale === "number");
     assert(typeof this.zScale === "number");
-    assert(typeof this.decimal === "number");
     assert(typeof this.topZ === "number");
     assert(typeof this.botZ === "number");
     assert(typeof this.safeZ === "number");
@@ -294,8 +554,30 @@ export class Generator {
     assert(typeof this.xOffset === "number");
     assert(typeof this.yOffset === "number");
 
+    this.arcFitting ??= "None";
+    this.arcTolerance ??= 0.01;
+    assert([ "None", "IJ", "R" ].indexOf(this.arcFitting) >= 0);
+    assert(typeof this.arcTolerance === "number");
+    this.toolChangePause ??= false;
+    this.laser ??= false;
+    this.plotter ??= false;
+    if (this.plotter) {
+      assert(typeof this.penUp === "string");
+      assert(typeof this.penDown === "string");
+      this.penDwell ??= 0;
+      assert(typeof this.penDwell === "number");
+    }
+
     const u = this.gunits;
 
+    /**
+     * The post-processor that defines the Gcode dialect
+     * @member {PostProcessor}
+     */
+    this.post = new PostProcessor(this.postProcessor);
+    this.decimal ??= this.post.decimal(u);
+    assert(typeof this.decimal === "number");
+
     /**
      * The gcode, an array of Gcode lines
      * @member {string[]} array of gcode lines
@@ -318,19 +600,41 @@ export class Generator {
      */
     this.last = new CNC();
 
-    this.#G(90, { rem: "Absolute positioning" });
-    this.#G(0, { z: this.safeZ, f: this.rapidRate, rem: "Move to clearance level" });
+    /**
+     * Number of the tool currently in the spindle, undefined if unknown
+     * @member {number?}
+     */
+    this.tool = undefined;
+
+    /**
+     * True if the laser has been switched on with M4
+     * @member {boolean}
+     */
+    this.laserArmed = false;
+
+    /**
+     * True if the plotter pen is down, undefined if unknown
+     * @member {boolean?}
+     */
+    this.penIsDown = undefined;
+
+    for (const start of this.post.profile.start)
+      this.#code({ command: start.code, rem: start.rem });
+    if (this.plotter)
+      this.#pen(false);
+    else if (!this.laser)
+      this.#G(0, { z: this.safeZ, f: this.rapidRate, rem: "Move to clearance level" });
+    else if (typeof this.focusZ === "number")
+      this.#G(0, { z: this.focusZ, f: this.rapidRate, rem: "Focus laser" });
   }
 
   /**
-   * Format a number to this.decimal decimal places
+   * Format a number to a number of decimal places
+   * @param {number} x the number to format
+   * @param {number?} places decimal places, defaults to this.decimal
    */
-  #number(x) {
-    const s = x.toFixed(this.decimal);
-    let m;
-    if ((m = /^(.+)\.0+$/.exec(s)))
-      return m[1];
-    return s.replace(/(.)0+$/, "$1");
+  #number(x, places = this.decimal) {
+    return this.post.number(x, places);
   }
 
   /**
@@ -339,8 +643,10 @@ export class Generator {
    */
   end() {
     this.#stopSpindle();
+    if (this.plotter)
+      this.#pen(false);
     const p = {
-      z: this.safeZ,
+      z: (this.laser || this.plotter) ? undefined : this.safeZ,
       f: this.rapidRate
     };
     if (this.returnHome) {
@@ -350,7 +656,8 @@ export class Generator {
       p.rem = "Return to 0,0";
     }
     this.#G(0, p);
-    this.#M(2, { rem: "End program" });
+    for (const end of this.post.profile.end)
+      this.#code({ command: end.code, rem: end.rem });
     return this.gcode;
   }
 
@@ -359,7 +666,7 @@ export class Generator {
    * @param remark {string} the comment
    */
   #rem(remark) {
-    this.gcode.push(`; ${remark}`);
+    this.gcode.push(this.post.comment(remark));
   }
 
   /**
@@ -438,10 +745,22 @@ export class Generator {
       }
     }
 
+    // Arc centre or radius. These are given to a couple more places
+    // than coordinates, as they are very sensitive to rounding.
+    if (typeof command.r === "number")
+      line.push(`R${this.#number(command.r, this.decimal + 2)}`);
+    else if (typeof command.i === "number") {
+      line.push(`I${this.#number(command.i, this.decimal + 2)}`);
+      line.push(`J${this.#number(command.j, this.decimal + 2)}`);
+    }
+
     // Don't add zero moves
     if (line.join("") === "G0" || line.join("") === "G1")
       return;
 
+    if (typeof command.dwell === "number")
+      line.push(`${this.post.profile.dwell}${this.#number(command.dwell)}`);
+
     if (typeof command.f === "number" && command.f !== this.last.f) {
       line.push(`F${command.f}`);
       this.last.f = command.f;
@@ -453,21 +772,12 @@ export class Generator {
     }
 
     if (typeof command.rem === "string")
-      line.push(`; ${command.rem}`);
+      line.push(this.post.comment(command.rem));
 
     //console.debug(line.join(" "));
     this.gcode.push(line.join(" "));
   }
 
-  /**
-   * Add an M command
-   * @param {GCommand} command command complete except for the command string
-   */
-  #M(code, command) {
-    command.command = `M${code}`;
-    this.#code(command);
-  }
-
   /**
    * Add a G command
    * @param {GCommand} command command complete except for the command string
@@ -483,16 +793,19 @@ export class Generator {
    */
   #startSpindle(spin) {
     if (this.last.s !== spin)
-      this.#M(3, { spin: spin, rem: "Start spindle" });
+      this.#code({ command: this.post.profile.spindleOn,
+                   spin: spin, rem: "Start spindle" });
   }
 
   /**
    * Stop the spindle
    */
   #stopSpindle() {
-    if (this.last.s > 0)
-      this.#M(5, { rem: "Stop spindle" });
+    if (this.last.s > 0 || this.laserArmed)
+      this.#code({ command: this.post.profile.spindleOff,
+                   rem: this.laser ? "Laser off" : "Stop spindle" });
     this.last.s = 0;
+    this.laserArmed = false;
   }
 
   /**
@@ -502,21 +815,50 @@ export class Generator {
    * @param {object} op operation description
    * @param {CutPaths} op.paths Paths to convert. These paths are
    * in "integer" units, and will be transformed to Gcode units using the
-   * `Scale` parameters.
+   * `Scale` parameters. Closed paths may have leads (see
+   * CutPath.withLeads).
    * @param {number} op.cutType one of the operations e.g. "Engrave"
    * @param {number} op.rpm spindle speed to use for this operation.
    * @param {number} op.passDepth Cut depth for each pass
    * @param {number} op.cutRate Cut depth for each pass
-   * @param {boolean} op.ramp Ramp plunge. Default is to drill plunge.
+   * @param {string?} op.entry how to get down to the depth of each
+   * pass at the start of a path; "Plunge" straight down (the default),
+   * "Linear" ramp along the path, "ZigZag" ramp back and forth along
+   * the start of the path, or "Helical" ramp down a helix. Ignored if
+   * Z's have been precalculated.
+   * @param {number?} op.rampAngle maximum angle (radians) of a ramp
+   * from the horizontal
+   * @param {number?} op.rampLength length of a zig-zag ramp
+   * @param {number?} op.helixRadius radius of a helical ramp
+   * @param {CutPaths?} op.entryArea closed paths, in "integer" units,
+   * enclosing where the centre of the cutter can move without cutting
+   * into the walls, e.g. inside a pocket. A helical ramp has to fit
+   * in here; if there is no room, a linear ramp is used instead.
    * @param {boolean} op.precalculatedZ true if Z's have been precalculated
+   * @param {number?} op.plungeRate plunge rate for this operation,
+   * defaults to job.plungeRate
+   * @param {object?} op.tool the tool to use. If given, and different
+   * to the tool currently in the spindle, the tool will be changed.
+   * @param {number} op.tool.number tool number
+   * @param {string} op.tool.name tool name, for comments
+   * @param {object?} op.drill if given, the (precalculated) paths
+   * are drill holes, to be drilled using a drilling cycle.
+   * @param {number} op.drill.peck depth of each peck, 0 to drill
+   * each hole in one go.
+   * @param {number} op.drill.dwell time to dwell at the bottom of
+   * each hole, in seconds. Ignored when pecking.
+   * @param {number} op.drill.retractZ Z of the retract plane, where
+   * the drilling feed starts and the drill is withdrawn to between
+   * pecks.
+   * @param {number?} op.power in laser mode, the laser power (S)
+   * @param {number?} op.passes in laser mode, the number of times
+   * to follow each path. Defaults to 1.
    */
   addOperation(op) {
     //console.debug(`Generating Gcode for ${op.name}, ${op.paths.length} paths`);
     assert(op.paths instanceof CutPaths);
     assert(typeof op.name === "string");
-    assert(typeof op.ramp === "boolean");
     assert(typeof op.cutType === "string");
-    assert(typeof op.ramp === "boolean");
     assert(typeof op.passDepth === "number");
     assert(typeof op.rpm === "number");
     assert(typeof op.cutRate === "number");
@@ -526,6 +868,19 @@ export class Generator {
     this.#rem(
       `*** Operation "${op.name}" (${op.cutType}) ***`);
 
+    if (op.tool && op.tool.number !== this.tool)
+      this.#changeTool(op.tool);
+
+    if (this.plotter) {
+      this.#plotPaths(op);
+      return;
+    }
+
+    if (this.laser) {
+      this.#burnPaths(op);
+      return;
+    }
+
     let pathIndex = 0;
     for (let path of op.paths) {
       pathIndex++;
@@ -535,10 +890,15 @@ export class Generator {
 
       this.#rem(`Path ${pathIndex}`);
 
-      if (op.precalculatedZ) {
+      if (op.precalculatedZ && op.drill) {
+        this.#drillHoles(path, op);
+      } else if (op.precalculatedZ) {
         this.#followPrecomputedPath(path, op);
       } else {
         const minZ = path.bbox3D().minZ;
+        // A closed path with leads is cut from the start of the lead in
+        // on every pass, so the direction of cut doesn't change
+        const leads = path.isClosed && (path.leadIn || path.leadOut);
         let passNum = 0;
         // Loop over the paths carving away passDepth slices until the
         // target cut depth is reached on all segments.
@@ -547,7 +907,7 @@ export class Generator {
           // Calculate maximum cut depth for this pass
           const targetZ = lastCutZ - op.passDepth;
           this.#rem(`Pass ${pathIndex}:${++passNum}`);
-          this.#followCutPath(path, targetZ, op);
+          this.#followCutPath(leads ? path.withLeads() : path, targetZ, op);
           lastCutZ = targetZ;
           if (op.passDepth === 0) break;
           // For open paths, perform the next run back down the path
@@ -561,6 +921,224 @@ export class Generator {
     }
   }
 
+  /**
+   * Change the tool. Retracts to a safe height and stops the spindle
+   * first; the spindle will be restarted by the next cut.
+   * @param {object} tool the tool to change to
+   * @param {number} tool.number tool number
+   * @param {string} tool.name tool name, for comments
+   */
+  #changeTool(tool) {
+    if (this.plotter)
+      this.#pen(false);
+    else
+      this.#G(0, { f: this.rapidRate, z: this.safeZ, rem: "Clear" });
+    this.#stopSpindle();
+    const rem = `Change to tool ${tool.number} "${tool.name}"`;
+    if (this.post.profile.toolChange === "M6") {
+      this.#code({ command: `T${tool.number} M6`, rem: rem });
+      this.#code({ command: `G43 H${tool.number}`,
+                   rem: "Tool length offset" });
+      if (this.toolChangePause)
+        this.#code({ command: "M0", rem: "Pause" });
+    } else
+      this.#code({ command: `M0 T${tool.number}`, rem: rem });
+    this.tool = tool.number;
+    // The tool changer may have moved the tool
+    this.last = new CNC();
+  }
+
+  /**
+   * Lift or lower the plotter pen, if it isn't already there, and
+   * wait for it to get there.
+   * @param {boolean} down true to lower the pen, false to lift it
+   */
+  #pen(down) {
+    if (this.penIsDown === down)
+      return;
+    const rem = down ? "Pen down" : "Pen up";
+    const lines = (down ? this.penDown : this.penUp)
+          .split(/\r?\n/).map(l => l.trim()).filter(l => l.length > 0);
+    for (const line of lines)
+      this.#code({ command: line, rem: rem });
+    if (this.penDwell > 0)
+      this.#G(4, { dwell: this.penDwell, rem: "Wait for pen" });
+    this.penIsDown = down;
+  }
+
+  /**
+   * Generate pen plotter moves for the paths in an operation. Z is
+   * ignored, and each path is drawn once. Closed paths are opened at
+   * their first vertex, and the paths are then sorted (and joined
+   * where they meet) to minimise the travel with the pen up.
+   * @param {object} op operation description (see addOperation for members)
+   */
+  #plotPaths(op) {
+    const paths = new CutPaths();
+    for (const path of op.paths) {
+      if (path.length === 0)
+        continue;
+      const open = new CutPath(path);
+      if (path.isClosed) {
+        open.push(path[0]);
+        open.isClosed = false;
+      }
+      paths.push(open);
+    }
+    paths.sortPaths(2);
+
+    let pathIndex = 0;
+    for (const path of paths) {
+      pathIndex++;
+      this.#rem(`Path ${pathIndex}`);
+      if (!this.#toolAt(path[0])) {
+        this.#pen(false);
+        this.#G(0, { f: this.rapidRate, pt: { X: path[0].X, Y: path[0].Y } });
+      }
+      this.#pen(true);
+      const moves = [];
+      for (let i = 1; i < path.length; i++)
+        moves.push({ f: op.cutRate, pt: { X: path[i].X, Y: path[i].Y } });
+      this.#cutAlong(moves);
+    }
+  }
+
+  /**
+   * Generate laser moves for the paths in an operation. Z is ignored.
+   * The laser is switched on using M4 (dynamic power) so the
+   * controller can vary the power with the speed, and the power is
+   * given using S on each cut. Rapid moves are made with S0, so the
+   * beam is off.
+   * @param {object} op operation description (see addOperation for members)
+   */
+  #burnPaths(op) {
+    assert(typeof op.power === "number");
+    const passes = op.passes ?? 1;
+
+    if (!this.laserArmed) {
+      this.#code({ command: "M4", spin: 0, rem: "Laser on, dynamic power" });
+      this.laserArmed = true;
+    }
+
+    for (let pass = 1; pass <= passes; pass++) {
+      if (passes > 1)
+        this.#rem(`Pass ${pass}`);
+      let pathIndex = 0;
+      for (const path of op.paths) {
+        pathIndex++;
+        if (path.length === 0)
+          continue;
+        this.#rem(`Path ${pathIndex}`);
+        const moves = [];
+        for (const pt of path)
+          moves.push({ f: op.cutRate, pt: { X: pt.X, Y: pt.Y } });
+        if (path.isClosed)
+          moves.push({ f: op.cutRate, pt: { X: path[0].X, Y: path[0].Y },
+                       rem: "Close path" });
+
+        if (!this.#toolAt(moves[0].pt))
+          this.#G(0, { f: this.rapidRate, pt: moves[0].pt,
+                       spin: this.last.s > 0 ? 0 : undefined });
+        moves.shift();
+        // Drop moves that don't go anywhere
+        while (moves.length > 0 && this.#toolAt(moves[0].pt))
+          moves.shift();
+        if (moves.length === 0)
+          continue;
+        // Turn the beam on for the first cut
+        const first = moves.shift();
+        if (this.last.s !== op.power)
+          first.spin = op.power;
+        this.#G(1, first);
+        this.#cutAlong(moves);
+      }
+    }
+  }
+
+  /**
+   * Drill holes. The holes are found in the path as points that are
+   * directly below the point before them. Holes are drilled using
+   * canned cycles (G81, G82, G83) if the post-processor supports them,
+   * otherwise the cycle is expanded into simple moves.
+   * @param {CutPath} path the drill path
+   * @param {object} op operation description (see addOperation for members)
+   */
+  #drillHoles(path, op) {
+    const holes = [];
+    for (let i = 1; i < path.length; i++) {
+      const prev = path[i - 1], pt = path[i];
+      if (pt.X === prev.X && pt.Y === prev.Y && pt.Z < prev.Z)
+        holes.push(pt);
+    }
+    if (holes.length === 0)
+      return;
+
+    const plungeRate = op.plungeRate ?? this.plungeRate;
+    const retractZ = Math.min(op.drill.retractZ, this.safeZ);
+
+    this.#G(0, { f: this.rapidRate, z: this.safeZ, rem: "Clear" });
+    this.#G(0, { pt: holes[0], z: this.safeZ, rem: "Hang" });
+    this.#startSpindle(op.rpm);
+
+    if (this.post.profile.cannedCycles) {
+      let g, words = "";
+      if (op.drill.peck > 0) {
+        g = 83;
+        words = ` Q${this.#number(op.drill.peck)}`;
+      } else if (op.drill.dwell > 0) {
+        g = 82;
+        words = ` P${this.#number(op.drill.dwell)}`;
+      } else
+        g = 81;
+      this.#code({ command: "G98", rem: "Retract to initial Z" });
+      let first = true;
+      for (const hole of holes) {
+        const x = this.#mapX(hole.X), y = this.#mapY(hole.Y);
+        const line = [];
+        if (first)
+          line.push(`G${g}`);
+        if (first || x !== this.last.x)
+          line.push(`X${this.#number(x)}`);
+        if (first || y !== this.last.y)
+          line.push(`Y${this.#number(y)}`);
+        if (first)
+          line.push(`Z${this.#number(this.#mapZ(hole.Z))}`,
+                    `R${this.#number(retractZ)}${words}`, `F${plungeRate}`);
+        if (line.length > 0)
+          this.gcode.push(line.join(" "));
+        first = false;
+        this.last.x = x;
+        this.last.y = y;
+      }
+      this.#code({ command: "G80", rem: "Cancel canned cycle" });
+      this.last.z = this.safeZ;
+      this.last.f = plungeRate;
+      return;
+    }
+
+    for (const hole of holes) {
+      const botZ = this.#mapZ(hole.Z);
+      const peck = op.drill.peck > 0 ? op.drill.peck : retractZ - botZ;
+      this.#G(0, { f: this.rapidRate, z: this.safeZ });
+      this.#G(0, { pt: hole, z: this.safeZ });
+      this.#G(0, { z: retractZ, rem: "Retract plane" });
+      let z = retractZ;
+      while (z > botZ) {
+        const lastZ = z;
+        z = Math.max(z - peck, botZ);
+        if (lastZ < retractZ)
+          // Rapid back down to the bottom of the last peck
+          this.#G(0, { f: this.rapidRate, z: lastZ });
+        this.#G(1, { f: plungeRate, z: z });
+        if (z > botZ)
+          this.#G(0, { f: this.rapidRate, z: retractZ, rem: "Clear chips" });
+      }
+      if (op.drill.dwell > 0 && !(op.drill.peck > 0))
+        this.#G(4, { dwell: op.drill.dwell, rem: "Dwell" });
+      this.#G(0, { f: this.rapidRate, z: this.safeZ });
+    }
+  }
+
   /**
    * If necessary, do a safe move to the given point.
    * @param {CutPoint} pt the point to move to
@@ -584,15 +1162,24 @@ export class Generator {
     this.#safeMoveTo(path[0]);
     this.#startSpindle(op.rpm);
 
-    let i;
-    for (i = 0; i < path.length; i++) {
-      const feed = this.#toolAt(path[i]) ? this.plungeRate :  op.cutRate;
-      this.#G(1, { f: feed, pt: path[i] });
+    // Vertical moves are made at the plunge rate. The tool is
+    // over path[0] to start with.
+    const plungeRate = op.plungeRate ?? this.plungeRate;
+    const moves = [];
+    let prev = path[0];
+    for (const pt of path) {
+      const feed = (pt.X === prev.X && pt.Y === prev.Y)
+            ? plungeRate : op.cutRate;
+      moves.push({ f: feed, pt: pt, z: this.#mapZ(pt.Z) });
+      prev = pt;
     }
     if (path.isClosed) {
-      const feed = this.#toolAt(path[0]) ? this.plungeRate :  op.cutRate;
-      this.#G(1, { f: feed, pt: path[0], rem: "Close path" });
+      const feed = (path[0].X === prev.X && path[0].Y === prev.Y)
+            ? plungeRate : op.cutRate;
+      moves.push({ f: feed, pt: path[0], z: this.#mapZ(path[0].Z),
+                   rem: "Close path" });
     }
+    this.#cutAlong(moves);
   }
 
   /**
@@ -606,36 +1193,52 @@ export class Generator {
     this.#safeMoveTo(path[0]);
     this.#startSpindle(op.rpm);
 
-    let targetZ = Math.max(path[0].Z, minZ);
+    const targetZ = Math.max(path[0].Z, minZ);
+
+    let entry = op.entry ?? "Plunge";
+    if (this.last.z <= targetZ || path.perimeter() === 0)
+      entry = "Plunge";
+    else if (entry !== "Plunge")
+      assert(op.rampAngle > 0 && op.rampAngle <= Math.PI / 2);
+
+    if (entry === "Helical" && !this.#helicalRamp(path[0], targetZ, op)) {
+      this.#rem("No room for a helix");
+      entry = "Linear";
+    }
 
-    let i = 0, direction = 1, thisZ;
-    if (op.ramp) {
+    if (entry === "ZigZag")
+      this.#zigZagRamp(path, targetZ, op);
+
+    let i = 0, direction = 1, thisZ = targetZ;
+    if (entry === "Linear") {
+      // Ramp along the edges of the path, no steeper than the ramp angle
+      const tanA = Math.tan(op.rampAngle);
+      const scale = Math.abs(this.xScale);
+      let from = path[0];
       while (this.last.z > targetZ) {
         let nextPt = path[i];
-        const edgeLength = nextPt.dist(
-          new CutPoint(this.last.x, this.last.y, nextPt.Z));
+        // length of this edge, in Gcode units
+        const edgeLength = from.dist(nextPt) * scale;
         // target Z along this edge.
         thisZ = Math.max(nextPt.Z, minZ);
         if (edgeLength > 0) {
-          const plungeTime = Math.abs(thisZ - this.last.z) / this.plungeRate;
-          const edgeTime = edgeLength / op.cutRate;
-          if (edgeTime > plungeTime) {
-            const rampLength = op.cutRate * plungeTime;
+          const rampLength = (this.last.z - thisZ) / tanA;
+          if (rampLength < edgeLength * (1 - 1e-9)) {
+            // Reach the bottom part way along the edge
             const dE = rampLength / edgeLength;
             const intermediate = new CutPoint(
-              this.last.x + (nextPt.X - this.last.x) * dE,
-              this.last.y + (nextPt.Y - this.last.y) * dE,
+              from.X + (nextPt.X - from.X) * dE,
+              from.Y + (nextPt.Y - from.Y) * dE,
               thisZ
             );
             this.#G(1, { f: op.cutRate, pt: intermediate, z: thisZ,
                         rem: `Bottom of ramp` });
-          } else if (plungeTime > edgeTime) {
-            thisZ = this.last.z +
-                    (thisZ - this.last.z) * edgeTime / plungeTime;
-          }
+          } else
+            thisZ = Math.max(this.last.z - edgeLength * tanA, thisZ);
           this.#G(1, { f: op.cutRate, pt: nextPt, z: thisZ,
                       rem: `Ramp step` });
         }
+        from = nextPt;
         if (path.isClosed)
           i = (i + direction) % path.length;
         else if (direction === 1) {
@@ -655,16 +1258,326 @@ export class Generator {
         direction = -direction;
       }
     }
-    else // plunge
-        thisZ = targetZ;
 
     // Cut the whole path at the max of point.Z and minZ
+    const moves = [];
     for (let j = 0; j < path.length; j++) {
-      this.#G(1, { f: op.cutRate, pt: path[i], z: thisZ });
+      moves.push({ f: op.cutRate, pt: path[i], z: thisZ });
       i = (i + path.length + direction) % path.length;
       thisZ = Math.max(path[i].Z, minZ);
     }
     if (path.isClosed)
-      this.#G(1, { f: op.cutRate, pt: path[i], z: thisZ, rem: "Close path" });
+      moves.push({ f: op.cutRate, pt: path[i], z: thisZ, rem: "Close path" });
+    this.#cutAlong(moves);
+  }
+
+  /**
+   * Ramp down from the current Z to z by going back and forth along
+   * the start of the path, no steeper than the ramp angle. The ramp
+   * finishes back at the start of the path.
+   * @param {CutPath} path the path being cut
+   * @param {number} z the Z to ramp down to
+   * @param {object} op operation description (see addOperation for members)
+   */
+  #zigZagRamp(path, z, op) {
+    const scale = Math.abs(this.xScale);
+
+    // The stretch of the path to go back and forth along, up to
+    // rampLength long
+    const leg = [ path[0] ];
+    let length = 0;
+    const end = path.isClosed ? path.length : path.length - 1;
+    for (let k = 1; k <= end && length < op.rampLength; k++) {
+      const prev = leg[leg.length - 1], pt = path[k % path.length];
+      const l = prev.dist(pt) * scale;
+      if (length + l > op.rampLength) {
+        const f = (op.rampLength - length) / l;
+        leg.push(new CutPoint(prev.X + (pt.X - prev.X) * f,
+                              prev.Y + (pt.Y - prev.Y) * f));
+        length = op.rampLength;
+      } else {
+        leg.push(pt);
+        length += l;
+      }
+    }
+
+    // An even number of legs, so the ramp finishes where it started.
+    // Allow for rounding when the depth is an exact number of legs.
+    const top = this.last.z;
+    const legs = 2 * Math.ceil(
+      (top - z) / (2 * length * Math.tan(op.rampAngle)) - 1e-9);
+    const dropPerLength = (top - z) / (legs * length);
+    let along = 0;
+    for (let n = 0; n < legs; n++) {
+      const pts = (n % 2 === 0) ? leg : leg.slice().reverse();
+      for (let k = 1; k < pts.length; k++) {
+        along += pts[k - 1].dist(pts[k]) * scale;
+        const atZ = (n === legs - 1 && k === pts.length - 1)
+              ? z : Math.max(top - along * dropPerLength, z);
+        this.#G(1, { f: op.cutRate, pt: pts[k], z: atZ,
+                     rem: k === 1 ? "Ramp leg" : undefined });
+      }
+    }
+  }
+
+  /**
+   * Ramp down from the current Z to z following a helix near the
+   * start of a path, inside `op.entryArea`, then move to the start of
+   * the path. The helix descends no steeper than the ramp angle.
+   * @param {CutPoint} start the start of the path being cut
+   * @param {number} z the Z to ramp down to
+   * @param {object} op operation description (see addOperation for members)
+   * @return {boolean} false if there is no room for the helix
+   */
+  #helicalRamp(start, z, op) {
+    if (!(op.helixRadius > 0) || !op.entryArea)
+      return false;
+    const r = op.helixRadius / Math.abs(this.xScale);
+    const centre = this.#helixCentre(start, r, op.entryArea);
+    if (!centre)
+      return false;
+
+    // Start (and finish) on the helix nearest to the start of the path.
+    // As for a helical bore, conventional milling goes anticlockwise
+    // (in "integer" coordinates), climb goes clockwise.
+    const a0 = Math.atan2(start.Y - centre.Y, start.X - centre.X);
+    const dir = (op.direction === "Climb") ? -1 : 1;
+    const at = i => new CutPoint(
+      centre.X + r * Math.cos(a0 + dir * 2 * Math.PI * i / HELIX_STEPS),
+      centre.Y + r * Math.sin(a0 + dir * 2 * Math.PI * i / HELIX_STEPS));
+
+    // A whole number of turns, no steeper than the ramp angle
+    const top = this.last.z;
+    const turns = Math.max(1, Math.ceil(
+      (top - z) / (2 * Math.PI * op.helixRadius * Math.tan(op.rampAngle))
+      - 1e-9));
+    const steps = turns * HELIX_STEPS;
+
+    this.#G(1, { f: op.cutRate, pt: at(0), rem: "Start of helix" });
+    const moves = [];
+    for (let i = 1; i <= steps; i++)
+      moves.push({ f: op.cutRate, pt: at(i), z: top - (top - z) * i / steps });
+    this.#cutAlong(moves);
+    this.#G(1, { f: op.cutRate, pt: start, z: z, rem: "End of helix" });
+    return true;
+  }
+
+  /**
+   * Find somewhere near a point to put a helix, so that the helix
+   * and the move from it to the point are inside an area.
+   * @param {CutPoint} pt the point
+   * @param {number} r radius of the helix, in "integer" units
+   * @param {CutPaths} area closed paths enclosing the area (even-odd)
+   * @return {CutPoint?} the centre of the helix, or undefined if there
+   * is no room
+   */
+  #helixCentre(pt, r, area) {
+    const edges = [];
+    for (const path of area)
+      for (let i = 0; i < path.length; i++)
+        edges.push([ path[i], path[(i + 1) % path.length] ]);
+
+    for (let d = r; d <= HELIX_SEARCH * r; d += r / 2) {
+      for (let k = 0; k < HELIX_DIRECTIONS; k++) {
+        const a = 2 * Math.PI * k / HELIX_DIRECTIONS;
+        const c = new CutPoint(
+          Math.round(pt.X + d * Math.cos(a)), Math.round(pt.Y + d * Math.sin(a)));
+
+        // The centre must be inside the area, and the helix clear of
+        // its edges
+        let inside = false;
+        for (const path of area)
+          if (path.inside(c) > 0)
+            inside = !inside;
+        if (!inside || edges.find(e => distToSegment(c, e[0], e[1]) < r))
+          continue;
+
+        // The move from the helix to the point mustn't cross any edges,
+        // though the point may be on an edge
+        if (!edges.find(e => segmentsCross(c, pt, e[0], e[1])))
+          return c;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Make a sequence of cutting moves. If arc fitting is enabled,
+   * runs of moves that lie on a circular arc are replaced with a
+   * single G2/G3.
+   * @param {GCommand[]} moves the moves to make. Each must have
+   * `pt`, `z` and `f`.
+   */
+  #cutAlong(moves) {
+    let i = 0;
+    while (i < moves.length) {
+      const arc = this.#fitArc(moves, i);
+      if (arc) {
+        this.#G(arc.clockwise ? 2 : 3, arc.command);
+        i = arc.next;
+      } else
+        this.#G(1, moves[i++]);
+    }
+  }
+
+  /**
+   * Find the longest run of moves, starting at moves[first], that
+   * can be replaced by a single arc. The run starts at the current
+   * tool position and must be at a constant feed rate. Z may change,
+   * so long as it changes at a constant rate around the arc, giving
+   * a helix. The run stops at the first move that doesn't fit, so
+   * every point in it is checked. Fitting
+   * is done in gcode coordinates, so the direction of the arc
+   * accounts for any mirroring by the X and Y scales.
+   * @param {GCommand[]} moves the moves being made
+   * @param {number} first index of the first move to consider
+   * @return {object?} undefined if no arc was found, otherwise
+   * `{ clockwise: boolean, command: GCommand, next: number }` where
+   * `next` is the index of the first move after the arc.
+   */
+  #fitArc(moves, first) {
+    if (this.arcFitting === "None")
+      return undefined;
+
+    const start = { x: this.last.x, y: this.last.y, z: this.last.z };
+    if (isNaN(start.x) || isNaN(start.y))
+      return undefined;
+
+    const pts = [ start ];
+    let best;
+    for (let k = first; k < moves.length; k++) {
+      const move = moves[k];
+      const z = (typeof move.z === "number") ? move.z : pts[pts.length - 1].z;
+      if ((typeof move.z === "number" && isNaN(start.z))
+          || move.f !== moves[first].f)
+        break;
+      pts.push({ x: this.#mapX(move.pt.X), y: this.#mapY(move.pt.Y), z: z });
+      if (pts.length >= MIN_ARC_POINTS) {
+        const fit = this.#arcThrough(pts);
+        if (!fit)
+          break;
+        best = { fit: fit, end: k };
+      }
+      // A remark has to go on the end of the arc
+      if (typeof move.rem === "string")
+        break;
+    }
+
+    if (!best)
+      return undefined;
+
+    // The controller will see the rounded start and end points.
+    // Move the centre onto the perpendicular bisector of the chord
+    // between them, so the radius is the same at both ends.
+    const end = moves[best.end];
+    const sx = Number(this.#number(start.x)), sy = Number(this.#number(start.y));
+    const ex = Number(this.#number(this.#mapX(end.pt.X)));
+    const ey = Number(this.#number(this.#mapY(end.pt.Y)));
+    const mx = (sx + ex) / 2, my = (sy + ey) / 2;
+    const nx = sy - ey, ny = ex - sx; // normal to the chord
+    const nn = nx * nx + ny * ny;
+    if (nn === 0)
+      return undefined;
+    const t = ((best.fit.x - mx) * nx + (best.fit.y - my) * ny) / nn;
+    const cx = mx + t * nx, cy = my + t * ny;
+
+    const command = { f: end.f, pt: end.pt, z: end.z, rem: end.rem };
+    if (this.arcFitting === "R") {
+      const r = Math.sqrt((sx - cx) * (sx - cx) + (sy - cy) * (sy - cy));
+      // Negative R means "the long way round"
+      command.r = Math.abs(best.fit.sweep) > Math.PI ? -r : r;
+    } else {
+      command.i = cx - sx;
+      command.j = cy - sy;
+    }
+
+    return {
+      clockwise: best.fit.sweep < 0,
+      command: command,
+      next: best.end + 1
+    };
+  }
+
+  /**
+   * Determine if a sequence of points lie on a circular arc, within
+   * this.arcTolerance. If Z changes, it must change at a constant rate
+   * around the arc (a helix).
+   * @param {object[]} pts list of {x, y, z} in gcode coordinates
+   * @return {object?} undefined if the points are not on an arc,
+   * otherwise `{ x, y, r, sweep }` giving the centre, radius and the
+   * angle swept by the arc (radians, positive anticlockwise)
+   */
+  #arcThrough(pts) {
+    const tol = this.arcTolerance;
+    const a = pts[0], b = pts[Math.floor(pts.length / 2)];
+    const c = pts[pts.length - 1];
+
+    // Circumcentre of a, b, c
+    const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+    if (d === 0)
+      return undefined; // collinear
+    const a2 = a.x * a.x + a.y * a.y;
+    const b2 = b.x * b.x + b.y * b.y;
+    const c2 = c.x * c.x + c.y * c.y;
+    const cx = (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d;
+    const cy = (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d;
+    const r = Math.sqrt((a.x - cx) * (a.x - cx) + (a.y - cy) * (a.y - cy));
+
+    let sweep = 0;
+    const sweeps = [ 0 ];
+    for (let k = 1; k < pts.length; k++) {
+      const ux = pts[k - 1].x - cx, uy = pts[k - 1].y - cy;
+      const vx = pts[k].x - cx, vy = pts[k].y - cy;
+      // All points must be on the circle
+      if (Math.abs(Math.sqrt(vx * vx + vy * vy) - r) > tol)
+        return undefined;
+      const step = Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+      // All steps must turn the same way
+      if (step === 0 || (sweep !== 0 && Math.sign(step) !== Math.sign(sweep)))
+        return undefined;
+      // The arc must not bulge too far from the straight step
+      if (r * (1 - Math.cos(step / 2)) > tol)
+        return undefined;
+      sweep += step;
+      sweeps.push(sweep);
+    }
+
+    if (!isNaN(a.z)) {
+      // Every point must be on one plane, or on one helix where Z
+      // changes linearly with the angle swept. Checking just the ends
+      // would let a run that dips and comes back up be cut flat.
+      for (let k = 1; k < pts.length; k++)
+        if (Math.abs(a.z + (c.z - a.z) * sweeps[k] / sweep - pts[k].z) > tol)
+          return undefined;
+      // Helices are limited to half a turn. Near a full turn the
+      // chord is short, and rounding the end point moves the centre.
+      if (c.z !== a.z && Math.abs(sweep) > Math.PI)
+        return undefined;
+    }
+
+    // A full circle can't be described by a single arc, and R can't
+    // reliably describe arcs close to a semicircle
+    if (Math.abs(sweep) >= 2 * Math.PI - 1e-6)
+      return undefined;
+    if (this.arcFitting === "R" && Math.abs(Math.abs(sweep) - Math.PI) < 0.05)
+      return undefined;
+
+    // If all the points are close to the chord, straight lines
+    // are just as good
+    const dx = c.x - a.x, dy = c.y - a.y;
+    const chord = Math.sqrt(dx * dx + dy * dy);
+    if (chord > 0) {
+      let straight = true;
+      for (const p of pts) {
+        if (Math.abs((p.x - a.x) * dy - (p.y - a.y) * dx) / chord > tol) {
+          straight = false;
+          break;
+        }
+      }
+      if (straight)
+        return undefined;
+    }
+
+    return { x: cx, y: cy, r: r, sweep: sweep };
   }
 }
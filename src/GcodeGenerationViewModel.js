@@ -7,6 +7,7 @@
 
 import { UnitConverter } from "./UnitConverter.js";
 import * as Gcode from "./Gcode.js";
+import { PostProcessor } from "./PostProcessor.js";
 import { CutPath } from "./CutPath.js";
 import { CutPaths } from "./CutPaths.js";
 import { ViewModel } from "./ViewModel.js";
@@ -45,6 +46,13 @@ export class GcodeGenerationViewModel extends ViewModel {
    */
   gcodeS = ko.observable("");
 
+  /**
+   * Gcode for the plugs of inlay operations, which are cut from a
+   * separate blank. Empty if there are no inlays.
+   * @member {observable.<string[]>}
+   */
+  plugGcode = ko.observable([]);
+
   /**
    * True to return to machine 0,0 at the end of the GCode.
    * @member {observable.<boolean>}
@@ -77,6 +85,85 @@ export class GcodeGenerationViewModel extends ViewModel {
    */
   extraOffsetY = ko.observable(DEFAULT.EXTRA_Y);
 
+  /**
+   * Name of the post-processor that defines the dialect of the
+   * generated Gcode.
+   * @member {observable.<string>}
+   */
+  postProcessor = ko.observable(DEFAULT.POST_PROCESSOR);
+
+  /**
+   * Names of the available post-processors, for the UI
+   * @member {string[]}
+   */
+  postProcessors = PostProcessor.names();
+
+  /**
+   * True to pause the program after each tool change
+   * @member {observable.<boolean>}
+   */
+  pauseOnToolChange = ko.observable(DEFAULT.TOOL_CHANGE_PAUSE);
+
+  /**
+   * Cutters used in the generated Gcode, in the order they are first
+   * used. Each is `{ toolNumber, diameter, angle }` where diameter is
+   * in Gcode units and angle is in radians. Used by the simulation.
+   * @member {object[]}
+   */
+  cutters = [];
+
+  /**
+   * True to generate Gcode for a laser cutter/engraver
+   * @member {observable.<boolean>}
+   */
+  laserMode = ko.observable(DEFAULT.LASER_MODE);
+
+  /**
+   * Z to move to at the start of a laser job, to focus the laser.
+   * Blank to leave Z alone.
+   * @member {observable.<number>}
+   */
+  laserFocusZ = ko.observable("");
+
+  /**
+   * True to generate Gcode for a pen plotter
+   * @member {observable.<boolean>}
+   */
+  plotterMode = ko.observable(DEFAULT.PLOTTER_MODE);
+
+  /**
+   * Gcode to lift the pen in plotter mode. May be several lines.
+   * @member {observable.<string>}
+   */
+  penUp = ko.observable(DEFAULT.PEN_UP);
+
+  /**
+   * Gcode to lower the pen in plotter mode. May be several lines.
+   * @member {observable.<string>}
+   */
+  penDown = ko.observable(DEFAULT.PEN_DOWN);
+
+  /**
+   * Time (seconds) to wait for the pen to lift or lower
+   * @member {observable.<number>}
+   */
+  penDwell = ko.observable(DEFAULT.PEN_DWELL).extend({ MIN: 0 });
+
+  /**
+   * How to fit arcs to cutting moves, one of "None", "IJ" or "R".
+   * "None" generates only straight line moves (G1). "IJ" and "R" will
+   * replace runs of moves that lie on a circular arc with G2/G3,
+   * specifying the arc using I and J (the centre) or R (the radius).
+   * @member {observable.<string>}
+   */
+  arcFitting = ko.observable(DEFAULT.ARC_FITTING);
+
+  /**
+   * How far a fitted arc may deviate from the original path.
+   * @member {observable.<number>}
+   */
+  arcTolerance = ko.observable(DEFAULT.ARC_TOLERANCE).extend({ MIN: 0 });
+
   /**
    * Width of the work BB, irrespective of the origin.
    * @member {observable.<number>}
@@ -101,6 +188,7 @@ export class GcodeGenerationViewModel extends ViewModel {
     document.addEventListener("UPDATE_GCODE", () => this.#generateGcode());
 
     this.unitConverter = new UnitConverter(this.units);
+    this.unitConverter.add(this.arcTolerance, "arcTolerance");
 
     this.gcode.subscribe(() => {
       this.gcodeS(this.gcode().join("\n"));
@@ -124,6 +212,60 @@ export class GcodeGenerationViewModel extends ViewModel {
       document.dispatchEvent(new Event("PROJECT_CHANGED"));
     });
 
+    this.postProcessor.subscribe(() => {
+      document.dispatchEvent(new Event("UPDATE_GCODE"));
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+    });
+
+    this.pauseOnToolChange.subscribe(() => {
+      document.dispatchEvent(new Event("UPDATE_GCODE"));
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+    });
+
+    this.laserMode.subscribe(v => {
+      if (v)
+        this.plotterMode(false);
+      document.dispatchEvent(new Event("UPDATE_GCODE"));
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+    });
+
+    this.laserFocusZ.subscribe(() => {
+      document.dispatchEvent(new Event("UPDATE_GCODE"));
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+    });
+
+    this.plotterMode.subscribe(v => {
+      if (v)
+        this.laserMode(false);
+      document.dispatchEvent(new Event("UPDATE_GCODE"));
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+    });
+
+    this.penUp.subscribe(() => {
+      document.dispatchEvent(new Event("UPDATE_GCODE"));
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+    });
+
+    this.penDown.subscribe(() => {
+      document.dispatchEvent(new Event("UPDATE_GCODE"));
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+    });
+
+    this.penDwell.subscribe(() => {
+      document.dispatchEvent(new Event("UPDATE_GCODE"));
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+    });
+
+    this.arcFitting.subscribe(() => {
+      document.dispatchEvent(new Event("UPDATE_GCODE"));
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+    });
+
+    this.arcTolerance.subscribe(() => {
+      document.dispatchEvent(new Event("UPDATE_GCODE"));
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+    });
+
     /* @todo generate G10,G54 to do this
      * For future reference:
      * G10 defines the coordinates of work offsets G54-G59
@@ -179,7 +321,18 @@ export class GcodeGenerationViewModel extends ViewModel {
     this.extraOffsetX(DEFAULT.EXTRA_X);
     this.extraOffsetY(DEFAULT.EXTRA_Y);
     this.returnHome(DEFAULT.RETURN_HOME);
+    this.postProcessor(DEFAULT.POST_PROCESSOR);
+    this.pauseOnToolChange(DEFAULT.TOOL_CHANGE_PAUSE);
+    this.laserMode(DEFAULT.LASER_MODE);
+    this.laserFocusZ("");
+    this.plotterMode(DEFAULT.PLOTTER_MODE);
+    this.penUp(DEFAULT.PEN_UP);
+    this.penDown(DEFAULT.PEN_DOWN);
+    this.penDwell(DEFAULT.PEN_DWELL);
+    this.arcFitting(DEFAULT.ARC_FITTING);
+    this.arcTolerance(DEFAULT.ARC_TOLERANCE);
     this.gcode([]);
+    this.plugGcode([]);
     document.dispatchEvent(new Event("UPDATE_SIMULATION"));
   }
 
@@ -195,6 +348,17 @@ export class GcodeGenerationViewModel extends ViewModel {
     App.resizeSimulationCanvas(min, min);
   }
 
+  /**
+   * Get the laser focus Z
+   * @return {number?} the focus Z, or undefined if it isn't set
+   */
+  #laserFocus() {
+    const z = this.laserFocusZ();
+    if (typeof z === "undefined" || z === null || `${z}`.trim() === "")
+      return undefined;
+    return Number(z);
+  }
+
   /**
    * Work out origin offset in Gcode units. This is the offset of the
    * Gcode origin from the *top left* of the bounding box.
@@ -231,6 +395,7 @@ export class GcodeGenerationViewModel extends ViewModel {
       return;
 
     this.gcode([]);
+    this.plugGcode([]);
 
     if (!App.inputsAreValid())
       return;
@@ -255,24 +420,40 @@ export class GcodeGenerationViewModel extends ViewModel {
     const tabs = App.models.Tabs.tabs();
     const tabsDepth = App.models.Tabs.maxCutDepth.toUnits(gunits);
     for (const tab of tabs) {
-      if (tab.enabled()) {
-        // Bloat tab geometry by the cutter radius
-        const bloat = App.models.Tool.cutterDiameter.toUnits("integer") / 2;
-        const tg = tab.combinedGeometry.offset(bloat);
-        tabGeometry = tabGeometry.union(tg);
+      if (tab.enabled())
+        tabGeometry = tabGeometry.union(tab.combinedGeometry);
+    }
+
+    // Work out what cutters are used. Tool changes are only needed
+    // if more than one tool is used.
+    this.cutters = [];
+    const lib = App.models.ToolLibrary;
+    for (const op of ops) {
+      // The clearing tool is used before the operation's own tool
+      const tools = [ op.tool() ];
+      if (op.clearingPaths.length > 0)
+        tools.unshift(op.clearTool());
+      for (const tool of tools) {
+        const toolNumber = lib.getSetting(tool, "toolNumber");
+        if (!this.cutters.find(c => c.toolNumber === toolNumber))
+          this.cutters.push({
+            toolNumber: toolNumber,
+            diameter: lib.getSetting(tool, "cutterDiameter", gunits),
+            angle: lib.getSetting(tool, "cutterAngle") * Math.PI / 180
+          });
       }
     }
+    const changeTools = this.cutters.length > 1;
 
     const offset = this.#originOffset();
     //console.debug("Gcode offset", offset);
 
-    const job = new Gcode.Generator({
+    const settings = {
       gunits:      gunits,
       // Scaling to apply to internal units in paths, to generate Gcode units.
       xScale:      UnitConverter.from.integer.to[gunits],
       yScale:      -UnitConverter.from.integer.to[gunits],
       zScale:      UnitConverter.from.integer.to[gunits],
-      decimal:     2, // 100th mm
       topZ:        App.models.Material.topZ.toUnits(gunits),
       botZ:        App.models.Material.botZ.toUnits(gunits),
       safeZ:       App.models.Material.zSafeMove.toUnits(gunits),
@@ -283,8 +464,19 @@ export class GcodeGenerationViewModel extends ViewModel {
       workWidth:   Number(this.bbWidth()),
       workHeight:  Number(this.bbHeight()),
       xOffset:     offset.x,
-      yOffset:     offset.y
-    });
+      yOffset:     offset.y,
+      postProcessor: this.postProcessor(),
+      arcFitting:  this.arcFitting(),
+      arcTolerance: Number(this.arcTolerance()),
+      toolChangePause: this.pauseOnToolChange(),
+      laser:       this.laserMode(),
+      focusZ:      this.#laserFocus(),
+      plotter:     this.plotterMode(),
+      penUp:       this.penUp(),
+      penDown:     this.penDown(),
+      penDwell:    Number(this.penDwell())
+    };
+    const job = new Gcode.Generator(settings);
 
     if (job.passDepth < 0) {
       App.showAlert("passDepthTooSmall", "alert-warning", job.passDepth);
@@ -293,31 +485,39 @@ export class GcodeGenerationViewModel extends ViewModel {
     }
 
     for (const op of ops) {
-      const opCard = {
-        name:      op.name(),
-        cutType:   op.operation(),
-        ramp:      op.ramp(),
-        passDepth: op.passDepth()
-        ? op.passDepth.toUnits(gunits)
-        : App.models.Tool.passDepth.toUnits(gunits),
-        rpm: op.rpm()
-        ? Number(op.rpm())
-        : Number(App.models.Tool.rpm()),
-        cutRate:   op.cutRate()
-        ? op.cutRate.toUnits(gunits)
-        : App.models.Tool.cutRate.toUnits(gunits),
-        direction: op.direction(),
-        precalculatedZ: op.toolpathGenerator.generatesZ
-      };
+      if (op.clearingPaths.length > 0)
+        // Clear flat areas using the clearing tool
+        job.addOperation(this.#clearingCard(
+          op, `${op.name()} clearing`, op.clearingPaths,
+          changeTools, gunits));
+
+      const opCard = this.#operationCard(op, gunits);
+
+      if (this.laserMode()) {
+        opCard.power = Number(op.power());
+        opCard.passes = Number(op.passes());
+      }
+
+      if (op.needs().drillCycle)
+        opCard.drill = {
+          peck: op.peckDepth.toUnits(gunits),
+          dwell: Number(op.dwell()),
+          retractZ: job.topZ + op.retract.toUnits(gunits)
+        };
+
+      if (changeTools)
+        opCard.tool = this.#operationTool(op);
 
       let paths = op.toolPaths();
       const cutZ = job.topZ - Number(op.cutDepth());
       const tabZ = job.topZ - tabsDepth;
 
       // tabZ must be > the cutZ depth of the Operation. If it isn't,
-      // or Z's were precalculated, then ignore the tab geometry
-      let tg = (tabZ <= cutZ || opCard.precalculatedZ)
-          ? undefined : tabGeometry;
+      // or Z's were precalculated, then ignore the tab geometry.
+      // Otherwise bloat the tab geometry by the radius of the cutter.
+      let tg;
+      if (tabZ > cutZ && !opCard.precalculatedZ && tabGeometry.length > 0)
+        tg = tabGeometry.offset(op.toolSetting("cutterDiameter", "integer") / 2);
 
       let cutPaths = new CutPaths();
       if (opCard.precalculatedZ) {
@@ -337,6 +537,7 @@ export class GcodeGenerationViewModel extends ViewModel {
 
     // Save the gcode to the observable
     this.gcode(job.end());
+    this.plugGcode(this.#generatePlugGcode(ops, settings));
 
     //console.debug(`${this.gcode().length} lines of Gcode generated`);
 
@@ -345,6 +546,135 @@ export class GcodeGenerationViewModel extends ViewModel {
     App.tutorial(4);
   }
 
+  /**
+   * Make a card for an operation, for passing to the Gcode generator.
+   * The card has no paths.
+   * @param {OperationViewModel} op the operation
+   * @param {string} gunits Gcode units
+   * @return {object} the card
+   * @private
+   */
+  #operationCard(op, gunits) {
+    return {
+      name:      op.name(),
+      cutType:   op.operation(),
+      entry:     op.entry(),
+      rampAngle: op.rampAngle() * Math.PI / 180,
+      rampLength: op.rampLength.toUnits(gunits),
+      helixRadius: op.helixRadius.toUnits(gunits),
+      entryArea: op.entryArea,
+      passDepth: op.passDepth()
+      ? op.passDepth.toUnits(gunits)
+      : op.toolSetting("passDepth", gunits),
+      rpm: op.rpm()
+      ? Number(op.rpm())
+      : op.toolSetting("rpm"),
+      cutRate:   op.cutRate()
+      ? op.cutRate.toUnits(gunits)
+      : op.toolSetting("cutRate", gunits),
+      plungeRate: op.toolSetting("plungeRate", gunits),
+      direction: op.direction(),
+      precalculatedZ: op.toolpathGenerator.generatesZ
+    };
+  }
+
+  /**
+   * Get the tool change for an operation
+   * @param {OperationViewModel} op the operation
+   * @return {object} tool for the Gcode generator
+   * @private
+   */
+  #operationTool(op) {
+    return {
+      number: op.toolSetting("toolNumber"),
+      name: op.tool() ?? "Tool Defaults"
+    };
+  }
+
+  /**
+   * Make a card for the paths of the clearing tool of an operation,
+   * for passing to the Gcode generator.
+   * @param {OperationViewModel} op the operation
+   * @param {string} name name for the card
+   * @param {CutPaths} paths clearing tool paths, with Z set
+   * @param {boolean} changeTools true if tool changes are needed
+   * @param {string} gunits Gcode units
+   * @return {object} the card
+   * @private
+   */
+  #clearingCard(op, name, paths, changeTools, gunits) {
+    const lib = App.models.ToolLibrary;
+    const tool = op.clearTool();
+    const card = {
+      name:      name,
+      cutType:   op.operation(),
+      passDepth: lib.getSetting(tool, "passDepth", gunits),
+      rpm:       lib.getSetting(tool, "rpm"),
+      cutRate:   lib.getSetting(tool, "cutRate", gunits),
+      plungeRate: lib.getSetting(tool, "plungeRate", gunits),
+      direction: op.direction(),
+      precalculatedZ: true,
+      paths:     paths
+    };
+    if (changeTools)
+      card.tool = {
+        number: lib.getSetting(tool, "toolNumber"),
+        name: tool
+      };
+    return card;
+  }
+
+  /**
+   * Generate Gcode for the plugs of inlay operations. Plugs are cut
+   * from a separate blank, so get their own Gcode. As the plug is
+   * flipped over to glue it in, the Gcode is mirrored left to right
+   * about the centre of the work.
+   * @param {OperationViewModel[]} ops the enabled operations
+   * @param {object} settings settings used to generate the main Gcode
+   * @return {string[]} the Gcode, empty if there are no plugs
+   * @private
+   */
+  #generatePlugGcode(ops, settings) {
+    ops = ops.filter(op => op.plugPaths.length > 0);
+    if (ops.length === 0)
+      return [];
+
+    const gunits = settings.gunits;
+    const lib = App.models.ToolLibrary;
+    const tools = new Set();
+    for (const op of ops) {
+      tools.add(op.toolSetting("toolNumber"));
+      if (op.plugClearingPaths.length > 0)
+        tools.add(lib.getSetting(op.clearTool(), "toolNumber"));
+    }
+    const changeTools = tools.size > 1;
+
+    // fromUnits converts in place, so work on a copy
+    const obb = App.models.Operations.getBounds();
+    const bb = this.unitConverter.fromUnits(
+      new Rect(obb.x, obb.y, obb.width, obb.height), "integer");
+    const job = new Gcode.Generator({
+      ...settings,
+      xScale: -settings.xScale,
+      xOffset: settings.xOffset - (bb.left + bb.right)
+    });
+
+    for (const op of ops) {
+      if (op.plugClearingPaths.length > 0)
+        job.addOperation(this.#clearingCard(
+          op, `${op.name()} plug clearing`, op.plugClearingPaths,
+          changeTools, gunits));
+      const card = this.#operationCard(op, gunits);
+      card.name = `${op.name()} plug`;
+      card.precalculatedZ = true;
+      card.paths = op.plugPaths;
+      if (changeTools)
+        card.tool = this.#operationTool(op);
+      job.addOperation(card);
+    }
+    return job.end();
+  }
+
   haveGcode() {
     const gc = this.gcode();
     return gc && gc.length > 0;
@@ -398,7 +728,17 @@ export class GcodeGenerationViewModel extends ViewModel {
       origin: this.origin(),
       returnHome: this.returnHome(),
       extraOffsetX: this.extraOffsetX(),
-      extraOffsetY: this.extraOffsetY()
+      extraOffsetY: this.extraOffsetY(),
+      postProcessor: this.postProcessor(),
+      pauseOnToolChange: this.pauseOnToolChange(),
+      laserMode: this.laserMode(),
+      laserFocusZ: this.laserFocusZ(),
+      plotterMode: this.plotterMode(),
+      penUp: this.penUp(),
+      penDown: this.penDown(),
+      penDwell: this.penDwell(),
+      arcFitting: this.arcFitting(),
+      arcTolerance: this.arcTolerance()
     };
   }
 
@@ -411,6 +751,16 @@ export class GcodeGenerationViewModel extends ViewModel {
     this.updateObservable(json, 'returnHome');
     this.updateObservable(json, 'extraOffsetX');
     this.updateObservable(json, 'extraOffsetY');
+    this.updateObservable(json, 'postProcessor');
+    this.updateObservable(json, 'pauseOnToolChange');
+    this.updateObservable(json, 'laserMode');
+    this.updateObservable(json, 'laserFocusZ');
+    this.updateObservable(json, 'plotterMode');
+    this.updateObservable(json, 'penUp');
+    this.updateObservable(json, 'penDown');
+    this.updateObservable(json, 'penDwell');
+    this.updateObservable(json, 'arcFitting');
+    this.updateObservable(json, 'arcTolerance');
   };
 }
 
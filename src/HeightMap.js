@@ -0,0 +1,97 @@
+/*Copyright Crawford Currie 2025. This file is part of SVGcut, see the copyright and LICENSE at the root of the distribution. */
+/* global assert */
+
+/**
+ * A raster image placed on the page, used as a height map. The
+ * brightness of the image is sampled at points in "integer"
+ * coordinates. Transparent pixels are treated as if they were on a
+ * white background.
+ */
+export class HeightMap {
+
+  /**
+   * Brightness of each pixel in the range [0, 1], row by row
+   * @member {Float32Array}
+   * @private
+   */
+  #brightness;
+
+  /**
+   * @param {object} image the pixels, as from `ImageData`
+   * @param {number} image.width width in pixels
+   * @param {number} image.height height in pixels
+   * @param {Uint8ClampedArray} image.data RGBA pixels, 4 bytes per pixel
+   * @param {object} rect where the image is on the page, in "integer"
+   * coordinates
+   * @param {number} rect.x left edge of the image
+   * @param {number} rect.y top edge of the image
+   * @param {number} rect.width width of the image
+   * @param {number} rect.height height of the image
+   */
+  constructor(image, rect) {
+    assert(image.data.length >= image.width * image.height * 4);
+    assert(rect.width > 0 && rect.height > 0);
+
+    /**
+     * Width of the image, in pixels
+     * @member {number}
+     */
+    this.width = image.width;
+
+    /**
+     * Height of the image, in pixels
+     * @member {number}
+     */
+    this.height = image.height;
+
+    /**
+     * Where the image is, in "integer" coordinates
+     * @member {object}
+     */
+    this.rect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+
+    this.#brightness = new Float32Array(this.width * this.height);
+    for (let i = 0; i < this.#brightness.length; i++) {
+      const p = image.data.subarray(4 * i, 4 * i + 4);
+      const lum = (0.299 * p[0] + 0.587 * p[1] + 0.114 * p[2]) / 255;
+      const a = p[3] / 255;
+      this.#brightness[i] = lum * a + 1 - a;
+    }
+  }
+
+  /**
+   * Determine if a point is over the image.
+   * @param {number} X X coordinate
+   * @param {number} Y Y coordinate
+   * @return {boolean} true if the point is over the image
+   */
+  contains(X, Y) {
+    return X >= this.rect.x && X <= this.rect.x + this.rect.width
+    && Y >= this.rect.y && Y <= this.rect.y + this.rect.height;
+  }
+
+  /**
+   * Get the brightness of the image at a point, interpolated between
+   * the centres of the pixels.
+   * @param {number} X X coordinate
+   * @param {number} Y Y coordinate
+   * @return {number?} brightness in the range [0, 1], 0 being black,
+   * or undefined if the point isn't over the image
+   */
+  brightness(X, Y) {
+    if (!this.contains(X, Y))
+      return undefined;
+
+    const px = (X - this.rect.x) * this.width / this.rect.width - 0.5;
+    const py = (Y - this.rect.y) * this.height / this.rect.height - 0.5;
+    const clamp = (v, max) => Math.max(0, Math.min(v, max));
+    const x0 = clamp(Math.floor(px), this.width - 1);
+    const y0 = clamp(Math.floor(py), this.height - 1);
+    const x1 = Math.min(x0 + 1, this.width - 1);
+    const y1 = Math.min(y0 + 1, this.height - 1);
+    const fx = clamp(px - x0, 1), fy = clamp(py - y0, 1);
+    const b = (x, y) => this.#brightness[y * this.width + x];
+    return (b(x0, y0) * (1 - fx) + b(x1, y0) * fx) * (1 - fy)
+    + (b(x0, y1) * (1 - fx) + b(x1, y1) * fx) * fy;
+  }
+}
@@ -0,0 +1,153 @@
+/*Copyright Crawford Currie 2025. This file is part of SVGcut, see the copyright and LICENSE at the root of the distribution. */
+
+/* global assert */
+/* global ClipperLib */
+ClipperLib.use_xyz = true;
+
+import { CutPoint } from "./CutPoint.js";
+import { CutPath } from "./CutPath.js";
+import { CutPaths } from "./CutPaths.js";
+import { ToolpathGenerator } from "./ToolpathGenerator.js";
+import { UnitConverter } from "./UnitConverter.js";
+import { DEFAULT } from "./Constants.js";
+
+// Minimum number of straight steps in each turn of a helix
+const HELIX_STEPS = 36;
+
+// Largest distance (in "integer" units) the straight steps of a helix
+// may stray from the true circle. This is inside the default arc
+// fitting tolerance, so the Gcode generator can replace the steps
+// with helical arcs.
+const HELIX_TOLERANCE =
+      DEFAULT.ARC_TOLERANCE * UnitConverter.from.mm.to.integer / 2;
+
+/**
+ * Bore holes bigger than the cutter by following a helix down to
+ * the bottom of the hole, then cutting a full circle to finish the
+ * wall. Holes are taken from closed paths that are circles, or can
+ * be bored to a given diameter at the vertices of other paths.
+ *
+ * The helix is generated as short straight steps, more of them for
+ * bigger holes. When the Gcode is generated with arc fitting, these
+ * are replaced with helical G2/G3.
+ * @extends ToolpathGenerator
+ */
+export class HelicalBore extends ToolpathGenerator {
+
+  /**
+   * Outlines of the holes, used for the preview
+   * @member {CutPaths}
+   */
+  #holes = new CutPaths();
+
+  constructor() {
+    super({ cutRate: true, direction: true, passDepth: true,
+            holeDiameter: true });
+    this.generatesZ = true;
+  }
+
+  /**
+   * @override
+   */
+  static worksOnPaths() { return "ALL"; }
+
+  /**
+   * Generate the tool path to bore a hole.
+   * @param {object} hole { X, Y, R } centre and radius of the hole
+   * @param {object} params see generateToolpaths
+   * @return {CutPath} the tool path
+   * @private
+   */
+  #bore(hole, params) {
+    const path = new CutPath();
+    const depth = params.cutDepth;
+    const r = hole.R - params.cutterDiameter / 2;
+    if (r <= 0) {
+      // Cutter fills the hole, just plunge
+      path.push(new CutPoint(hole.X, hole.Y, 0));
+      path.push(new CutPoint(hole.X, hole.Y, -depth));
+      return path;
+    }
+
+    // Conventional milling goes anticlockwise around the hole
+    // (in "integer" coordinates), climb goes clockwise
+    const dir = params.climb ? -1 : 1;
+    const pitch = params.passDepth > 0 ? params.passDepth : depth;
+    const turns = Math.max(1, Math.ceil(depth / pitch));
+    // Steps in each turn, so the middle of each step is within
+    // HELIX_TOLERANCE of the circle
+    const perTurn = Math.max(HELIX_STEPS, Math.ceil(
+      Math.PI / Math.acos(Math.max(-1, 1 - HELIX_TOLERANCE / r))));
+    const steps = turns * perTurn;
+    const at = (i, z) => new CutPoint(
+      Math.round(hole.X + r * Math.cos(dir * 2 * Math.PI * i / perTurn)),
+      Math.round(hole.Y + r * Math.sin(dir * 2 * Math.PI * i / perTurn)),
+      Math.round(z));
+
+    // Helix down to the bottom, a constant descent per turn
+    for (let i = 0; i <= steps; i++)
+      path.push(at(i, -depth * i / steps));
+    // Full circle at the bottom to finish the wall
+    for (let i = 1; i <= perTurn; i++)
+      path.push(at(i, -depth));
+    // Move away from the wall before retracting
+    path.push(new CutPoint(hole.X, hole.Y, -depth));
+    return path;
+  }
+
+  /**
+   * Compute tool paths.
+   * @param {CutPaths} geometry
+   * @param {object} params named parameters
+   * @param {number} params.cutterDiameter in "integer" units
+   * @param {number} params.cutDepth depth of the holes
+   * @param {number} params.passDepth depth the helix descends on
+   * each turn, 0 for a single turn
+   * @param {number} params.holeDiameter diameter of holes to bore at
+   * the vertices of paths that aren't circles, 0 to ignore them
+   * @param {boolean} params.climb true for climb milling
+   * @return {CutPaths} tool paths, with Z set
+   * @override
+   */
+  generateToolpaths(geometry, params) {
+    assert(geometry instanceof CutPaths);
+    assert(typeof params.cutterDiameter === "number");
+    assert(typeof params.cutDepth === "number");
+    assert(typeof params.passDepth === "number");
+    assert(typeof params.holeDiameter === "number");
+
+    const holes = [];
+    for (const path of geometry) {
+      const circle = this.circle(path);
+      if (circle)
+        holes.push(circle);
+      else if (params.holeDiameter > 0)
+        for (const pt of path)
+          holes.push({ X: pt.X, Y: pt.Y, R: params.holeDiameter / 2 });
+    }
+
+    const toolPaths = new CutPaths();
+    this.#holes = new CutPaths();
+    for (const hole of holes) {
+      toolPaths.push(this.#bore(hole, params));
+      const r = Math.max(hole.R, params.cutterDiameter / 2);
+      this.#holes.push(this.previewHole(hole, { cutterDiameter: 2 * r }));
+    }
+    return toolPaths;
+  }
+
+  /**
+   * @override
+   */
+  bbBloat(toolPathWidth) {
+    return toolPathWidth / 2;
+  }
+
+  /**
+   * The preview shows the holes
+   * @override
+   */
+  generatePreviewGeometry(toolPaths, params) {
+    return this.#holes;
+  }
+}
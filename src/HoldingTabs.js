@@ -8,6 +8,14 @@ import { CutPoint } from "./CutPoint.js";
 import { CutPath } from "./CutPath.js";
 import { CutPaths } from "./CutPaths.js";
 
+// Automatic tabs are kept away from corners, where the path turns by
+// more than this (radians) within reach of the tab
+const CORNER_TURN = Math.PI / 6;
+
+// Number of positions tried either side of where an automatic tab
+// would ideally go, when avoiding corners
+const SEARCH_STEPS = 50;
+
 /**
  * Given a single tool path and an array of paths representing a set
  * of disjoint polygons representing tabs, split the toolpath into a
@@ -16,7 +24,8 @@ import { CutPaths } from "./CutPaths.js";
  * vertices that reflect the depth to which that path segment is to be
  * cut.
  * @param {CutPath} toolPath path being followed by the cutter, may be
- * open or closed.
+ * open or closed. If a closed path has leads, they are split along with
+ * the path.
  * @param {CutPaths} tabGeometry polygons representing tabs, must all
  * be closed paths and non-overlapping.
  * @param {number} cutZ the Z to cut to outside of tabs (integer units)
@@ -34,6 +43,11 @@ export function splitPathOverTabs(toolPath, tabGeometry, cutZ, tabZ) {
     return new CutPaths([ toolPath ]);
   }
 
+  // A closed path with leads is cut in one go from the start of the
+  // lead in to the end of the lead out
+  if (toolPath.leadIn || toolPath.leadOut)
+    toolPath = toolPath.withLeads();
+
   // Use Difference to extract the cut paths
   let clpr = new ClipperLib.Clipper();
   clpr.ZFillFunction = CutPoint.interpolateZ;
@@ -63,3 +77,109 @@ export function splitPathOverTabs(toolPath, tabGeometry, cutZ, tabZ) {
   // Combine and merge the paths
   return cutDepthPaths.concat(tabDepthPaths).sortPaths(3);
 }
+
+/**
+ * Place holding tabs automatically along a closed tool path. The tabs
+ * are spread evenly round the path, moved away from corners if
+ * required, and are rectangles across the path. When Gcode is
+ * generated the tabs are bloated by the cutter radius, so the length
+ * of material left in each tab is the length of the rectangle.
+ * @param {CutPath} toolPath closed path followed by the centre of the
+ * cutter
+ * @param {object} params named parameters
+ * @param {number?} params.count number of tabs on the path
+ * @param {number?} params.spacing distance between tabs, used if there
+ * is no count
+ * @param {number} params.length length of each tab along the path
+ * @param {number} params.cutterDiameter diameter of the cutter
+ * @param {boolean} params.avoidCorners true to keep tabs off corners
+ * @return {CutPaths} closed paths, one for each tab
+ * @memberof Cam
+ */
+export function placeTabs(toolPath, params) {
+  assert(typeof params.length === "number");
+  assert(typeof params.cutterDiameter === "number");
+  const tabs = new CutPaths();
+  const N = toolPath.length;
+  if (!toolPath.isClosed || N < 2)
+    return tabs;
+
+  // Distance along the path to each vertex
+  const at = [ 0 ];
+  for (let i = 1; i <= N; i++)
+    at.push(at[i - 1] + toolPath[i - 1].dist(toolPath[i % N]));
+  const P = at[N];
+  if (P === 0)
+    return tabs;
+
+  // Don't let tabs overlap
+  const room = params.length + params.cutterDiameter;
+  let n = params.count ?? Math.round(P / params.spacing);
+  n = Math.min(n, Math.floor(P / room));
+  if (!(n > 0))
+    return tabs;
+
+  // How much the path turns at each vertex
+  const turn = [];
+  for (let i = 0; i < N; i++) {
+    const a = toolPath[(i + N - 1) % N], p = toolPath[i];
+    const b = toolPath[(i + 1) % N];
+    const a1 = Math.atan2(p.Y - a.Y, p.X - a.X);
+    const a2 = Math.atan2(b.Y - p.Y, b.X - p.X);
+    let d = Math.abs(a2 - a1);
+    if (d > Math.PI)
+      d = 2 * Math.PI - d;
+    turn.push(p.equals(a) || p.equals(b) ? 0 : d);
+  }
+
+  // Total turn within reach of a tab at distance s along the path
+  const reach = room / 2;
+  function turning(s) {
+    let t = 0;
+    for (let i = 0; i < N; i++) {
+      const d = Math.abs(at[i] - s) % P;
+      if (Math.min(d, P - d) <= reach)
+        t += turn[i];
+    }
+    return t;
+  }
+
+  const slack = P / (2 * n) - reach;
+  for (let k = 0; k < n; k++) {
+    let s = (k + 0.5) * P / n;
+    if (params.avoidCorners && slack > 0 && turning(s) > CORNER_TURN) {
+      // Look for the nearest position that is clear of corners, or
+      // failing that the one with the least turn
+      let best = s, bestTurn = turning(s);
+      const step = slack / SEARCH_STEPS;
+      for (let j = 1; j <= SEARCH_STEPS && bestTurn > CORNER_TURN; j++) {
+        for (const c of [ s - j * step, s + j * step ]) {
+          const t = turning(c);
+          if (t < bestTurn) {
+            best = c;
+            bestTurn = t;
+          }
+        }
+      }
+      s = best;
+    }
+    s = (s + P) % P;
+
+    // Where the tab is, and the direction of the path there
+    let i = 0;
+    while (i < N - 1 && at[i + 1] <= s)
+      i++;
+    const a = toolPath[i], b = toolPath[(i + 1) % N];
+    const l = at[i + 1] - at[i];
+    const f = (s - at[i]) / l;
+    const c = { X: a.X + (b.X - a.X) * f, Y: a.Y + (b.Y - a.Y) * f };
+    const t = { X: (b.X - a.X) / l, Y: (b.Y - a.Y) / l };
+    const hl = params.length / 2, hw = params.cutterDiameter / 2;
+    tabs.push(new CutPath([
+      [ -hl, -hw ], [ hl, -hw ], [ hl, hw ], [ -hl, hw ]
+    ].map(([ u, v ]) => ({
+      X: Math.round(c.X + t.X * u - t.Y * v),
+      Y: Math.round(c.Y + t.Y * u + t.X * v) })), true));
+  }
+  return tabs;
+}
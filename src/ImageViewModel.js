@@ -0,0 +1,249 @@
+/*Copyright Crawford Currie 2025. This file is part of SVGcut, see the copyright and LICENSE at the root of the distribution. */
+//import "knockout";
+/* global ko */
+
+/* global App */
+
+import { ViewModel } from "./ViewModel.js";
+import { HeightMap } from "./HeightMap.js";
+import { UnitConverter } from "./UnitConverter.js";
+import * as SVG from "./SVG.js";
+
+const NS = "http://www.w3.org/2000/svg";
+
+/**
+ * View model for importing raster images (PNG or JPEG) into the
+ * content SVG, where they can be used as height maps by the Relief
+ * operation. The image is embedded in the SVG as a data URL, so it is
+ * saved with the project.
+ * @extends ViewModel
+ * @fires UPDATE_TOOL_PATHS when an image has been decoded into a
+ * height map
+ */
+export class ImageViewModel extends ViewModel {
+
+  /**
+   * Name of the chosen image file
+   * @member {observable.<string>}
+   */
+  fileName = ko.observable("");
+
+  /**
+   * Width of the image on the page. The height is set from the
+   * aspect ratio of the image.
+   * @member {observable.<number>}
+   */
+  width = ko.observable(0);
+
+  /**
+   * X position of the left of the image, from the left of the page
+   * @member {observable.<number>}
+   */
+  x = ko.observable(0);
+
+  /**
+   * Y position of the top of the image, from the top of the page
+   * @member {observable.<number>}
+   */
+  y = ko.observable(0);
+
+  /**
+   * The chosen image, as a data URL
+   * @member {string}
+   * @private
+   */
+  #dataURL;
+
+  /**
+   * Height / width of the chosen image
+   * @member {number}
+   * @private
+   */
+  #aspect = 1;
+
+  /**
+   * Images decoded from `image` elements, keyed by the data URL. Each
+   * entry has the ImageData once it has been decoded, and the last
+   * HeightMap made from it.
+   * @member {Map}
+   * @private
+   */
+  #decoded = new Map();
+
+  /**
+   * @param {UnitConverter} unitConverter the UnitConverter to use
+   */
+  constructor(unitConverter) {
+    super(unitConverter);
+
+    unitConverter.add(this.width, "imageWidth");
+    unitConverter.add(this.x, "imageX");
+    unitConverter.add(this.y, "imageY");
+  }
+
+  /**
+   * @override
+   */
+  bind() {
+    super.bind("ImportImageModal");
+  }
+
+  /**
+   * Load an image from a URL.
+   * @param {string} url the URL
+   * @return {Promise} resolves to an HTMLImageElement
+   * @private
+   */
+  #loadImage(url) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.addEventListener("load", () => resolve(img));
+      img.addEventListener("error", reject);
+      img.src = url;
+    });
+  }
+
+  /**
+   * Read the image file chosen in #ImportImageModal. Invoked from
+   * the file input.
+   * @param {ImageViewModel} vm this
+   * @param {Event} event the change event
+   */
+  chooseFile(vm, event) {
+    const file = event.target.files[0];
+    if (!file)
+      return;
+    const reader = new FileReader();
+    reader.addEventListener("load", e => {
+      this.#dataURL = e.target.result;
+      this.#loadImage(this.#dataURL)
+      .then(img => {
+        this.#aspect = img.naturalHeight / img.naturalWidth;
+        // Default to one pixel per px
+        this.width(this.unitConverter.fromUnits(img.naturalWidth, "px"));
+        this.fileName(file.name);
+      })
+      .catch(e => {
+        console.error(e);
+        App.showAlert("imageLoadError", "alert-danger", file.name);
+      });
+    });
+    reader.addEventListener("error", e => {
+      console.error(e);
+      App.showAlert("imageLoadError", "alert-danger", file.name);
+    });
+    reader.readAsDataURL(file);
+  }
+
+  /**
+   * Add the chosen image to the content SVG. Invoked from
+   * #ImportImageModal.
+   */
+  addImage() {
+    App.hideModals();
+    if (!this.#dataURL)
+      return;
+
+    const x = this.x.toUnits("px"), y = this.y.toUnits("px");
+    const w = this.width.toUnits("px"), h = w * this.#aspect;
+    const svg = document.createElementNS(NS, "svg");
+    svg.setAttribute("width", x + w);
+    svg.setAttribute("height", y + h);
+    svg.setAttribute("viewBox", `0 0 ${x + w} ${y + h}`);
+    const image = document.createElementNS(NS, "image");
+    image.setAttribute("href", this.#dataURL);
+    image.setAttribute("x", x);
+    image.setAttribute("y", y);
+    image.setAttribute("width", w);
+    image.setAttribute("height", h);
+    image.setAttribute("preserveAspectRatio", "none");
+    svg.append(image);
+
+    App.contentSVGGroup.append(svg);
+    App.fitSVG();
+    document.dispatchEvent(new Event("PROJECT_CHANGED"));
+  }
+
+  /**
+   * Decode an image into pixels.
+   * @param {string} url data URL of the image
+   * @return {Promise} resolves to an ImageData
+   * @private
+   */
+  #decode(url) {
+    return this.#loadImage(url)
+    .then(img => {
+      const canvas = document.createElement("canvas");
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      const ctx = canvas.getContext("2d");
+      ctx.drawImage(img, 0, 0);
+      return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    });
+  }
+
+  /**
+   * Get height maps for all the images in the content SVG, in
+   * document order. Images that haven't been decoded yet are skipped;
+   * decoding is started, and UPDATE_TOOL_PATHS is sent when it's done.
+   * @return {HeightMap[]} the height maps
+   */
+  heightMaps() {
+    const maps = [];
+    for (const el of App.contentSVGGroup.querySelectorAll("image")) {
+      const url = el.getAttribute("href") || el.getAttribute("xlink:href");
+      if (!url)
+        continue;
+
+      const decoded = this.#decoded.get(url);
+      if (!decoded) {
+        this.#decoded.set(url, { pending: true });
+        this.#decode(url)
+        .then(data => {
+          this.#decoded.set(url, { data: data });
+          document.dispatchEvent(new Event("UPDATE_TOOL_PATHS"));
+        })
+        .catch(e => {
+          console.error(e);
+          this.#decoded.set(url, { error: e });
+        });
+        continue;
+      }
+      if (!decoded.data)
+        continue;
+
+      // Where the image is on the page, in "integer" coordinates
+      const vb = SVG.getViewBox(el);
+      const segs = SVG.segmentsFromElement(
+        el, { vbx: vb.width, vby: vb.height });
+      let minX = Number.MAX_VALUE, minY = Number.MAX_VALUE;
+      let maxX = -Number.MAX_VALUE, maxY = -Number.MAX_VALUE;
+      for (const seg of segs) {
+        for (let i = 1; i < seg.length; i += 2) {
+          minX = Math.min(minX, seg[i]); maxX = Math.max(maxX, seg[i]);
+          minY = Math.min(minY, seg[i + 1]); maxY = Math.max(maxY, seg[i + 1]);
+        }
+      }
+      if (!(maxX > minX && maxY > minY))
+        continue;
+      const s = UnitConverter.from.px.to.integer;
+      const rect = {
+        x: minX * s, y: minY * s,
+        width: (maxX - minX) * s, height: (maxY - minY) * s
+      };
+      // The same image may be used more than once
+      const map = decoded.map;
+      if (map && map.rect.x === rect.x && map.rect.y === rect.y
+          && map.rect.width === rect.width && map.rect.height === rect.height)
+        maps.push(map);
+      else
+        maps.push(decoded.map = new HeightMap(decoded.data, rect));
+    }
+    return maps;
+  }
+
+  /**
+   * @override
+   */
+  jsonFieldName() { return "image"; }
+}
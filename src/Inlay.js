@@ -0,0 +1,142 @@
+/*Copyright Crawford Currie 2025. This file is part of SVGcut, see the copyright and LICENSE at the root of the distribution. */
+
+/* global assert */
+/* global ClipperLib */
+ClipperLib.use_xyz = true;
+
+import { CutPaths } from "./CutPaths.js";
+import { ToolpathGenerator } from "./ToolpathGenerator.js";
+import { VCarve } from "./VCarve.js";
+
+/**
+ * Generate a matching pair of V-carvings for an inlay; a female
+ * pocket, and a male plug that is glued into it.
+ *
+ * The female pocket is V-carved in the design, with a flat bottom
+ * at the cut depth. The male plug is V-carved around the design, so
+ * that its walls match the walls of the pocket. The plug is cut
+ * deeper than the pocket by the start depth, so when it is flipped
+ * over and pushed into the pocket the two boards are held apart by
+ * the start depth, leaving the glue gap between the top of the plug
+ * and the bottom of the pocket. The excess is cut off after the glue
+ * has set.
+ *
+ * The plug has to be mirrored, as it is flipped over to glue it
+ * in. The plug tool paths are generated in the same place as the
+ * pocket, and are mirrored when the Gcode is generated.
+ * @extends ToolpathGenerator
+ */
+export class Inlay extends ToolpathGenerator {
+
+  /**
+   * The shape being inlaid, used for the preview
+   * @member {CutPaths}
+   */
+  #shape = new CutPaths();
+
+  constructor() {
+    super({ cutRate: true, passDepth: true, vCarve: true, inlay: true });
+    this.generatesZ = true;
+
+    /**
+     * Tool paths for clearing the flat bottom of the pocket, as for
+     * VCarve.
+     * @member {CutPaths}
+     */
+    this.clearingPaths = new CutPaths();
+
+    /**
+     * Tool paths, with Z set, for the V cutter to carve the plug
+     * (unmirrored).
+     * @member {CutPaths}
+     */
+    this.plugPaths = new CutPaths();
+
+    /**
+     * Tool paths, with Z set, for clearing the waste around the plug
+     * (unmirrored).
+     * @member {CutPaths}
+     */
+    this.plugClearingPaths = new CutPaths();
+  }
+
+  /**
+   * @override
+   */
+  static worksOnPaths() { return "CLOSED"; }
+
+  /**
+   * Get the area of the plug blank that has to be carved away to
+   * leave the plug.
+   * @param {CutPaths} shape the shape being inlaid
+   * @param {object} params see generateToolpaths
+   * @return {CutPaths} closed paths
+   */
+  plugWaste(shape, params) {
+    const tanA = Math.tan(params.cutterAngle);
+    // The top of the plug sits the glue gap above the bottom of the
+    // pocket, where the walls of the pocket are inset from the shape
+    const top = shape.offset(
+      -(params.cutDepth - params.inlayGlueGap) * tanA, params);
+    // The walls of the plug run out at the start depth, so the waste
+    // must extend past that far enough for the cutter to clear it
+    const bb = shape.bbox3D();
+    const m = params.inlayStartDepth * tanA + params.cutterDiameter;
+    const blank = new CutPaths([[
+      { X: bb.minX - m, Y: bb.minY - m }, { X: bb.maxX + m, Y: bb.minY - m },
+      { X: bb.maxX + m, Y: bb.maxY + m }, { X: bb.minX - m, Y: bb.maxY + m }
+    ]], true);
+    return blank.difference(top);
+  }
+
+  /**
+   * @param {CutPaths} geometry input geometry
+   * @param {object} params named parameters, as for VCarve, and
+   * @param {number} params.cutDepth depth of the flat bottom of the
+   * pocket
+   * @param {number} params.inlayStartDepth depth of the plug below
+   * the pocket, which is the gap left between the boards
+   * @param {number} params.inlayGlueGap gap left between the top of
+   * the plug and the bottom of the pocket
+   * @return {CutPaths} tool paths for the pocket, with Z set
+   * @override
+   */
+  generateToolpaths(geometry, params) {
+    assert(geometry instanceof CutPaths);
+    assert(typeof params.cutterAngle === "number");
+    assert(typeof params.cutDepth === "number");
+    assert(typeof params.inlayStartDepth === "number");
+    assert(typeof params.inlayGlueGap === "number");
+
+    this.#shape = new CutPaths(geometry.filter(p => p.isClosed));
+    this.clearingPaths = new CutPaths();
+    this.plugPaths = new CutPaths();
+    this.plugClearingPaths = new CutPaths();
+    if (this.#shape.length === 0)
+      return new CutPaths();
+
+    const pocket = new VCarve();
+    const toolPaths = pocket.generateToolpaths(this.#shape, params);
+    this.clearingPaths = pocket.clearingPaths;
+
+    const plugDepth = params.cutDepth - params.inlayGlueGap
+          + params.inlayStartDepth;
+    if (plugDepth > 0) {
+      const plug = new VCarve();
+      this.plugPaths = plug.generateToolpaths(
+        this.plugWaste(this.#shape, params),
+        { ...params, cutDepth: plugDepth });
+      this.plugClearingPaths = plug.clearingPaths;
+    }
+
+    return toolPaths;
+  }
+
+  /**
+   * The preview is the shape being inlaid
+   * @override
+   */
+  generatePreviewGeometry(toolPaths, params) {
+    return this.#shape;
+  }
+}
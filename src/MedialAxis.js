@@ -0,0 +1,313 @@
+/*Copyright Crawford Currie 2025. This file is part of SVGcut, see the copyright and LICENSE at the root of the distribution. */
+
+/**
+ * Approximate the medial axis of closed polygons. The boundary of
+ * the polygons is sampled, and the Voronoi diagram of the samples is
+ * computed (as the dual of the Delaunay triangulation). Voronoi
+ * edges inside the polygons that separate samples on different parts
+ * of the boundary form the medial axis.
+ * @namespace MedialAxis
+ */
+
+import { CutPoint } from "./CutPoint.js";
+
+// Default sampling step along the boundary, "integer" units (0.1mm)
+const SAMPLE_STEP = 10000;
+
+// Maximum number of boundary samples. The sampling step is increased
+// for big shapes to keep the triangulation manageable.
+const MAX_SAMPLES = 4000;
+
+// Voronoi edges where the two boundary samples subtend less than this
+// angle (radians) at the centre of the inscribed circle are
+// discarded. These are "hairs" running to slight corners in the
+// boundary, such as the vertices of a curve approximated by lines.
+const MIN_ANGLE = Math.PI / 6;
+
+// A branch of the medial axis is only extended into a corner if the
+// corner is in this direction (cosine of the angle off the direction
+// of the end of the branch).
+const CORNER_ALIGN = 0.95;
+
+/**
+ * A triangle in a Delaunay triangulation, with its circumcircle
+ * @memberof MedialAxis
+ * @private
+ */
+class Triangle {
+
+  /**
+   * @param {object[]} pts the vertices being triangulated
+   * @param {number} a index of first vertex
+   * @param {number} b index of second vertex
+   * @param {number} c index of third vertex
+   */
+  constructor(pts, a, b, c) {
+    this.v = [ a, b, c ];
+    const A = pts[a], B = pts[b], C = pts[c];
+    const d = 2 * (A.X * (B.Y - C.Y) + B.X * (C.Y - A.Y) + C.X * (A.Y - B.Y));
+    if (d === 0) {
+      // Degenerate; make sure it is replaced by the next point
+      this.X = this.Y = 0;
+      this.r2 = Infinity;
+      return;
+    }
+    const a2 = A.X * A.X + A.Y * A.Y;
+    const b2 = B.X * B.X + B.Y * B.Y;
+    const c2 = C.X * C.X + C.Y * C.Y;
+    this.X = (a2 * (B.Y - C.Y) + b2 * (C.Y - A.Y) + c2 * (A.Y - B.Y)) / d;
+    this.Y = (a2 * (C.X - B.X) + b2 * (A.X - C.X) + c2 * (B.X - A.X)) / d;
+    this.r2 = (A.X - this.X) * (A.X - this.X) + (A.Y - this.Y) * (A.Y - this.Y);
+  }
+
+  /**
+   * Test if a point is inside the circumcircle
+   * @param {object} pt point to test
+   * @return {boolean}
+   */
+  encloses(pt) {
+    const dx = pt.X - this.X, dy = pt.Y - this.Y;
+    return dx * dx + dy * dy < this.r2;
+  }
+}
+
+/**
+ * Delaunay triangulation of a set of points, using the Bowyer-Watson
+ * algorithm.
+ * @param {object[]} pts points { X, Y }
+ * @return {Triangle[]} triangles
+ * @memberof MedialAxis
+ * @private
+ */
+function delaunay(pts) {
+  const n = pts.length;
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of pts) {
+    minX = Math.min(minX, p.X); maxX = Math.max(maxX, p.X);
+    minY = Math.min(minY, p.Y); maxY = Math.max(maxY, p.Y);
+  }
+  const size = Math.max(maxX - minX, maxY - minY, 1) * 20;
+  const midX = (minX + maxX) / 2, midY = (minY + maxY) / 2;
+  // Super-triangle that encloses all the points
+  const verts = pts.concat([
+    { X: midX - size, Y: midY - size },
+    { X: midX + size, Y: midY - size },
+    { X: midX, Y: midY + size } ]);
+
+  let tris = [ new Triangle(verts, n, n + 1, n + 2) ];
+  for (let i = 0; i < n; i++) {
+    const p = verts[i];
+    const keep = [];
+    const edges = new Map();
+    for (const t of tris) {
+      if (t.encloses(p)) {
+        for (let e = 0; e < 3; e++) {
+          const a = t.v[e], b = t.v[(e + 1) % 3];
+          const key = a < b ? `${a},${b}` : `${b},${a}`;
+          const edge = edges.get(key);
+          if (edge)
+            edge.shared = true;
+          else
+            edges.set(key, { a: a, b: b, shared: false });
+        }
+      } else
+        keep.push(t);
+    }
+    for (const edge of edges.values())
+      if (!edge.shared)
+        keep.push(new Triangle(verts, edge.a, edge.b, i));
+    tris = keep;
+  }
+  return tris.filter(t => t.v[0] < n && t.v[1] < n && t.v[2] < n);
+}
+
+/**
+ * Sample the boundary of closed paths.
+ * @param {CutPaths} shape the closed paths
+ * @return {object[]} samples { X, Y, ring, index, count } where ring is
+ * the index of the path, index is the index of the sample around
+ * the path and count is the number of samples on the path.
+ * @memberof MedialAxis
+ * @private
+ */
+function sampleBoundary(shape) {
+  let perimeter = 0;
+  for (const path of shape)
+    perimeter += path.perimeter();
+  const step = Math.max(SAMPLE_STEP, perimeter / MAX_SAMPLES);
+
+  // Small deterministic jitter, to avoid degenerate triangles from
+  // collinear and cocircular samples.
+  let seed = 1;
+  function jitter() {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647 - 0.5;
+  }
+
+  const samples = [];
+  for (let ring = 0; ring < shape.length; ring++) {
+    const path = shape[ring];
+    const pts = [];
+    for (let i = 0; i < path.length; i++) {
+      const a = path[i], b = path[(i + 1) % path.length];
+      const steps = Math.max(1, Math.ceil(a.dist(b) / step));
+      for (let s = 0; s < steps; s++)
+        pts.push({ X: a.X + (b.X - a.X) * s / steps + jitter(),
+                   Y: a.Y + (b.Y - a.Y) * s / steps + jitter() });
+    }
+    for (let index = 0; index < pts.length; index++)
+      samples.push({ X: pts[index].X, Y: pts[index].Y,
+                     ring: ring, index: index, count: pts.length });
+  }
+  return samples;
+}
+
+/**
+ * Compute the angle subtended by two points at a centre
+ * @memberof MedialAxis
+ * @private
+ */
+function subtends(c, p, q) {
+  const ax = p.X - c.X, ay = p.Y - c.Y, bx = q.X - c.X, by = q.Y - c.Y;
+  return Math.abs(Math.atan2(ax * by - ay * bx, ax * bx + ay * by));
+}
+
+/**
+ * Compute the medial axis of a set of closed paths, as a set of
+ * polylines. Each vertex on the polylines is the centre of a circle
+ * inscribed in the shape, and carries the radius of that circle.
+ * @param {CutPaths} shape closed paths. Holes are determined using
+ * the even-odd rule.
+ * @return {object[][]} polylines, each an array of points
+ * { X, Y, R } where R is the radius of the inscribed circle.
+ * @memberof MedialAxis
+ */
+export function medialAxis(shape) {
+  shape = shape.filter(p => p.isClosed && p.length > 2);
+  if (shape.length === 0)
+    return [];
+
+  function inside(pt) {
+    let count = 0;
+    for (const path of shape)
+      if (path.inside(pt) > 0)
+        count++;
+    return (count % 2) === 1;
+  }
+
+  const samples = sampleBoundary(shape);
+  const tris = delaunay(samples);
+  const keep = tris.map(t => inside(new CutPoint(t.X, t.Y)));
+
+  // Map Delaunay edges to the triangles that share them
+  const edgeTris = new Map();
+  tris.forEach((t, ti) => {
+    for (let e = 0; e < 3; e++) {
+      const a = t.v[e], b = t.v[(e + 1) % 3];
+      const key = a < b ? `${a},${b}` : `${b},${a}`;
+      const shared = edgeTris.get(key);
+      if (shared)
+        shared.push(ti);
+      else
+        edgeTris.set(key, [ ti ]);
+    }
+  });
+
+  // Build the graph of medial axis edges, linking triangles
+  // (i.e. Voronoi vertices)
+  const graph = new Map();
+  function link(a, b) {
+    if (!graph.has(a)) graph.set(a, []);
+    if (!graph.has(b)) graph.set(b, []);
+    graph.get(a).push(b);
+    graph.get(b).push(a);
+  }
+  for (const [ key, shared ] of edgeTris) {
+    if (shared.length !== 2 || !keep[shared[0]] || !keep[shared[1]])
+      continue;
+    const [ a, b ] = key.split(",").map(Number);
+    const p = samples[a], q = samples[b];
+    if (p.ring === q.ring) {
+      // Neighbouring samples on the boundary give an edge
+      // perpendicular to the boundary
+      const gap = Math.abs(p.index - q.index);
+      if (gap === 1 || gap === p.count - 1)
+        continue;
+    }
+    const t1 = tris[shared[0]], t2 = tris[shared[1]];
+    if (Math.max(subtends(t1, p, q), subtends(t2, p, q)) < MIN_ANGLE)
+      continue;
+    link(shared[0], shared[1]);
+  }
+
+  // Chain the graph into polylines, breaking at junctions and ends
+  const used = new Set();
+  function edgeKey(a, b) { return a < b ? `${a},${b}` : `${b},${a}`; }
+  function vertex(ti) {
+    const t = tris[ti];
+    return { X: t.X, Y: t.Y, R: Math.sqrt(t.r2) };
+  }
+  // Branches that end near a corner of the shape are extended into
+  // the corner, so it is cut sharp.
+  function intoCorner(line, end) {
+    const last = line[end ? line.length - 1 : 0];
+    const prev = line[end ? line.length - 2 : 1];
+    const dx = last.X - prev.X, dy = last.Y - prev.Y;
+    const len = Math.sqrt(dx * dx + dy * dy);
+    if (len === 0)
+      return;
+    let best, bestD = Infinity;
+    for (const path of shape)
+      for (const pt of path) {
+        const d = Math.sqrt((pt.X - last.X) * (pt.X - last.X)
+                            + (pt.Y - last.Y) * (pt.Y - last.Y));
+        if (d < bestD && d > 0
+            && ((pt.X - last.X) * dx + (pt.Y - last.Y) * dy) / (d * len)
+            > CORNER_ALIGN)
+          best = pt, bestD = d;
+      }
+    if (best && bestD < last.R / Math.sin(MIN_ANGLE / 2)) {
+      const corner = { X: best.X, Y: best.Y, R: 0 };
+      if (end)
+        line.push(corner);
+      else
+        line.unshift(corner);
+    }
+  }
+
+  function walk(from, to) {
+    const line = [ vertex(from) ];
+    used.add(edgeKey(from, to));
+    let prev = from, cur = to;
+    for (;;) {
+      line.push(vertex(cur));
+      const next = graph.get(cur);
+      if (next.length !== 2)
+        break;
+      const nxt = next[0] === prev ? next[1] : next[0];
+      if (used.has(edgeKey(cur, nxt)))
+        break;
+      used.add(edgeKey(cur, nxt));
+      prev = cur;
+      cur = nxt;
+    }
+    if (graph.get(from).length === 1)
+      intoCorner(line, false);
+    if (graph.get(cur).length === 1)
+      intoCorner(line, true);
+    return line;
+  }
+
+  const lines = [];
+  for (const [ node, next ] of graph)
+    if (next.length !== 2)
+      for (const nxt of next)
+        if (!used.has(edgeKey(node, nxt)))
+          lines.push(walk(node, nxt));
+  // Whatever is left is closed loops
+  for (const [ node, next ] of graph)
+    for (const nxt of next)
+      if (!used.has(edgeKey(node, nxt)))
+        lines.push(walk(node, nxt));
+  return lines;
+}
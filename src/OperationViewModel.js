@@ -7,22 +7,42 @@
 
 import { ViewModel } from "./ViewModel.js";
 
+import { CutPoint } from "./CutPoint.js";
 import { CutPath } from "./CutPath.js";
 import { CutPaths } from "./CutPaths.js";
 import { Rect } from "./Rect.js";
 import * as SVG from "./SVG.js";
 import { ToolpathGenerator } from "./ToolpathGenerator.js";
 import { Drill } from "./Drill.js";
+import { DragKnife } from "./DragKnife.js";
 import { Engrave } from "./Engrave.js";
 import { Perforate } from "./Perforate.js";
 import { Pocket } from "./Pocket.js";
+import { VGroove } from "./VGroove.js";
+import { VCarve } from "./VCarve.js";
+import { HelicalBore } from "./HelicalBore.js";
+import { ThreadMill } from "./ThreadMill.js";
+import { Inlay } from "./Inlay.js";
+import { Chamfer } from "./Chamfer.js";
+import { Surface } from "./Surface.js";
+import { Relief } from "./Relief.js";
+import { UnitConverter } from "./UnitConverter.js";
 import { DEFAULT, MIN } from "./Constants.js";
 
 // Fields available in operation detail. Will be conditionally expanded
 // depending on the chosen operation.
 const FIELDS = [
-  "name", "enabled", "combineOp", "opName", "cutDepth", "width",
-  "direction", "spacing", "ramp", "margin", "strategy", "offset"
+  "name", "enabled", "combineOp", "operation", "tool", "cutDepth", "width",
+  "direction", "spacing", "entry", "rampAngle", "rampLength",
+  "helixRadius", "margin", "strategy", "offset",
+  "passDepth", "stepOver", "cutRate", "rpm", "peckDepth", "dwell",
+  "retract", "power", "passes", "bladeOffset", "swivelAngle", "overcut",
+  "clearTool", "engagement", "rasterAngle", "crossHatch", "zigZag",
+  "restMachining", "holeDiameter", "threadPitch", "threadDiameter",
+  "threadType", "threadHand", "inlayStartDepth", "inlayGlueGap",
+  "cornerRelief", "cornerAngle", "leadType", "leadLength", "startRule",
+  "startPoints", "surfaceArea", "surfacePattern", "overhang",
+  "reliefTool", "reliefInvert", "reliefAllowance", "reliefFinishStepOver"
 ];
 
 /**
@@ -36,7 +56,16 @@ const GENERATORS = {
   Engrave:   Engrave,
   Pocket:    Pocket,
   Drill:     Drill,
-  Perforate: Perforate
+  Perforate: Perforate,
+  DragKnife: DragKnife,
+  VGroove:   VGroove,
+  VCarve:    VCarve,
+  HelicalBore: HelicalBore,
+  ThreadMill: ThreadMill,
+  Inlay: Inlay,
+  Chamfer: Chamfer,
+  Surface: Surface,
+  Relief: Relief
 };
 
 /**
@@ -130,6 +159,20 @@ export class OperationViewModel extends ViewModel {
    */
   name = ko.observable("");
 
+  /**
+   * Name of the tool from the tool library used for this operation.
+   * If undefined, the Tool Defaults are used.
+   * @member {observable.<string>}
+   */
+  tool = ko.observable();
+
+  /**
+   * Name of the tool from the tool library used to clear flat
+   * bottoms in a V carve. If undefined, flat bottoms are not cleared.
+   * @member {observable.<string>}
+   */
+  clearTool = ko.observable();
+
   /**
    * Operations can be selectively enabled/disabled for Gcode
    * generation
@@ -138,10 +181,29 @@ export class OperationViewModel extends ViewModel {
   enabled = ko.observable(true);
 
   /**
-   * Enable ramping. See README.md
-   * @member {observable.<boolean>}
+   * How to get down into the work at the start of each pass;
+   * "Plunge", "Linear" ramp, "ZigZag" ramp or "Helical" ramp.
+   * @member {observable.<string>}
    */
-  ramp = ko.observable(DEFAULT.RAMP);
+  entry = ko.observable(DEFAULT.ENTRY);
+
+  /**
+   * Maximum angle of a ramp from the horizontal, in degrees
+   * @member {observable.<number>}
+   */
+  rampAngle = ko.observable(DEFAULT.RAMP_ANGLE).extend({ MIN: 0.1, MAX: 90 });
+
+  /**
+   * Length of a zig-zag ramp
+   * @member {observable.<number>}
+   */
+  rampLength = this.limited("RAMP_LENGTH");
+
+  /**
+   * Radius of a helical ramp
+   * @member {observable.<number>}
+   */
+  helixRadius = this.limited("HELIX_RADIUS");
 
   /**
    * Either "Conventional" or "Climb". See README.md
@@ -161,12 +223,122 @@ export class OperationViewModel extends ViewModel {
    */
   strategy = ko.observable(DEFAULT.STRATEGY);
 
+  /**
+   * Maximum angle (degrees) of the cutter circumference that is
+   * engaged with the material, for adaptive pocketing.
+   * @member {observable.<number>}
+   */
+  engagement = ko.observable(DEFAULT.ENGAGEMENT)
+  .extend({ MIN: 1, MAX: 180 });
+
+  /**
+   * Angle (degrees) of rasters from the X axis, for angled raster
+   * pocketing.
+   * @member {observable.<number>}
+   */
+  rasterAngle = ko.observable(DEFAULT.RASTER_ANGLE);
+
+  /**
+   * Add a second set of rasters at right angles to the first.
+   * @member {observable.<boolean>}
+   */
+  crossHatch = ko.observable(DEFAULT.CROSS_HATCH);
+
+  /**
+   * Cut rasters back and forth (true) or all in the same direction.
+   * @member {observable.<boolean>}
+   */
+  zigZag = ko.observable(DEFAULT.ZIG_ZAG);
+
+  /**
+   * Only cut the material left by the previous operation.
+   * @member {observable.<boolean>}
+   */
+  restMachining = ko.observable(DEFAULT.REST_MACHINING);
+
+  /**
+   * Relief to add to inside corners, one of "None", "Dogbone" or
+   * "TBone".
+   * @member {observable.<string>}
+   */
+  cornerRelief = ko.observable(DEFAULT.CORNER_RELIEF);
+
+  /**
+   * Inside corners with an angle (degrees) less than this get relief.
+   * @member {observable.<number>}
+   */
+  cornerAngle = ko.observable(DEFAULT.CORNER_ANGLE)
+  .extend({ MIN: 1, MAX: 180 });
+
+  /**
+   * Lead in and out to add to closed paths, one of "None", "Tangent",
+   * "Arc" or "Perpendicular".
+   * @member {observable.<string>}
+   */
+  leadType = ko.observable(DEFAULT.LEAD_TYPE);
+
+  /**
+   * Length of a straight lead in or out, or radius of an arc.
+   * @member {observable.<number>}
+   */
+  leadLength = this.limited("LEAD_LENGTH");
+
+  /**
+   * Where closed tool paths without a picked start point start, one of
+   * "Generated", "Nearest" or "LongestEdge".
+   * @member {observable.<string>}
+   */
+  startRule = ko.observable(DEFAULT.START_RULE);
+
+  /**
+   * Start points picked by clicking on the tool paths, in "integer"
+   * units. Each closed tool path starts at the vertex closest to the
+   * picked point closest to it, so the points survive regeneration.
+   * @member {observable.<object[]>}
+   */
+  startPoints = ko.observable([]);
+
+  /**
+   * True when the next click on the SVG picks a start point.
+   * @member {observable.<boolean>}
+   */
+  pickingStartPoint = ko.observable(false);
+
   /**
    * Paths taken by the tool to execute this operation.
    * @member {observable.<CutPaths>}
    */
   toolPaths = ko.observable(new CutPaths());
 
+  /**
+   * Paths taken by the clearing tool, for operations that use a
+   * second tool to clear flat areas. Z's are precalculated.
+   * @member {CutPaths}
+   */
+  clearingPaths = new CutPaths();
+
+  /**
+   * Paths for the plug of an inlay, which is cut from a separate
+   * blank and mirrored when Gcode is generated. Z's are
+   * precalculated.
+   * @member {CutPaths}
+   */
+  plugPaths = new CutPaths();
+
+  /**
+   * Paths taken by the clearing tool for the plug of an inlay.
+   * @member {CutPaths}
+   */
+  plugClearingPaths = new CutPaths();
+
+  /**
+   * Where the centre of the cutter can move without cutting into the
+   * walls, for operations (such as pockets) that can enter the work
+   * using a helical ramp.
+   * @member {CutPaths}
+   */
+  entryArea = new CutPaths();
+
   /**
    * Maximum depth to cut to.
    * @member {observable.<number>}
@@ -217,6 +389,149 @@ export class OperationViewModel extends ViewModel {
    */
   rpm = ko.observable().extend({ MIN_NULL: 0 });
 
+  /**
+   * Depth of each peck in a drilling cycle, 0 for no pecking.
+   * @member {observable.<number>}
+   */
+  peckDepth = ko.observable(DEFAULT.PECK_DEPTH).extend({ MIN: 0 });
+
+  /**
+   * Time to dwell at the bottom of a drill hole, in seconds.
+   * @member {observable.<number>}
+   */
+  dwell = ko.observable(DEFAULT.DWELL).extend({ MIN: 0 });
+
+  /**
+   * Height of the drilling cycle retract plane above the top of
+   * the material.
+   * @member {observable.<number>}
+   */
+  retract = ko.observable(DEFAULT.RETRACT).extend({ MIN: 0 });
+
+  /**
+   * Laser power (S value), used in laser mode.
+   * @member {observable.<number>}
+   */
+  power = ko.observable(DEFAULT.LASER_POWER).extend({ MIN: 0 });
+
+  /**
+   * Number of times to follow the toolpaths, used in laser mode
+   * instead of the pass depth.
+   * @member {observable.<number>}
+   */
+  passes = ko.observable(DEFAULT.LASER_PASSES).extend({ MIN: 1 });
+
+  /**
+   * Distance from the axis of a drag knife to the tip of the blade.
+   * @member {observable.<number>}
+   */
+  bladeOffset = ko.observable(DEFAULT.BLADE_OFFSET).extend({ MIN: 0 });
+
+  /**
+   * Changes in direction (degrees) greater than this make a drag
+   * knife swivel around the corner.
+   * @member {observable.<number>}
+   */
+  swivelAngle = ko.observable(DEFAULT.SWIVEL_ANGLE)
+  .extend({ MIN: 0, MAX: 180 });
+
+  /**
+   * How far a drag knife continues past the start of a closed path.
+   * @member {observable.<number>}
+   */
+  overcut = ko.observable(DEFAULT.OVERCUT).extend({ MIN: 0 });
+
+  /**
+   * Diameter of holes bored at the vertices of paths that aren't
+   * circles. 0 to only bore circles.
+   * @member {observable.<number>}
+   */
+  holeDiameter = ko.observable(DEFAULT.HOLE_DIAMETER).extend({ MIN: 0 });
+
+  /**
+   * Distance between the turns of a milled thread.
+   * @member {observable.<number>}
+   */
+  threadPitch = ko.observable(DEFAULT.THREAD_PITCH).extend({ MIN: 0 });
+
+  /**
+   * Major diameter of a milled thread.
+   * @member {observable.<number>}
+   */
+  threadDiameter = ko.observable(DEFAULT.THREAD_DIAMETER).extend({ MIN: 0 });
+
+  /**
+   * Whether a milled thread is "Internal" or "External".
+   * @member {observable.<string>}
+   */
+  threadType = ko.observable(DEFAULT.THREAD_TYPE);
+
+  /**
+   * Whether a milled thread is "Right" or "Left" handed.
+   * @member {observable.<string>}
+   */
+  threadHand = ko.observable(DEFAULT.THREAD_HAND);
+
+  /**
+   * How much deeper the plug of an inlay is cut than the pocket.
+   * @member {observable.<number>}
+   */
+  inlayStartDepth = ko.observable(DEFAULT.INLAY_START_DEPTH).extend({ MIN: 0 });
+
+  /**
+   * Gap left between the plug of an inlay and the bottom of the
+   * pocket.
+   * @member {observable.<number>}
+   */
+  inlayGlueGap = ko.observable(DEFAULT.INLAY_GLUE_GAP).extend({ MIN: 0 });
+
+  /**
+   * Area to surface, "Page" (the SVG page) or "Content" (the bounding
+   * box of the SVG content)
+   * @member {observable.<string>}
+   */
+  surfaceArea = ko.observable(DEFAULT.SURFACE_AREA);
+
+  /**
+   * How to surface, "Raster" or "Spiral"
+   * @member {observable.<string>}
+   */
+  surfacePattern = ko.observable(DEFAULT.SURFACE_PATTERN);
+
+  /**
+   * How far surfacing extends beyond the edges of the area.
+   * @member {observable.<number>}
+   */
+  overhang = this.limited("SURFACE_OVERHANG");
+
+  /**
+   * Shape of the cutter used to carve a relief, "Ball" or "V" (a
+   * flat end mill is a V with a 90 degree angle)
+   * @member {observable.<string>}
+   */
+  reliefTool = ko.observable(DEFAULT.RELIEF_TOOL);
+
+  /**
+   * True to carve white deepest in a relief, rather than black
+   * @member {observable.<boolean>}
+   */
+  reliefInvert = ko.observable(DEFAULT.RELIEF_INVERT);
+
+  /**
+   * Material left on a relief by the roughing passes, to be removed
+   * by the finishing pass.
+   * @member {observable.<number>}
+   */
+  reliefAllowance = this.limited("RELIEF_ALLOWANCE");
+
+  /**
+   * Step over of the finishing pass of a relief, as a percentage of
+   * the cutter diameter.
+   * @member {observable.<number>}
+   */
+  reliefFinishStepOver = ko.observable(DEFAULT.RELIEF_FINISH_STEP_OVER)
+  .extend({ MIN: 1, MAX: 100 });
+
   /**
    * @param {UnitConverter} unit converter to use
    * @param {CutPaths} operandPaths input paths to the operation
@@ -234,6 +549,12 @@ export class OperationViewModel extends ViewModel {
     });
 
     this.updateAvailableOperations();
+    // Without any paths, only operations that don't need them can be used
+    if (this.availableOperations.indexOf(this.operation()) < 0) {
+      this.operation(this.availableOperations()[0]);
+      this.toolpathGenerator = new (GENERATORS[this.operation()])();
+      this.needs(this.toolpathGenerator.needs);
+    }
 
     this.operation.subscribe(value => {
       // Instantiate a new toolpath generator for the chosen op
@@ -259,7 +580,34 @@ export class OperationViewModel extends ViewModel {
       this.#updateGcode();
     });
 
-    this.ramp.subscribe(() => {
+    this.tool.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.recombine();
+    });
+
+    this.clearTool.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.recombine();
+    });
+
+    this.entry.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.#updateGcode();
+    });
+
+    this.rampAngle.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.#updateGcode();
+    });
+
+    unitConverter.add(this.rampLength, "rampLength");
+    this.rampLength.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.#updateGcode();
+    });
+
+    unitConverter.add(this.helixRadius, "helixRadius");
+    this.helixRadius.subscribe(() => {
       document.dispatchEvent(new Event("PROJECT_CHANGED"));
       this.#updateGcode();
     });
@@ -279,6 +627,62 @@ export class OperationViewModel extends ViewModel {
       this.generateToolpaths();
     });
 
+    this.engagement.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.generateToolpaths();
+    });
+
+    this.rasterAngle.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.generateToolpaths();
+    });
+
+    this.crossHatch.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.generateToolpaths();
+    });
+
+    this.zigZag.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.generateToolpaths();
+    });
+
+    this.restMachining.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.generateToolpaths();
+    });
+
+    this.cornerRelief.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.generateToolpaths();
+    });
+
+    this.cornerAngle.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.generateToolpaths();
+    });
+
+    this.leadType.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.generateToolpaths();
+    });
+
+    unitConverter.add(this.leadLength, "leadLength");
+    this.leadLength.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.generateToolpaths();
+    });
+
+    this.startRule.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.generateToolpaths();
+    });
+
+    this.startPoints.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.generateToolpaths();
+    });
+
     this.toolPaths.subscribe(() => this.#updateGcode());
 
     unitConverter.add(this.cutDepth, "cutDepth");
@@ -328,6 +732,127 @@ export class OperationViewModel extends ViewModel {
       document.dispatchEvent(new Event("UPDATE_GCODE"));
     });
 
+    unitConverter.add(this.peckDepth, "peckDepth");
+    this.peckDepth.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      document.dispatchEvent(new Event("UPDATE_GCODE"));
+    });
+
+    this.dwell.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      document.dispatchEvent(new Event("UPDATE_GCODE"));
+    });
+
+    unitConverter.add(this.retract, "retract");
+    this.retract.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      document.dispatchEvent(new Event("UPDATE_GCODE"));
+    });
+
+    this.power.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      document.dispatchEvent(new Event("UPDATE_GCODE"));
+    });
+
+    this.passes.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      document.dispatchEvent(new Event("UPDATE_GCODE"));
+    });
+
+    unitConverter.add(this.bladeOffset, "bladeOffset");
+    this.bladeOffset.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.recombine();
+    });
+
+    this.swivelAngle.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.recombine();
+    });
+
+    unitConverter.add(this.overcut, "overcut");
+    this.overcut.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.recombine();
+    });
+
+    unitConverter.add(this.holeDiameter, "holeDiameter");
+    this.holeDiameter.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.recombine();
+    });
+
+    unitConverter.add(this.threadPitch, "threadPitch");
+    this.threadPitch.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.recombine();
+    });
+
+    unitConverter.add(this.threadDiameter, "threadDiameter");
+    this.threadDiameter.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.recombine();
+    });
+
+    this.threadType.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.recombine();
+    });
+
+    this.threadHand.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.recombine();
+    });
+
+    unitConverter.add(this.inlayStartDepth, "inlayStartDepth");
+    this.inlayStartDepth.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.recombine();
+    });
+
+    unitConverter.add(this.inlayGlueGap, "inlayGlueGap");
+    this.inlayGlueGap.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.recombine();
+    });
+
+    this.surfaceArea.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.recombine();
+    });
+
+    this.surfacePattern.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.recombine();
+    });
+
+    unitConverter.add(this.overhang, "overhang");
+    this.overhang.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.recombine();
+    });
+
+    this.reliefTool.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.generateToolpaths();
+    });
+
+    this.reliefInvert.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.generateToolpaths();
+    });
+
+    unitConverter.add(this.reliefAllowance, "reliefAllowance");
+    this.reliefAllowance.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.generateToolpaths();
+    });
+
+    this.reliefFinishStepOver.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      this.generateToolpaths();
+    });
+
     document.addEventListener(
       "UPDATE_TOOL_PATHS", () => this.generateToolpaths());
   }
@@ -335,17 +860,41 @@ export class OperationViewModel extends ViewModel {
   /**
    */
   updateAvailableOperations() {
+    const haveAny = this.#operandPaths.length > 0;
     const haveClosed =
           this.#operandPaths.filter(p => p.isClosed).length > 0;
+    this.availableOperations.removeAll();
     for (const opName of Object.keys(GENERATORS)) {
       const op = GENERATORS[opName];
-      if (op.worksOnPaths() === "ALL" || op.worksOnPaths() === "OPEN")
+      if (op.worksOnPaths() === "NONE")
+        this.availableOperations.push(opName);
+      else if (!haveAny)
+        continue;
+      else if (op.worksOnPaths() === "ALL" || op.worksOnPaths() === "OPEN")
         this.availableOperations.push(opName);
       else if (haveClosed && op.worksOnPaths() === "CLOSED")
         this.availableOperations.push(opName);
     }
   }
 
+  /**
+   * Get the geometry for operations that don't work on paths, such as
+   * surfacing; a rectangle around the area to be worked.
+   * @return {CutPaths} the geometry
+   * @private
+   */
+  #areaGeometry() {
+    const r = (this.surfaceArea() === "Content")
+          ? SVG.getBounds(App.contentSVGGroup)
+          : App.getPageDimensions();
+    const s = UnitConverter.from.px.to.integer;
+    return new CutPaths([[
+      { X: r.x * s, Y: r.y * s }, { X: (r.x + r.width) * s, Y: r.y * s },
+      { X: (r.x + r.width) * s, Y: (r.y + r.height) * s },
+      { X: r.x * s, Y: (r.y + r.height) * s }
+    ]], true);
+  }
+
   /**
    * Used internally to signal that toolPaths or Gcode generation
    * parameters have changed.
@@ -355,6 +904,19 @@ export class OperationViewModel extends ViewModel {
       document.dispatchEvent(new Event("UPDATE_GCODE"));
   }
 
+  /**
+   * Get the value of a tool setting for this operation, from the
+   * library tool selected for the operation or, if there isn't one,
+   * the Tool Defaults. Does not take account of overrides in the
+   * operation.
+   * @param {string} field the setting e.g. "cutterDiameter"
+   * @param {string} units units to convert lengths and rates to
+   * @return {number} the value of the setting
+   */
+  toolSetting(field, units) {
+    return App.models.ToolLibrary.getSetting(this.tool(), field, units);
+  }
+
   /**
    * Toggle the display of the detail dropdown.
    * Used from HTML via knockout.
@@ -363,6 +925,41 @@ export class OperationViewModel extends ViewModel {
     this.showDetail(!this.showDetail());
   }
 
+  /**
+   * Invoked from HTML. The next click on the SVG picks the start point
+   * of a tool path, see pickStartPoint.
+   */
+  pickStartPoint() {
+    this.pickingStartPoint(!this.pickingStartPoint());
+  }
+
+  /**
+   * Handle a click on the SVG while picking a start point. The closed
+   * tool path closest to the click will start at the vertex closest
+   * to it, replacing any start point already picked for that path.
+   * @param {object} pt the point clicked, `{ X, Y }` in "integer" units
+   */
+  clickOnSVG(pt) {
+    this.pickingStartPoint(false);
+    const paths = this.toolPaths();
+    const here = paths.closestVertex(new CutPoint(pt.X, pt.Y), true);
+    if (!here)
+      return;
+    const points = this.startPoints().filter(sp => {
+      const best = paths.closestVertex(new CutPoint(sp.X, sp.Y), true);
+      return best.pathIndex !== here.pathIndex;
+    });
+    points.push({ X: Math.round(pt.X), Y: Math.round(pt.Y) });
+    this.startPoints(points);
+  }
+
+  /**
+   * Invoked from HTML. Forget the picked start points.
+   */
+  clearStartPoints() {
+    this.startPoints([]);
+  }
+
   /**
    * Invoked from HTML. Operations are bound to this view model, so
    * when removeOperation is bound it comes here.
@@ -406,6 +1003,24 @@ export class OperationViewModel extends ViewModel {
       this.#toolPathSVG.remove();
     this.#toolPathSVG = undefined;
     this.toolPaths(new CutPaths());
+    this.clearingPaths = new CutPaths();
+    this.plugPaths = new CutPaths();
+    this.plugClearingPaths = new CutPaths();
+    this.entryArea = new CutPaths();
+  }
+
+  /**
+   * Find the operation used for rest machining. This is the nearest
+   * enabled operation before this one that has tool paths.
+   * @return {OperationViewModel?} the operation, or undefined
+   * @private
+   */
+  #previousOperation() {
+    const ops = App.models.Operations.operations();
+    for (let i = ops.indexOf(this) - 1; i >= 0; i--)
+      if (ops[i].enabled() && ops[i].toolPaths().length > 0)
+        return ops[i];
+    return undefined;
   }
 
   /**
@@ -486,13 +1101,15 @@ export class OperationViewModel extends ViewModel {
     //console.debug(`generateToolpath for the ${this.#combinedGeometry.length} paths in ${this.name()}`);
 
     let geometry = this.#combinedGeometry;
+    if (this.needs().surface)
+      geometry = this.#areaGeometry();
 
-    const toolModel = App.models.Tool;
-    const passDepth = (this.passDepth()
-          ? this.passDepth : toolModel.passDepth).toUnits("integer");
+    const passDepth = this.passDepth()
+          ? this.passDepth.toUnits("integer")
+          : this.toolSetting("passDepth", "integer");
     const stepOver = Number((this.stepOver())
                             ? this.stepOver()
-                            : toolModel.stepOver());
+                            : this.toolSetting("stepOver"));
     const zOnTop = App.models.Material.zOrigin() === "Top";
     const cutDepth = this.cutDepth.toUnits("integer");
     const clear = App.models.Material.clearance.toUnits("integer");
@@ -500,9 +1117,9 @@ export class OperationViewModel extends ViewModel {
     const params = App.models.Approximation.approximations;
     // Don't allow cutter diameter <= 0
     params.cutterDiameter = Math.max(
-      toolModel.cutterDiameter.toUnits("integer"),
+      this.toolSetting("cutterDiameter", "integer"),
       ToolpathGenerator.FP_TOLERANCE);
-    params.cutterAngle = toolModel.cutterAngle() * Math.PI / 180;
+    params.cutterAngle = this.toolSetting("cutterAngle") * Math.PI / 180;
     params.cutDepth = cutDepth;
     params.passDepth = passDepth;
     params.overlap = 1 - stepOver / 100; // convert %age
@@ -510,15 +1127,65 @@ export class OperationViewModel extends ViewModel {
     params.safeZ = zOnTop ? clear : clear + cutDepth;
     params.topZ = zOnTop ? 0 : cutDepth;
     params.botZ = zOnTop ? -cutDepth : 0;
-    params.width = Math.max(
-      this.width.toUnits("integer"), params.cutterDiameter);
+    // Generators that can't cut narrower than the cutter must limit this
+    params.width = this.width.toUnits("integer");
     params.spacing = this.spacing.toUnits("integer");
     params.margin = this.margin.toUnits("integer");
     params.strategy = this.strategy();
+    params.engagement = this.engagement() * Math.PI / 180;
+    params.rasterAngle = this.rasterAngle() * Math.PI / 180;
+    params.crossHatch = this.crossHatch();
+    params.zigZag = this.zigZag();
+    params.cornerRelief = this.cornerRelief();
+    params.cornerAngle = this.cornerAngle() * Math.PI / 180;
+    params.leadType = this.leadType();
+    params.leadLength = this.leadLength.toUnits("integer");
+    params.startRule = this.startRule();
+    params.startPoints = this.startPoints();
     params.offset = this.offset();
+    params.bladeOffset = this.bladeOffset.toUnits("integer");
+    params.swivelAngle = this.swivelAngle() * Math.PI / 180;
+    params.overcut = this.overcut.toUnits("integer");
+    params.holeDiameter = this.holeDiameter.toUnits("integer");
+    params.threadPitch = this.threadPitch.toUnits("integer");
+    params.threadDiameter = this.threadDiameter.toUnits("integer");
+    params.threadType = this.threadType();
+    params.threadHand = this.threadHand();
+    params.inlayStartDepth = this.inlayStartDepth.toUnits("integer");
+    params.inlayGlueGap = this.inlayGlueGap.toUnits("integer");
+    params.surfacePattern = this.surfacePattern();
+    params.overhang = this.overhang.toUnits("integer");
+    if (this.needs().relief)
+      params.heightMaps = App.models.Image.heightMaps();
+    params.reliefTool = this.reliefTool();
+    params.reliefInvert = this.reliefInvert();
+    params.reliefAllowance = this.reliefAllowance.toUnits("integer");
+    params.reliefFinishStepOver = this.reliefFinishStepOver() / 100;
+    const clearTool = this.clearTool();
+    params.clearDiameter = clearTool
+    ? App.models.ToolLibrary.getSetting(clearTool, "cutterDiameter", "integer")
+    : 0;
+    params.clearPassDepth = clearTool
+    ? App.models.ToolLibrary.getSetting(clearTool, "passDepth", "integer")
+    : 0;
+
+    let paths = this.toolpathGenerator.generateToolpaths(geometry, params);
+
+    if (this.needs().restMachining && this.restMachining()) {
+      const prev = this.#previousOperation();
+      if (prev) {
+        params.restPaths = prev.toolPaths();
+        params.restDiameter = prev.toolSetting("cutterDiameter", "integer");
+        paths = this.toolpathGenerator.restToolpaths(paths, params);
+      }
+    }
 
-    const paths = this.toolpathGenerator.generateToolpaths(geometry, params);
-
+    this.clearingPaths = this.toolpathGenerator.clearingPaths
+    ?? new CutPaths();
+    this.plugPaths = this.toolpathGenerator.plugPaths ?? new CutPaths();
+    this.plugClearingPaths = this.toolpathGenerator.plugClearingPaths
+    ?? new CutPaths();
+    this.entryArea = this.toolpathGenerator.entryArea ?? new CutPaths();
     this.toolPaths(paths);
 
     //console.debug(`generated ${paths.length} tool paths for ${this.name()}`);
@@ -547,7 +1214,7 @@ export class OperationViewModel extends ViewModel {
     }
 
     // Add the centre of the toolpaths to the SVG view
-    const segs = this.toolPaths().toSegments();
+    const segs = this.toolPaths().concat(this.clearingPaths).toSegments();
     if (segs && segs.length > 0) {
       const svgel = document.createElementNS(
           'http://www.w3.org/2000/svg', "path");
@@ -571,7 +1238,7 @@ export class OperationViewModel extends ViewModel {
     // How much to expand the BB if necessary to account for the
     // radius of the tool cutting outside the tool path. This is
     // an approximation only.
-    const tpw = Math.max(App.models.Tool.cutterDiameter.toUnits("integer"),
+    const tpw = Math.max(this.toolSetting("cutterDiameter", "integer"),
                          this.width.toUnits("integer"));
     const bloat = this.toolpathGenerator.bbBloat(tpw);
 
@@ -598,8 +1265,15 @@ export class OperationViewModel extends ViewModel {
     };
 
     for (const f of FIELDS)
-      if (this.needs(f))
-        json[f] = this[f]();
+      json[f] = this[f]();
+
+    // Keep a copy of the library tool, so the project can be
+    // loaded in a browser that doesn't have it
+    if (this.tool())
+      json.toolDefinition = App.models.ToolLibrary.getTool(this.tool());
+    if (this.clearTool())
+      json.clearToolDefinition =
+      App.models.ToolLibrary.getTool(this.clearTool());
 
     return json;
   };
@@ -610,8 +1284,17 @@ export class OperationViewModel extends ViewModel {
   fromJson(json) {
     // suppress recombine until we're finished
     this.#disableRecombination = true;
+    if (json.toolDefinition
+        && !App.models.ToolLibrary.getTool(json.toolDefinition.name))
+      App.models.ToolLibrary.addTool(json.toolDefinition);
+    if (json.clearToolDefinition
+        && !App.models.ToolLibrary.getTool(json.clearToolDefinition.name))
+      App.models.ToolLibrary.addTool(json.clearToolDefinition);
     for (const f of FIELDS)
       this.updateObservable(json, f);
+    // Older projects only had a ramp on/off switch
+    if (typeof json.entry === "undefined" && json.ramp)
+      this.entry("Linear");
     const genClass = GENERATORS[this.operation()];
     this.toolpathGenerator = new (genClass)();
     this.updateAvailableOperations();
@@ -31,14 +31,13 @@ export class OperationsViewModel extends ViewModel {
   boundingBox = ko.observable(new Rect());
 
   /**
-   * Can an operation be added? Parameters have to be valid, and there
-   * has to be a selection
+   * Can an operation be added? Parameters have to be valid. If
+   * nothing is selected, only operations that don't need paths (such
+   * as Surface) will be available.
    * @return {boolean} true if an operation can be added
    */
   canAddOperation = ko.pureComputed({
-    read: () =>
-    App.inputsAreValid()
-    && App.models.Selection.isSomethingSelected(),
+    read: () => App.inputsAreValid(),
     write: () => assert(false)
   });
 
@@ -84,6 +83,22 @@ export class OperationsViewModel extends ViewModel {
       this.boundingBox(newBB);
   }
 
+  /**
+   * Regenerate the tool paths of rest machining operations that come
+   * after an operation, as they depend on its tool paths.
+   * @param {OperationViewModel?} op the operation that changed, or
+   * undefined to regenerate all rest machining operations
+   */
+  #updateRestMachining(op) {
+    const ops = this.operations();
+    for (let i = op ? ops.indexOf(op) + 1 : 0; i < ops.length; i++)
+      if (ops[i].restMachining()) {
+        // Regenerating this will regenerate those that follow it
+        ops[i].generateToolpaths();
+        return;
+      }
+  }
+
   /**
    * Invoked from #OperationsViewPane
    */
@@ -95,7 +110,10 @@ export class OperationsViewModel extends ViewModel {
     op.name(`Op${this.operations().length + 1}`);
     this.operations.push(op);
     op.enabled.subscribe(() => this.#updateBB());
-    op.toolPaths.subscribe(() => this.#updateBB());
+    op.toolPaths.subscribe(() => {
+      this.#updateBB();
+      this.#updateRestMachining(op);
+    });
 
     // Trigger the toolpath generation pipeline
     op.recombine();
@@ -121,6 +139,7 @@ export class OperationsViewModel extends ViewModel {
     if (where === 0 || this.operations.length === 1) return;
     this.operations.remove(op);
     this.operations.splice(where - 1, 0, op);
+    this.#updateRestMachining();
     document.dispatchEvent(new Event("UPDATE_GCODE"));
   };
 
@@ -133,6 +152,7 @@ export class OperationsViewModel extends ViewModel {
     if (where === this.operations.length - 1) return;
     this.operations.remove(op);
     this.operations.splice(where + 1, 0, op);
+    this.#updateRestMachining();
     document.dispatchEvent(new Event("UPDATE_GCODE"));
     document.dispatchEvent(new Event("UPDATE_GCODE"));
   };
@@ -146,6 +166,20 @@ export class OperationsViewModel extends ViewModel {
       op.recombine();
   }
 
+  /**
+   * Handler for a click on the SVG, used to pick the start point of
+   * a tool path for an operation that is waiting for one.
+   * @param {object} pt the point clicked, `{ X, Y }` in "integer" units
+   * @return {boolean} true if the click has been handled
+   */
+  clickOnSVG(pt) {
+    const op = this.operations().find(op => op.pickingStartPoint());
+    if (!op)
+      return false;
+    op.clickOnSVG(pt);
+    return true;
+  }
+
   /**
    * Used in data-bind for enabling Create Operation button
    * @return {boolean} true if something is selected in the SVG
@@ -205,7 +239,10 @@ export class OperationsViewModel extends ViewModel {
         op.fromJson(opJson);
         this.operations.push(op);
         op.enabled.subscribe(() => this.#updateBB());
-        op.toolPaths.subscribe(() => this.#updateBB());
+        op.toolPaths.subscribe(() => {
+          this.#updateBB();
+          this.#updateRestMachining(op);
+        });
         op.recombine();
       }
     }
@@ -17,7 +17,7 @@ import { ToolpathGenerator } from "./ToolpathGenerator.js";
 export class Perforate extends ToolpathGenerator {
 
   constructor() {
-    super({ spacing: true, offset: true });
+    super({ spacing: true, offset: true, drillCycle: true });
     this.generatesZ = true;
   }
 
@@ -11,9 +11,24 @@ import { CutPath } from "./CutPath.js";
 import { CutPaths } from "./CutPaths.js";
 import { ToolpathGenerator } from "./ToolpathGenerator.js";
 
+// Number of segments in the circle an adaptive pocket starts on
+const ENTRY_SEGMENTS = 16;
+
+// Radius of the circle an adaptive pocket starts on, as a fraction
+// of the cutter radius
+const ADAPTIVE_ENTRY_RADIUS = 0.5;
+
+// Parts of an adaptive pass closer to the area already cleared than
+// this fraction of the step have already been cut
+const ADAPTIVE_TOLERANCE = 0.1;
+
+// How far arcs can be from true in an adaptive pocket, as a fraction
+// of ADAPTIVE_TOLERANCE
+const ADAPTIVE_ARC_TOLERANCE = 0.25;
+
 /**
- * A pocket that is cleared using either annular tool orbits, or
- * raster strips, according to the user-selected strategy.
+ * A pocket that is cleared using annular tool orbits, raster strips,
+ * adaptive clearing or spirals, according to the user-selected strategy.
  * @extends ToolpathGenerator
  */
 export class Pocket extends ToolpathGenerator {
@@ -25,8 +40,10 @@ export class Pocket extends ToolpathGenerator {
       margin: true,
       passDepth: true,
       ramp: true,
+      restMachining: true,
       stepOver: true,
-      strategy: true
+      strategy: true,
+      cornerRelief: true
     });
   }
 
@@ -107,13 +124,29 @@ export class Pocket extends ToolpathGenerator {
 
   /**
    * Compute tool pocket using rasters.
-   * @param {CutPath} pocket the pocket being rasterised
-   * @param {boolean} h true for horizontal rasters, false for vertical
+   * @param {Flatten.Polygon} pocket the convex pocket being rasterised
+   * @param {number} angle angle of the rasters (radians) from the X
+   * axis, in the range [0, PI)
    * @param {number} step the gap between rasters
    * @param {boolean} climb true for climb milling
-   * @return {CutPath} rasters
+   * @param {boolean} zigZag true to cut rasters back and forth, false
+   * to cut them all in the same direction
+   * @return {CutPath[]} rasters. A single path if zigZag, otherwise a
+   * path for each raster.
    */
-  #rasteriseConvexPocket(pocket, h, step, climb) {
+  #rasteriseConvexPocket(pocket, angle, step, climb, zigZag) {
+
+    // Horizontal and vertical rasters are computed directly. For other
+    // angles, the pocket is rotated so the rasters are horizontal, and
+    // the rasters are rotated back.
+    let h = true, rotation = 0;
+    if (angle === Math.PI / 2)
+      h = false;
+    else if (angle !== 0) {
+      rotation = angle;
+      pocket = pocket.rotate(-angle, new Flatten.Point(0, 0));
+    }
+    const cos = Math.cos(rotation), sin = Math.sin(rotation);
 
     const bb = pocket.box;
     const rasters = (h ? bb.height: bb.width) / step;
@@ -127,6 +160,7 @@ export class Pocket extends ToolpathGenerator {
     }
 
     let direction = 1;
+    const paths = [];
     let path = new CutPath();
     let c = 0;
     while (c++ < rasters) {
@@ -138,20 +172,33 @@ export class Pocket extends ToolpathGenerator {
         intersections.sort((a, b) => a[axis] - b[axis]);
       else
         intersections.sort((a, b) => b[axis] - a[axis]);
-      let up = true;
       for (const intersection of intersections)
-        path.push(new CutPoint(intersection.x, intersection.y));
+        path.push(rotation === 0
+                  ? new CutPoint(intersection.x, intersection.y)
+                  : new CutPoint(intersection.x * cos - intersection.y * sin,
+                                 intersection.x * sin + intersection.y * cos));
       level += step * stepway;
-      // boustrophedonically
-      direction = -direction;
+      if (zigZag)
+        // boustrophedonically
+        direction = -direction;
+      else if (path.length > 0) {
+        paths.push(path);
+        path = new CutPath();
+      }
     }
-    return path;
+    if (path.length > 0)
+      paths.push(path);
+    return paths;
   }
 
   /**
    * Compute pocket-clearing rasters.
+   * @param {CutPaths} geometry
+   * @param {number} angle angle of the rasters (radians) from the X axis
+   * @param {object} params see generateToolpaths
+   * @return {CutPaths} outlines of the pockets, and the rasters
    */
-  #rasterToolpaths(geometry, horz, params) {
+  #rasterToolpaths(geometry, angle, params) {
     assert(geometry instanceof CutPaths);
     geometry = geometry.filter(p => p.isClosed);
     const toolPaths = new CutPaths();
@@ -168,6 +215,13 @@ export class Pocket extends ToolpathGenerator {
 
     const step = params.cutterDiameter * (1 - params.overlap);
 
+    // Cross-hatching adds a second set of rasters at right angles
+    // to the first
+    const angles = [ angle ];
+    if (params.crossHatch)
+      angles.push(angle + Math.PI / 2);
+    const zigZag = (params.zigZag !== false);
+
     for (let poly of iPockets) {
       if (!poly.isClosed)
         continue; // ignore this poly for rasterisation
@@ -176,13 +230,16 @@ export class Pocket extends ToolpathGenerator {
         poly.map(pt => new Flatten.Point(pt.X, pt.Y)));
       const convexPockets = Partition.convex(pocket);
       let firstPoint;
-      for (const convexPocket of convexPockets) {
-        const rasters = this.#rasteriseConvexPocket(
-          convexPocket, horz, step, params.climb);
-        if (rasters.length > 0) {
-          if (!firstPoint)
-            firstPoint = rasters[0];
-          toolPaths.push(rasters);
+      for (const a of angles) {
+        const norm = ((a % Math.PI) + Math.PI) % Math.PI;
+        for (const convexPocket of convexPockets) {
+          const rasters = this.#rasteriseConvexPocket(
+            convexPocket, norm, step, params.climb, zigZag);
+          for (const raster of rasters) {
+            if (!firstPoint)
+              firstPoint = raster[0];
+            toolPaths.push(raster);
+          }
         }
       }
       // Find the point on the outline closest to the first point of
@@ -198,6 +255,476 @@ export class Pocket extends ToolpathGenerator {
     return toolPaths;
   }
 
+  /**
+   * Split offset pocket paths into regions, each an outer path and
+   * the holes inside it.
+   * @param {CutPaths} paths closed paths, as returned by offset
+   * @return {CutPaths[]} regions
+   * @private
+   */
+  #regions(paths) {
+    const outers = [], holes = [];
+    for (const path of paths)
+      (ClipperLib.Clipper.Orientation(path) ? outers : holes).push(path);
+    const regions = outers.map(path => new CutPaths([ path ]));
+    for (const hole of holes) {
+      // The hole belongs to the smallest outer that contains it
+      let best, bestArea = Infinity;
+      outers.forEach((outer, i) => {
+        const area = Math.abs(ClipperLib.Clipper.Area(outer));
+        if (area < bestArea && outer.inside(hole[0]) >= 0) {
+          best = i;
+          bestArea = area;
+        }
+      });
+      if (best !== undefined)
+        regions[best].push(hole);
+    }
+    return regions;
+  }
+
+  /**
+   * Split closed paths into open parts that haven't been cut. An edge
+   * has been cut if both its ends and its middle are in the area that
+   * has been cleared.
+   * @param {CutPaths} paths closed paths
+   * @param {CutPaths} cleared closed paths around the area cleared
+   * (even-odd)
+   * @param {number} length edges longer than this are split first,
+   * so parts don't run far into the cleared area
+   * @return {CutPath[]} parts of the paths, in the same direction as
+   * the paths. Each part starts and ends in the cleared area. Paths
+   * that are nowhere in the cleared area are returned whole.
+   * @private
+   */
+  #uncut(paths, cleared, length) {
+    const isCleared = pt => {
+      let within = false;
+      for (const path of cleared)
+        if (path.inside(pt) > 0)
+          within = !within;
+      return within;
+    };
+    const parts = [];
+    for (const closed of paths) {
+      const path = new CutPath([], true);
+      closed.forEach((a, i) => {
+        const b = closed[(i + 1) % closed.length];
+        const steps = Math.ceil(a.dist(b) / length);
+        for (let j = 0; j < steps; j++)
+          path.push(new CutPoint(Math.round(a.X + (b.X - a.X) * j / steps),
+                                 Math.round(a.Y + (b.Y - a.Y) * j / steps)));
+      });
+      const n = path.length;
+      const cut = Array.from(path, isCleared);
+      // Start at a vertex that has been cut, so parts don't wrap round
+      // the end of the path
+      const first = cut.indexOf(true);
+      if (first < 0) {
+        parts.push(path);
+        continue;
+      }
+      let part = new CutPath();
+      for (let i = first; i < first + n; i++) {
+        const a = path[i % n], b = path[(i + 1) % n];
+        if (!cut[i % n] || !cut[(i + 1) % n]
+            || !isCleared(new CutPoint((a.X + b.X) / 2, (a.Y + b.Y) / 2))) {
+          if (part.length === 0)
+            part.push(a);
+          part.push(b);
+        } else if (part.length > 0) {
+          parts.push(part);
+          part = new CutPath();
+        }
+      }
+      if (part.length > 0)
+        parts.push(part);
+    }
+    return parts;
+  }
+
+  /**
+   * Make a part of an adaptive pass move over gradually from the edge
+   * of the area already cleared, instead of stepping straight across
+   * into the material. Closed paths start at the vertex nearest a
+   * point, and the part of them that was blended over is cut again
+   * at the end.
+   * @param {CutPath} part the part of the pass
+   * @param {CutPaths} cleared closed paths around the area cleared
+   * @param {CutPoint} from where the cutter is, for closed paths
+   * @param {number} length how far along the part to blend over
+   * @return {object} `{ path, missed }` where `path` is the open path
+   * to follow and `missed` is a closed path around the area between
+   * the part and the path that the path doesn't cut, if there is one
+   * @private
+   */
+  #blendIn(part, cleared, from, length) {
+    // Nearest point to pt on the edges of the cleared area
+    const nearest = pt => {
+      let best, bestD = Infinity;
+      for (const path of cleared)
+        for (let i = 0; i < path.length; i++) {
+          const a = path[i], b = path[(i + 1) % path.length];
+          const dx = b.X - a.X, dy = b.Y - a.Y;
+          const l2 = dx * dx + dy * dy;
+          const t = l2 > 0 ? Math.max(0, Math.min(
+            1, ((pt.X - a.X) * dx + (pt.Y - a.Y) * dy) / l2)) : 0;
+          const c = { X: a.X + t * dx, Y: a.Y + t * dy };
+          const d = Math.hypot(pt.X - c.X, pt.Y - c.Y);
+          if (d < bestD) {
+            best = c;
+            bestD = d;
+          }
+        }
+      return best;
+    };
+
+    const closed = part.isClosed;
+    part = new CutPath(part);
+    if (closed)
+      part.makeFirst(part.closestVertex(from).pointIndex);
+    length = Math.min(length, part.perimeter() / (closed ? 4 : 2));
+    const path = new CutPath();
+    let along = 0, i = 0;
+    while (i < part.length - 1 && along < length) {
+      const t = along / length, c = nearest(part[i]);
+      path.push(new CutPoint(Math.round(c.X + (part[i].X - c.X) * t),
+                             Math.round(c.Y + (part[i].Y - c.Y) * t)));
+      along += part[i].dist(part[i + 1]);
+      i++;
+    }
+    let missed;
+    if (closed)
+      for (let j = 0; j <= part.length; j++)
+        path.push(part[(i + j) % part.length]);
+    else {
+      if (i > 1)
+        missed = new CutPath(
+          [ ...part.slice(0, i + 1), ...path.slice(0, i).reverse() ], true);
+      path.push(...part.slice(i));
+    }
+    path.unduplicate();
+    return { path: path, missed: missed };
+  }
+
+  /**
+   * Compute pocket tool paths using adaptive clearing. The cut
+   * starts with a small circle around the point in each region of the
+   * pocket that is furthest from the walls. The entry strategy takes
+   * the cutter down on this circle, and it is the only place the
+   * cutter goes into solid material. The cleared area then grows
+   * outwards by no more than the step on each pass, until it reaches
+   * the walls. Each pass only follows the parts of the grown area
+   * that haven't been cut, and moves over gradually from the cleared
+   * area where it starts, so the cutter never engages much more of
+   * the material than the maximum engagement angle. Last of all, the
+   * walls are cut once to take off the little that is left on them.
+   * Only works on closed paths.
+   */
+  #adaptiveToolpaths(geometry, params) {
+    assert(geometry instanceof CutPaths);
+    assert(typeof params.engagement === "number");
+    geometry = geometry.filter(p => p.isClosed);
+    const toolPaths = new CutPaths();
+    if (geometry.length === 0)
+      return toolPaths;
+
+    const r = params.cutterDiameter / 2;
+    let off = r;
+    if (params.margin > 0)
+      off += params.margin;
+
+    // Radial step that keeps the engagement within the maximum. Capped
+    // by the overlap, and kept above a minimum so the number of
+    // passes doesn't explode.
+    const step = Math.max(
+      Math.min(r * (1 - Math.cos(params.engagement)),
+               params.cutterDiameter * (1 - params.overlap)),
+      r / 20);
+    const tol = step * ADAPTIVE_TOLERANCE;
+
+    // Growing offsets are rounded, so the engagement is constant
+    // around convex corners. The arcs have to be much closer than the
+    // tolerance, or what has been cut can't be told from what hasn't.
+    const grow = {
+      ...params,
+      joinType: ClipperLib.JoinType.jtRound,
+      arcTolerance: tol * ADAPTIVE_ARC_TOLERANCE
+    };
+
+    // Paths in a pass go the same way as the walls, which are
+    // anticlockwise for conventional milling
+    const orient = path => params.climb ? new CutPath(path).reverse() : path;
+
+    const area = paths => paths.reduce(
+      (a, path) => a + ClipperLib.Clipper.Area(path), 0);
+
+    for (const region of this.#regions(geometry.offset(-off, params))) {
+      // Find the point furthest from the walls, and how far that is
+      let core = region, depth = 0;
+      let next = region.offset(-step, params);
+      while (next.length > 0) {
+        core = next;
+        depth += step;
+        next = core.offset(-step, params);
+      }
+      const bb = core.bbox3D();
+      let centre = new CutPoint(Math.round((bb.minX + bb.maxX) / 2),
+                                Math.round((bb.minY + bb.maxY) / 2));
+      if (core[0].inside(centre) <= 0)
+        centre = core[0][0];
+
+      // The entry circle. The whole of the inside of it is cleared.
+      const entryR = Math.min(r * ADAPTIVE_ENTRY_RADIUS, depth);
+      const entry = new CutPath([], true);
+      for (let i = 0; i < ENTRY_SEGMENTS; i++) {
+        const a = 2 * Math.PI * i / ENTRY_SEGMENTS;
+        entry.push(new CutPoint(Math.round(centre.X + entryR * Math.cos(a)),
+                                Math.round(centre.Y + entryR * Math.sin(a))));
+      }
+      entry.unduplicate();
+      const paths = [];
+      let current = new CutPath([ centre ], false);
+      // If there's no room for the entry circle, the region is so
+      // narrow that cutting the walls clears it
+      let cleared = region;
+      if (entry.length > 2) {
+        cleared = new CutPaths([ entry ], true);
+        const start = orient(entry);
+        current = new CutPath([ ...start, start[0] ], false);
+      }
+
+      // Add a part of a pass, linking it to the current path if the
+      // link stays inside an area
+      const add = (part, within) => {
+        if (within.crosses(current[current.length - 1], part[0])) {
+          paths.push(current);
+          current = part;
+        } else
+          current.push(...part);
+      };
+
+      // Grow the cleared area out to the walls, a step at a time.
+      // Near the entry, the cleared area is small and tightly curved,
+      // and the cutter wraps further round it, so the step starts
+      // smaller. It is worked out for a circular cleared area of the
+      // radius grown so far.
+      const sinE = Math.sin(params.engagement);
+      let radius = entryR, size = area(cleared);
+      while (cleared !== region) {
+        const bite = Math.max(Math.min(
+          step,
+          Math.sqrt((radius + r) * (radius + r) - r * r * sinE * sinE)
+          - r * Math.cos(params.engagement) - radius), r / 20);
+        radius += bite;
+        const grown = cleared.offset(bite, grow).intersect(region);
+        if (area(grown) - size < step * tol)
+          break;
+        const parts = this.#uncut([ ...grown ].map(orient),
+                                  cleared.offset(tol, params), step);
+        const within = grown.offset(tol, params);
+        const missed = new CutPaths();
+        // Cut the nearest part next. Whole paths can start anywhere.
+        while (parts.length > 0) {
+          const end = current[current.length - 1];
+          let best, bestD = Infinity;
+          parts.forEach((part, i) => {
+            const d = part.isClosed
+                  ? part.closestVertex(end).dist2 : part[0].dist2(end);
+            if (d < bestD) {
+              best = i;
+              bestD = d;
+            }
+          });
+          const blend = this.#blendIn(
+            parts.splice(best, 1)[0], cleared, end, 2 * r);
+          add(blend.path, within);
+          if (blend.missed)
+            missed.push(blend.missed);
+        }
+
+        // Where the pass blends in, it doesn't clear all of the
+        // grown area
+        cleared = (missed.length > 0) ? grown.difference(missed) : grown;
+        const grew = area(cleared) - size;
+        size += grew;
+        if (grew < step * tol)
+          break;
+      }
+
+      // Finally, cut the walls, to take off what is left on them
+      const within = region.offset(tol, params);
+      for (let wall of region) {
+        wall = new CutPath(orient(wall));
+        wall.makeFirst(
+          wall.closestVertex(current[current.length - 1]).pointIndex);
+        add(new CutPath([ ...wall, wall[0] ], false), within);
+      }
+      paths.push(current);
+      toolPaths.push(...paths.filter(path => path.length > 1));
+    }
+    return toolPaths;
+  }
+
+  /**
+   * Split regions with holes into regions that can be cleared by a
+   * spiral. Each region is cut across each of its holes, so none of
+   * the resulting regions have holes.
+   * @param {CutPaths} region outer path and the holes inside it
+   * @return {CutPaths[]} regions without holes
+   * @private
+   */
+  #spiralRegions(region) {
+    if (region.length === 1)
+      return [ region ];
+    const bb = region.bbox3D();
+    const cuts = [ bb.minY - 1, bb.maxY + 1 ];
+    for (let i = 1; i < region.length; i++) {
+      const hbb = region[i].bbox3D();
+      cuts.push(Math.round((hbb.minY + hbb.maxY) / 2));
+    }
+    cuts.sort((a, b) => a - b);
+    const regions = [];
+    for (let i = 1; i < cuts.length; i++) {
+      if (cuts[i] === cuts[i - 1])
+        continue;
+      const strip = new CutPaths([[
+        { X: bb.minX - 1, Y: cuts[i - 1] }, { X: bb.maxX + 1, Y: cuts[i - 1] },
+        { X: bb.maxX + 1, Y: cuts[i] }, { X: bb.minX - 1, Y: cuts[i] }
+      ]], true);
+      for (const piece of this.#regions(region.intersect(strip)))
+        regions.push(new CutPaths([ piece[0] ]));
+    }
+    return regions;
+  }
+
+  /**
+   * Sample a closed path at equal distances along it.
+   * @param {CutPath} path the closed path, starting at the first sample
+   * @param {number} n number of samples
+   * @return {object[]} samples { X, Y }
+   * @private
+   */
+  #resample(path, n) {
+    const step = path.perimeter() / n;
+    const pts = [];
+    let edge = 0, along = 0;
+    for (let i = 0; i < n; i++) {
+      let a = path[edge], b = path[(edge + 1) % path.length];
+      let len = a.dist(b);
+      while (along > len && edge < path.length - 1) {
+        along -= len;
+        edge++;
+        a = path[edge];
+        b = path[(edge + 1) % path.length];
+        len = a.dist(b);
+      }
+      const f = len > 0 ? Math.min(along / len, 1) : 0;
+      pts.push({ X: a.X + (b.X - a.X) * f, Y: a.Y + (b.Y - a.Y) * f });
+      along += step;
+    }
+    return pts;
+  }
+
+  /**
+   * Generate spirals clearing a region without holes. The region is
+   * shrunk repeatedly, and the spiral is formed by blending each orbit
+   * into the next. If the region splits as it shrinks, each of the
+   * pieces gets a spiral of its own.
+   * @param {CutPath} orbit the outermost orbit of the region
+   * @param {number} step distance between orbits
+   * @param {object} params see generateToolpaths
+   * @return {CutPath[]} spirals, each working from the outside in
+   * @private
+   */
+  #spirals(orbit, step, params) {
+    const orbits = [ orbit ];
+    let pieces;
+    for (;;) {
+      pieces = new CutPaths([ orbits[orbits.length - 1] ], true)
+      .offset(-step, params)
+      .filter(p => p.length > 2);
+      if (pieces.length !== 1)
+        break;
+      orbits.push(pieces[0]);
+    }
+
+    // Line the orbits up, so each starts closest to the start of the
+    // one outside it.
+    if (params.climb)
+      for (const o of orbits)
+        o.reverse();
+    for (let i = 1; i < orbits.length; i++)
+      orbits[i].makeFirst(
+        orbits[i].closestVertex(orbits[i - 1][0]).pointIndex);
+
+    // Cut the outermost orbit, then blend each orbit into the next,
+    // and finish with the innermost
+    const spiral = new CutPath();
+    for (const pt of orbit)
+      spiral.push(new CutPoint(pt.X, pt.Y));
+    for (let i = 1; i < orbits.length; i++) {
+      const n = Math.max(orbits[i - 1].length, orbits[i].length,
+                         Math.ceil(orbits[i - 1].perimeter() / step)) * 2;
+      const outer = this.#resample(orbits[i - 1], n);
+      const inner = this.#resample(orbits[i], n);
+      for (let j = 0; j < n; j++) {
+        const t = j / n;
+        spiral.push(new CutPoint(
+          Math.round(outer[j].X * (1 - t) + inner[j].X * t),
+          Math.round(outer[j].Y * (1 - t) + inner[j].Y * t)));
+      }
+    }
+    const inmost = orbits[orbits.length - 1];
+    for (const pt of inmost)
+      spiral.push(new CutPoint(pt.X, pt.Y));
+    spiral.push(new CutPoint(inmost[0].X, inmost[0].Y));
+    spiral.unduplicate();
+
+    const spirals = [ spiral ];
+    for (const piece of pieces)
+      spirals.push(...this.#spirals(piece, step, params));
+    return spirals;
+  }
+
+  /**
+   * Compute pocket tool paths using spirals. Each region of the pocket
+   * is cleared by a single continuous spiral, from the outside in or
+   * the inside out. Regions with islands are split into regions that
+   * can be spiralled. Only works on closed paths.
+   * @param {CutPaths} geometry
+   * @param {boolean} outwards true to spiral from the inside out
+   * @param {object} params see generateToolpaths
+   * @private
+   */
+  #spiralToolpaths(geometry, outwards, params) {
+    assert(geometry instanceof CutPaths);
+    geometry = geometry.filter(p => p.isClosed);
+    const toolPaths = new CutPaths();
+    if (geometry.length === 0)
+      return toolPaths;
+
+    let off = params.cutterDiameter / 2;
+    if (params.margin > 0)
+      off += params.margin;
+    const step = params.cutterDiameter * (1 - params.overlap);
+
+    for (const region of this.#regions(geometry.offset(-off, params))) {
+      for (const piece of this.#spiralRegions(region)) {
+        if (outwards) {
+          // Reversing a spiral also reverses the direction of cut, so
+          // build it the other way round before reversing it
+          const spirals = this.#spirals(
+            piece[0], step, { ...params, climb: !params.climb });
+          for (const spiral of spirals.reverse())
+            toolPaths.push(spiral.reverse());
+        } else
+          toolPaths.push(...this.#spirals(piece[0], step, params));
+      }
+    }
+    return toolPaths;
+  }
+
   /**
    * Compute tool pockets, using the selected strategy. Only works on
    * closed paths.
@@ -211,8 +738,19 @@ export class Pocket extends ToolpathGenerator {
    * @param {number} params.topZ top of the material
    * @param {number} params.overlap is in the range [0, 1)
    * @param {boolean} params.climb true for climb milling
+   * @param {number} params.engagement maximum engagement angle
+   * (radians) for the "Adaptive" strategy
+   * @param {number} params.rasterAngle angle (radians) of the rasters
+   * from the X axis, for the "Raster" strategy
+   * @param {boolean} params.crossHatch true to add a second set of
+   * rasters at right angles to the first, for raster strategies
+   * @param {boolean} params.zigZag true to cut rasters back and forth,
+   * false to cut them all in the same direction, for raster strategies
    * @param {JoinType} params.joinType join type
    * @param {number} params.mitreLimit join mitre limit
+   * @param {string?} params.cornerRelief relief to add to the corners
+   * of the pocket, see cornerRelief()
+   * @param {number?} params.cornerAngle see cornerRelief()
    * @return {CutPaths} rasters
    * @override
    */
@@ -227,16 +765,50 @@ export class Pocket extends ToolpathGenerator {
     assert(typeof params.climb === "boolean");
     assert(typeof params.joinType === "number");
     assert(typeof params.mitreLimit === "number");
+
+    /**
+     * Where the centre of the cutter can go without cutting into the
+     * walls of the pocket, for helical ramps.
+     * @member {CutPaths}
+     */
+    this.entryArea = geometry.filter(p => p.isClosed).offset(
+      -(params.cutterDiameter / 2 + Math.max(params.margin ?? 0, 0)), params);
+
+    let toolPaths;
     switch (params.strategy) {
     case "XRaster":
-      return this.#rasterToolpaths(geometry, true, params);
+      toolPaths = this.#rasterToolpaths(geometry, 0, params);
+      break;
     case "YRaster":
-      return this.#rasterToolpaths(geometry, false, params);
+      toolPaths = this.#rasterToolpaths(geometry, Math.PI / 2, params);
+      break;
+    case "Raster":
+      assert(typeof params.rasterAngle === "number");
+      toolPaths = this.#rasterToolpaths(geometry, params.rasterAngle, params);
+      break;
     case "Annular":
-      return this.#annularToolpaths(geometry, params);
+      toolPaths = this.#annularToolpaths(geometry, params);
+      break;
+    case "Adaptive":
+      toolPaths = this.#adaptiveToolpaths(geometry, params);
+      break;
+    case "SpiralIn":
+      toolPaths = this.#spiralToolpaths(geometry, false, params);
+      break;
+    case "SpiralOut":
+      toolPaths = this.#spiralToolpaths(geometry, true, params);
+      break;
     default:
       assert(false, params.strategy);
       return geometry;
     }
+
+    // V bits don't sit at a fixed distance from the walls
+    if (params.cornerRelief && params.cornerRelief !== "None"
+        && !this.generatesZ)
+      this.cornerRelief(
+        toolPaths, geometry, false,
+        params.cutterDiameter / 2 + Math.max(params.margin ?? 0, 0), params);
+    return toolPaths;
   }
 }
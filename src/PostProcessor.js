@@ -0,0 +1,199 @@
+/*Copyright Crawford Currie 2025. This file is part of SVGcut, see the copyright and LICENSE at the root of the distribution. */
+/* global assert */
+
+/**
+ * A Gcode command with an optional remark, as used in profiles.
+ * @typedef {object} ProfileCode
+ * @property {string} code the command e.g. "G90"
+ * @property {string?} rem remark to add to the command
+ * @memberof PostProcessor
+ */
+
+/**
+ * Description of a Gcode dialect.
+ * @typedef {object} Profile
+ * @property {string} comment how to write comments, ";" for
+ * end-of-line comments, or "()" for bracketed comments.
+ * @property {Object.<string,number>} decimal number of decimal
+ * places to write coordinates with, indexed by gcode units.
+ * @property {boolean} padDecimals true to keep trailing zeros
+ * after the decimal point, so numbers always have `decimal` places.
+ * @property {ProfileCode[]} start codes emitted at the start of the
+ * program, after the units have been set.
+ * @property {ProfileCode[]} end codes emitted at the end of the program.
+ * @property {string} spindleOn command to start the spindle. The
+ * speed is given using S.
+ * @property {string} spindleOff command to stop the spindle.
+ * @property {boolean} cannedCycles true if the controller supports
+ * the G81, G82 and G83 drilling cycles.
+ * @property {string} dwell the word used to give a dwell time (G4) in
+ * seconds, "P" or "S".
+ * @property {string} toolChange how to change tools. "M6" uses T and M6
+ * to change the tool, then G43 to apply the tool length offset. "M0"
+ * pauses the program (with the tool number on the M0) so the tool
+ * can be changed by hand.
+ * @memberof PostProcessor
+ */
+
+// Built-in dialects
+const PROFILES = {
+  GRBL: {
+    comment: "()",
+    decimal: { mm: 3, inch: 4 },
+    padDecimals: false,
+    start: [
+      { code: "G90", rem: "Absolute positioning" },
+      { code: "G94", rem: "Feed rate in units per minute" }
+    ],
+    end: [ { code: "M2", rem: "End program" } ],
+    spindleOn: "M3",
+    spindleOff: "M5",
+    cannedCycles: false,
+    dwell: "P",
+    toolChange: "M0"
+  },
+
+  // The default. Numbers are written as they always have been.
+  LinuxCNC: {
+    comment: ";",
+    decimal: { mm: 2, inch: 2 },
+    padDecimals: false,
+    start: [ { code: "G90", rem: "Absolute positioning" } ],
+    end: [ { code: "M2", rem: "End program" } ],
+    spindleOn: "M3",
+    spindleOff: "M5",
+    cannedCycles: true,
+    dwell: "P",
+    toolChange: "M6"
+  },
+
+  Mach3: {
+    comment: "()",
+    decimal: { mm: 4, inch: 4 },
+    padDecimals: true,
+    start: [
+      { code: "G90", rem: "Absolute positioning" },
+      { code: "G91.1", rem: "Arc centres relative to start" },
+      { code: "G94", rem: "Feed rate in units per minute" },
+      { code: "G17", rem: "XY plane" },
+      { code: "G40", rem: "Cancel cutter compensation" },
+      { code: "G49", rem: "Cancel tool length offset" }
+    ],
+    end: [ { code: "M30", rem: "End program" } ],
+    spindleOn: "M3",
+    spindleOff: "M5",
+    cannedCycles: true,
+    dwell: "P",
+    toolChange: "M6"
+  },
+
+  Marlin: {
+    comment: ";",
+    decimal: { mm: 3, inch: 4 },
+    padDecimals: false,
+    start: [ { code: "G90", rem: "Absolute positioning" } ],
+    // Marlin doesn't support M2. Wait for moves to finish instead.
+    end: [ { code: "M400", rem: "Finish moves" } ],
+    spindleOn: "M3",
+    spindleOff: "M5",
+    cannedCycles: false,
+    dwell: "S", // G4 P is in milliseconds
+    toolChange: "M0"
+  },
+
+  Smoothieware: {
+    comment: ";",
+    decimal: { mm: 3, inch: 4 },
+    padDecimals: false,
+    start: [ { code: "G90", rem: "Absolute positioning" } ],
+    // M2 isn't supported, and M30 deletes a file from the SD card!
+    end: [],
+    spindleOn: "M3",
+    spindleOff: "M5",
+    cannedCycles: false,
+    dwell: "S", // G4 P is in milliseconds
+    toolChange: "M0"
+  }
+};
+
+/**
+ * A post-processor describes the dialect of Gcode understood by a
+ * specific machine controller - how to write comments, how to start
+ * and end the program, how to control the spindle, and how to format
+ * numbers. Gcode.Generator uses it to customise the Gcode it writes.
+ */
+export class PostProcessor {
+
+  /**
+   * The default post-processor
+   * @member {string}
+   */
+  static DEFAULT = "LinuxCNC";
+
+  /**
+   * Get the names of the available post-processors.
+   * @return {string[]} list of names
+   */
+  static names() {
+    return Object.keys(PROFILES);
+  }
+
+  /**
+   * @param {string?} name name of the profile, one of
+   * PostProcessor.names(). Defaults to PostProcessor.DEFAULT.
+   */
+  constructor(name = PostProcessor.DEFAULT) {
+    assert(PROFILES[name], `Unknown post-processor ${name}`);
+
+    /**
+     * Name of the post-processor
+     * @member {string}
+     */
+    this.name = name;
+
+    /**
+     * The profile being used
+     * @member {PostProcessor.Profile}
+     */
+    this.profile = PROFILES[name];
+  }
+
+  /**
+   * Get the number of decimal places to use
+   * @param {string} units gcode units, "mm" or "inch"
+   * @return {number} number of decimal places
+   */
+  decimal(units) {
+    return this.profile.decimal[units];
+  }
+
+  /**
+   * Format a number.
+   * @param {number} x the number to format
+   * @param {number} places number of decimal places
+   * @return {string} the formatted number
+   */
+  number(x, places) {
+    const s = x.toFixed(places);
+    if (s.indexOf(".") < 0)
+      return s === "-0" ? "0" : s;
+    if (this.profile.padDecimals)
+      return s === `-${(0).toFixed(places)}` ? s.substring(1) : s;
+    let m;
+    if ((m = /^(.+)\.0+$/.exec(s)))
+      return m[1] === "-0" ? "0" : m[1];
+    return s.replace(/(.)0+$/, "$1");
+  }
+
+  /**
+   * Format a comment.
+   * @param {string} remark the comment text
+   * @return {string} the formatted comment
+   */
+  comment(remark) {
+    if (this.profile.comment === "()")
+      // Brackets can't be nested
+      return `(${remark.replace(/[()]/g, "")})`;
+    return `; ${remark}`;
+  }
+}
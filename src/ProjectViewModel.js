@@ -353,6 +353,16 @@ export class ProjectViewModel extends ViewModel {
     saveAs(blob, `${this.projectName()}.nc`);
   }
 
+  /**
+   * Save the gcode for the plugs of inlay operations in a
+   * user-selected file.
+   */
+  savePlugGcodeInFile() {
+    const gcode = App.models.GcodeGeneration.plugGcode().join("\n");
+    const blob = new Blob([gcode], {type: 'text/plain'});
+    saveAs(blob, `${this.projectName()}-plug.nc`);
+  }
+
   /**
    * @override
    */
@@ -0,0 +1,270 @@
+/*Copyright Crawford Currie 2025. This file is part of SVGcut, see the copyright and LICENSE at the root of the distribution. */
+
+/* global assert */
+/* global ClipperLib */
+ClipperLib.use_xyz = true;
+
+import { CutPoint } from "./CutPoint.js";
+import { CutPath } from "./CutPath.js";
+import { CutPaths } from "./CutPaths.js";
+import { ToolpathGenerator } from "./ToolpathGenerator.js";
+
+// Limit on the number of points in the height grid, to keep the
+// memory and time needed under control. The grid is made coarser
+// if it would be bigger than this.
+const MAX_GRID = 4000000;
+
+/**
+ * Carve a relief from height maps (grayscale images placed on the
+ * page), inside closed paths. The brightness of the image is mapped
+ * to a depth between the top of the material and the cut depth;
+ * white is the top, black is the full depth (or the other way round
+ * if inverted, as used for lithophanes).
+ *
+ * The heights are sampled on a grid, and the Z of the tool at each
+ * point on the grid is the highest it can be without the cutter
+ * (ball nose, or V, which includes flat) cutting into the surface
+ * anywhere under it. The relief is cut using raster passes along X;
+ * a roughing pass that steps down by the pass depth, leaving an
+ * allowance, then a finishing pass with a finer step over that
+ * follows the surface.
+ * @extends ToolpathGenerator
+ */
+export class Relief extends ToolpathGenerator {
+
+  /**
+   * The area carved, used for the preview
+   * @member {CutPaths}
+   */
+  #region = new CutPaths();
+
+  constructor() {
+    super({ cutRate: true, passDepth: true, stepOver: true, relief: true });
+    this.generatesZ = true;
+  }
+
+  /**
+   * @override
+   */
+  static worksOnPaths() { return "CLOSED"; }
+
+  /**
+   * Get the spans of a horizontal line that are inside closed paths,
+   * using the even-odd rule.
+   * @param {CutPaths} paths the closed paths
+   * @param {number} y Y of the line
+   * @return {number[][]} sorted [ start, end ] X of each span
+   * @private
+   */
+  #spans(paths, y) {
+    const xs = [];
+    for (const path of paths) {
+      for (let i = 0; i < path.length; i++) {
+        const a = path[i], b = path[(i + 1) % path.length];
+        // Half open, so vertices are only counted once
+        if ((a.Y <= y) !== (b.Y <= y))
+          xs.push(a.X + (y - a.Y) * (b.X - a.X) / (b.Y - a.Y));
+      }
+    }
+    xs.sort((p, q) => p - q);
+    const spans = [];
+    for (let i = 0; i + 1 < xs.length; i += 2)
+      spans.push([ xs[i], xs[i + 1] ]);
+    return spans;
+  }
+
+  /**
+   * Get the depth of the relief at a point.
+   * @param {number} X X coordinate
+   * @param {number} Y Y coordinate
+   * @param {object} params see generateToolpaths
+   * @return {number} depth below the top, 0 if the point isn't on a
+   * height map
+   * @private
+   */
+  #depth(X, Y, params) {
+    // Later images are on top of earlier ones
+    for (let i = params.heightMaps.length - 1; i >= 0; i--) {
+      const b = params.heightMaps[i].brightness(X, Y);
+      if (typeof b === "number")
+        return (params.reliefInvert ? b : 1 - b) * params.cutDepth;
+    }
+    return 0;
+  }
+
+  /**
+   * Get the height of the surface of the cutter above its tip.
+   * @param {number} d distance from the axis of the cutter
+   * @param {object} params see generateToolpaths
+   * @return {number} the height
+   */
+  cutterProfile(d, params) {
+    const r = params.cutterDiameter / 2;
+    if (params.reliefTool === "Ball")
+      return r - Math.sqrt(Math.max(0, r * r - d * d));
+    // V cutter. A flat end mill is a V with a 90 degree angle.
+    return d / Math.tan(params.cutterAngle);
+  }
+
+  /**
+   * @param {CutPaths} geometry closed paths to carve inside
+   * @param {object} params named parameters
+   * @param {HeightMap[]} params.heightMaps the height maps; later
+   * ones are on top of earlier ones
+   * @param {number} params.cutterDiameter diameter of the cutter, in
+   * "integer" units
+   * @param {number} params.cutterAngle angle (radians) of cutter edge
+   * from axis of rotation, for V cutters
+   * @param {string} params.reliefTool "Ball" for a ball nose cutter,
+   * "V" for a V cutter (or a flat end mill)
+   * @param {boolean} params.reliefInvert true to make white the
+   * deepest, rather than black
+   * @param {number} params.cutDepth depth of black (white if inverted)
+   * @param {number} params.passDepth depth of each roughing pass, 0
+   * to rough to the full depth in one pass
+   * @param {number} params.overlap step over of the roughing passes,
+   * in the range [0, 1)
+   * @param {number} params.reliefFinishStepOver step over of the
+   * finishing pass, as a fraction of the cutter diameter
+   * @param {number} params.reliefAllowance material to leave on the
+   * surface after roughing, to be removed by the finishing pass
+   * @return {CutPaths} tool paths, with Z set
+   * @override
+   */
+  generateToolpaths(geometry, params) {
+    assert(geometry instanceof CutPaths);
+    assert(Array.isArray(params.heightMaps));
+    assert(typeof params.cutterDiameter === "number");
+    assert(typeof params.cutDepth === "number");
+    assert(typeof params.passDepth === "number");
+    assert(typeof params.overlap === "number");
+    assert(typeof params.reliefFinishStepOver === "number");
+    assert(typeof params.reliefAllowance === "number");
+
+    const toolPaths = new CutPaths();
+    this.#region = new CutPaths(geometry.filter(p => p.isClosed));
+    if (this.#region.length === 0 || params.heightMaps.length === 0)
+      return toolPaths;
+
+    // The grid covers the region, plus the radius of the cutter so
+    // the surface around the edges is seen by the cutter.
+    const r = params.cutterDiameter / 2;
+    const bb = this.#region.bbox3D();
+    const ox = bb.minX - r, oy = bb.minY - r;
+    const w = bb.maxX - bb.minX + 2 * r, h = bb.maxY - bb.minY + 2 * r;
+    const step = Math.max(
+      params.cutterDiameter * params.reliefFinishStepOver,
+      Math.sqrt(w * h / MAX_GRID), 1);
+    const nx = Math.ceil(w / step) + 1, ny = Math.ceil(h / step) + 1;
+
+    // Heights of the surface, and which points the tool can go to
+    const surface = new Float64Array(nx * ny);
+    const inside = new Uint8Array(nx * ny);
+    for (let j = 0; j < ny; j++) {
+      const y = oy + j * step;
+      const spans = this.#spans(this.#region, y);
+      for (let i = 0; i < nx; i++) {
+        const x = ox + i * step;
+        if (spans.find(s => x >= s[0] && x <= s[1])) {
+          inside[j * nx + i] = 1;
+          surface[j * nx + i] = -this.#depth(x, y, params);
+        }
+      }
+    }
+
+    // Offsets of the grid points under the cutter, and the height of
+    // the cutter above its tip at each
+    const under = [];
+    const reach = Math.floor(r / step);
+    for (let dj = -reach; dj <= reach; dj++)
+      for (let di = -reach; di <= reach; di++) {
+        const d = Math.hypot(di, dj) * step;
+        if (d <= r)
+          under.push({ di: di, dj: dj, dz: this.cutterProfile(d, params) });
+      }
+
+    // Highest Z the tip of the cutter can be at a grid point. Outside
+    // the region the surface is the top of the material.
+    const toolZ = new Float64Array(nx * ny).fill(NaN);
+    const tipZ = (i, j) => {
+      const k = j * nx + i;
+      if (isNaN(toolZ[k])) {
+        let z = -params.cutDepth;
+        for (const u of under) {
+          const ii = i + u.di, jj = j + u.dj;
+          const s = (ii >= 0 && ii < nx && jj >= 0 && jj < ny)
+                ? surface[jj * nx + ii] : 0;
+          z = Math.max(z, s - u.dz);
+        }
+        toolZ[k] = Math.min(z, 0);
+      }
+      return toolZ[k];
+    };
+
+    // Generate raster passes, back and forth on every `every`th row,
+    // along runs of points where zAt returns a Z
+    const raster = (every, zAt) => {
+      let forward = true;
+      for (let j = 0; j < ny; j += every) {
+        const y = Math.round(oy + j * step);
+        const runs = [];
+        let run;
+        for (let i = 0; i < nx; i++) {
+          const z = inside[j * nx + i] ? zAt(i, j) : undefined;
+          if (typeof z === "number") {
+            if (!run) {
+              run = new CutPath();
+              runs.push(run);
+            }
+            run.push(new CutPoint(
+              Math.round(ox + i * step), y, Math.round(z)));
+          } else
+            run = undefined;
+        }
+        if (runs.length === 0)
+          continue;
+        if (!forward) {
+          runs.reverse();
+          for (const rn of runs)
+            rn.reverse();
+        }
+        toolPaths.push(...runs);
+        forward = !forward;
+      }
+    };
+
+    // Roughing, a level at a time, only where there is material left
+    // above the allowance
+    const roughEvery = Math.max(1, Math.round(
+      params.cutterDiameter * (1 - params.overlap) / step));
+    const levels = [
+      0, ...this.passLevels(params.cutDepth, params.passDepth) ];
+    for (let k = 1; k < levels.length; k++) {
+      const above = levels[k - 1], level = levels[k];
+      raster(roughEvery, (i, j) => {
+        const z = Math.min(tipZ(i, j) + params.reliefAllowance, 0);
+        return z < above ? Math.max(z, level) : undefined;
+      });
+    }
+
+    // Finishing, following the surface
+    raster(1, tipZ);
+
+    return toolPaths;
+  }
+
+  /**
+   * @override
+   */
+  bbBloat(toolPathWidth) {
+    return toolPathWidth / 2;
+  }
+
+  /**
+   * The preview is the area carved
+   * @override
+   */
+  generatePreviewGeometry(toolPaths, params) {
+    return this.#region;
+  }
+}
@@ -348,7 +348,8 @@ export function segmentsFromElement(element, params) {
     pathString = element.getAttribute("d");
     break;
 
-  case "rect": {
+  case "rect":
+  case "image": { // the outline of an image is its rectangle
     const x = number("x", 0, params.vbx);
     const y = number("y", 0, params.vby);
     let w = number("width", "auto", params.vbx);
@@ -439,7 +440,7 @@ export function segmentsFromElement(element, params) {
   case "font-face-format": case "font-face-name": case "font-face-src":
   case "font-face-uri": case "font-face": case "font":
   case "foreignobject": case "glyph": case "glyphref": case "hkern":
-  case "image": case "lineargradient": case "marker": case "mask":
+  case "lineargradient": case "marker": case "mask":
   case "metadata": case "missing-glyph": case "mpath": case "pattern":
   case "radialgradient": case "script": case "set": case "stop":
   case "style": case "switch": case "symbol": case "title": case "tref":
@@ -625,7 +626,7 @@ export function getBounds(el) {
   const segs = segmentsFromElement(el, r);
   if (!segs || segs.length === 0) {
     const emptyBB = el.viewBox ? new Rect(el.viewBox.baseVal) :
-    Rect(0, 0, 10, 10);
+    new Rect(0, 0, 10, 10);
     //console.debug("Empty BB", emptyBB);
     return emptyBB;
 
@@ -9,6 +9,7 @@
 /* global ko */
 
 import { ToolViewModel } from "./ToolViewModel.js";
+import { ToolLibraryViewModel } from "./ToolLibraryViewModel.js";
 import { OperationsViewModel } from "./OperationsViewModel.js";
 import { GcodeGenerationViewModel } from "./GcodeGenerationViewModel.js";
 import { TabsViewModel } from "./TabsViewModel.js";
@@ -16,8 +17,11 @@ import { MaterialViewModel } from "./MaterialViewModel.js";
 import { SelectionViewModel } from "./SelectionViewModel.js";
 import { ApproximationViewModel } from "./ApproximationViewModel.js";
 import { ProjectViewModel } from "./ProjectViewModel.js";
+import { TextViewModel } from "./TextViewModel.js";
+import { ImageViewModel } from "./ImageViewModel.js";
 import { Simulation } from "./Simulation.js";
 import { Rect } from "./Rect.js";
+import { UnitConverter } from "./UnitConverter.js";
 import * as Gcode from "./Gcode.js";
 import * as SVG from "./SVG.js";
 
@@ -158,9 +162,12 @@ export class SVGcut {
     const unitConverter = this.models.Project.unitConverter;
 
     this.models.Tool = new ToolViewModel(unitConverter);
+    this.models.ToolLibrary = new ToolLibraryViewModel(unitConverter);
     this.models.Material = new MaterialViewModel(unitConverter);
     this.models.Approximation = new ApproximationViewModel(unitConverter);
     this.models.Selection = new SelectionViewModel();
+    this.models.Text = new TextViewModel(unitConverter);
+    this.models.Image = new ImageViewModel(unitConverter);
     this.models.Operations = new OperationsViewModel(unitConverter);
     this.models.Tabs = new TabsViewModel(unitConverter);
     this.models.GcodeGeneration = new GcodeGenerationViewModel();
@@ -199,12 +206,19 @@ export class SVGcut {
       // Set the simulation path from the Gcode
       const uc = this.models.GcodeGeneration.unitConverter;
       const topZ = this.models.Material.topZ.toUnits(uc.units());
-      const diam = this.models.Tool.cutterDiameter.toUnits(uc.units());
-      const ang = Math.PI * Number(this.models.Tool.cutterAngle()) / 180;
+      let cutters = this.models.GcodeGeneration.cutters;
+      if (cutters.length === 0)
+        cutters = [ {
+          diameter: this.models.Tool.cutterDiameter.toUnits(uc.units()),
+          angle: Math.PI * Number(this.models.Tool.cutterAngle()) / 180
+        } ];
       const cutterH = uc.fromUnits(10, "mm");
       const toolPath = Gcode.parse(this.models.GcodeGeneration.gcode());
       //console.debug(`Updating simulation of ${toolPath.length} gcode steps`);
-      this.#simulation.setPath(toolPath, topZ, diam, ang, cutterH);
+      if (this.models.GcodeGeneration.laserMode())
+        this.#simulation.setLaserPath(toolPath, topZ, cutters[0].diameter);
+      else
+        this.#simulation.setPath(toolPath, topZ, cutters, cutterH);
     });
 
     document.addEventListener("UNSUPPORTED_SVG", e =>
@@ -232,6 +246,12 @@ export class SVGcut {
    * Add handlers for events in SVG
    */
   addSVGEventHandlers() {
+    const getSVGPointFromEvent = event => {
+      const point = new DOMPoint(event.clientX, event.clientY);
+      const mat = this.mainSVG.getScreenCTM().inverse();
+      return point.matrixTransform(mat);
+    };
+
     // Click to select
     this.mainSVG
     .addEventListener("click", e => {
@@ -240,6 +260,13 @@ export class SVGcut {
       //if (e.detail > 1)
       //  return false; // ignore dblclick first click
 
+      // Picking a start point for a tool path
+      const pt = getSVGPointFromEvent(e);
+      const px2int = UnitConverter.from.px.to.integer;
+      if (this.models.Operations.clickOnSVG(
+        { X: pt.x * px2int, Y: pt.y * px2int }))
+        return true;
+
       if (this.models.Selection.clickOnSVG(e.target, e.shiftKey)) {
         if (this.models.Selection.isSomethingSelected()) {
           this.tutorial(3);
@@ -280,12 +307,6 @@ export class SVGcut {
     });
 
     // Panning
-    const getSVGPointFromEvent = event => {
-      const point = new DOMPoint(event.clientX, event.clientY);
-      const mat = this.mainSVG.getScreenCTM().inverse();
-      return point.matrixTransform(mat);
-    };
-
     const mouse = {};
     this.mainSVG
     .addEventListener("mousedown", event => {
@@ -514,8 +535,11 @@ export class SVGcut {
     for (const svgel of svgGroups) {
       if (container.svg[svgel.id]) {
         //console.debug("**** Reloading SVG", svgel.id);
-        const el = SVG.importFromText(container.svg[svgel.id]);
-        svgel.append(el);
+        // There may be several <svg>s in the group, e.g. imported
+        // files and text
+        const el = document.createElement("div");
+        el.innerHTML = container.svg[svgel.id];
+        svgel.append(...el.children);
       }
     }
 
@@ -43,7 +43,7 @@ export class SelectionViewModel extends ViewModel {
       this.clearSelection();
 
     const selectedEls = App.contentSVGGroup.querySelectorAll(
-      'path,rect,circle,ellipse,line,polyline,polygon');
+      'path,rect,circle,ellipse,line,polyline,polygon,image');
     if (selectedEls.length > 0) {
       selectedEls.forEach(element => this.clickOnSVG(element, true));
     }
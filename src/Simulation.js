@@ -58,7 +58,7 @@ export class Simulation {
   #needToDrawHeightMap = false;
 
   /**
-     * True if the cutter is a v-bit.
+   * True if any of the cutters is a v-bit.
    * @member {boolean}
    */
   #isVBit = false;
@@ -70,22 +70,22 @@ export class Simulation {
   #cutterHeight = 0;
 
   /**
-   * Cutter diameter.
+   * Largest cutter diameter.
    * @member {number}
    */
   #cutterDiameter;
 
   /**
-   * Tool (v bit) head angle, in radians
-   * @member {number}
+   * Cutters used in the path, each { toolNumber, diameter, angle }
+   * @member {object[]}
    */
-  #cutterAngle = Math.PI;
+  #cutters = [];
 
   /**
    * Where the user has asked to stop
-   * @member {object} {t,x,y,z,s}
+   * @member {object} {t,x,y,z,s,d}
    */
-  #stopAt = { t: 0, x: 0, y: 0, z: 0, s: 0 };
+  #stopAt = { t: 0, x: 0, y: 0, z: 0, s: 0, d: 0 };
 
   /**
    * Where to stop the simulation (snapshot time)
@@ -289,7 +289,7 @@ export class Simulation {
       this.#programs.heightMap = this.#linkRenderHeightMapProgram(this.#gl);
       this.#programs.basic = this.#linkBasicProgram(this.#gl);
 
-      this.setPath([], 0, 0, Math.PI / 2, 0);
+      this.setPath([], 0, [], 0);
 
       this.#addEventListeners();
 
@@ -505,10 +505,13 @@ export class Simulation {
     }
   }
 
-  #vBit(idx, prev, curr, buff, beginTime, time) {
+  /**
+   * Add a point to the buffer assuming a v bit
+   */
+  #vBit(idx, prev, curr, buff, beginTime, time, cutterAngle) {
     const coneHeight = -Math.min(curr.z, prev.z, 0) + 0.1;
     const coneDia = coneHeight * 2
-          * Math.sin(this.#cutterAngle) / Math.cos(this.#cutterAngle);
+          * Math.sin(cutterAngle) / Math.cos(cutterAngle);
     const coneDia_2 = coneDia / 2;
     const stride = this.#pathStride;
     const pvpl = this.#pathVerticesPerLine;
@@ -539,8 +542,8 @@ export class Simulation {
     }
 
     if (Math.abs(curr.z - prev.z) >= xyDist * Math.PI
-        / 2 * Math.cos(this.#cutterAngle)
-        / Math.sin(this.#cutterAngle)) {
+        / 2 * Math.cos(cutterAngle)
+        / Math.sin(cutterAngle)) {
 
       // plunge or retract
       let index = 0;
@@ -568,8 +571,8 @@ export class Simulation {
       // cut
       const planeContactAngle = Math.asin(
         (prev.z - curr.z) / xyDist
-        * Math.sin(this.#cutterAngle)
-        / Math.cos(this.#cutterAngle));
+        * Math.sin(cutterAngle)
+        / Math.cos(cutterAngle));
       //console.debug("\nxyDist = ", xyDist);
       //console.debug("delta z = " + (z - prev.z));
       //console.debug("planeContactAngle = " + (planeContactAngle * 180 / Math.PI));
@@ -632,9 +635,11 @@ export class Simulation {
   }
 
   /**
-   * Add a point to the buffer assuming a flat bit
+   * Add a point to the buffer assuming a flat bit. The cutter diameter
+   * is passed to the shader in rawPos.x, so that different flat bits
+   * can be used in the same path.
    */
-  #flatBit(idx, prev, curr, buff, beginTime, time) {
+  #flatBit(idx, prev, curr, buff, beginTime, time, cutterDiameter) {
     for (let virtex = 0; virtex < this.#pathVerticesPerLine; ++virtex) {
       const base = idx * this.#pathStride * this.#pathVerticesPerLine
           + virtex * this.#pathStride;
@@ -646,7 +651,11 @@ export class Simulation {
       buff[base + 5] = curr.z;
       buff[base + 6] = beginTime;
       buff[base + 7] = time;
-      buff[base + 8] = virtex;
+      // Vertices beyond the 18 needed for a flat bit are discarded
+      buff[base + 8] = virtex < 18 ? virtex : 200;
+      buff[base + 9] = cutterDiameter;
+      buff[base + 10] = 0;
+      buff[base + 11] = 0;
     }
   }
 
@@ -705,8 +714,7 @@ export class Simulation {
     this.#gl.enableVertexAttribArray(this.#programs.path.startTime);
     this.#gl.enableVertexAttribArray(this.#programs.path.endTime);
     this.#gl.enableVertexAttribArray(this.#programs.path.command);
-    if (this.#isVBit)
-      this.#gl.enableVertexAttribArray(this.#programs.path.rawPos);
+    this.#gl.enableVertexAttribArray(this.#programs.path.rawPos);
 
     const numTriangles = this.#pathNumVertices / 3;
     let lastTriangle = 0;
@@ -890,9 +898,10 @@ export class Simulation {
     this.#gl.useProgram(this.#programs.basic);
 
     // Set program variables
+    const diameter = this.#stopAt.d ?? this.#cutterDiameter;
     this.#gl.uniform3f(this.#programs.basic.scale,
-                      this.#cutterDiameter * this.#pathScale,
-                      this.#cutterDiameter * this.#pathScale,
+                      diameter * this.#pathScale,
+                      diameter * this.#pathScale,
                       this.#cutterHeight * this.#pathScale);
     this.#gl.uniform3f(this.#programs.basic.translate,
                       (x + this.#pathXOffset) * this.#pathScale,
@@ -936,7 +945,7 @@ export class Simulation {
   #interpolateToolPosition(t) {
     // TODO: use a binary search to find the encompassing timestep
     if (this.#timeSteps.length === 0)
-      return { t: 0, x: 0, y: 0, z: 0, f: 0, s: 0 };
+      return { t: 0, x: 0, y: 0, z: 0, f: 0, s: 0, d: 0 };
     let prev = this.#timeSteps[0];
     if (this.#timeSteps.length === 1)
       return prev;
@@ -954,7 +963,8 @@ export class Simulation {
       y: prev.y + dt * (curr.y - prev.y),
       z: prev.z + dt * (curr.z - prev.z),
       f: prev.f,
-      s: prev.s
+      s: prev.s,
+      d: curr.d
     };
   }
 
@@ -1046,38 +1056,71 @@ export class Simulation {
     });
   }
 
+  /**
+   * Set a laser path to be simulated. Moves made with the beam on
+   * (s > 0) burn a shallow line into the top of the material, while
+   * moves with the beam off leave no mark. All parameters use gcode
+   * units.
+   * @param {object[]} path array of path points, as for setPath. Z
+   * is ignored.
+   * @param {number} topZ top of the material
+   * @param {number} beamDiameter width of the burned lines
+   */
+  setLaserPath(path, topZ, beamDiameter) {
+    const burnZ = topZ - beamDiameter / 2;
+    const offZ = topZ + beamDiameter;
+    const burnt = [];
+    let prev;
+    for (const pt of path) {
+      const z = pt.s > 0 ? burnZ : offZ;
+      // Switch the beam on or off before moving
+      if (prev && prev.z !== z)
+        burnt.push({ x: prev.x, y: prev.y, z: z, f: pt.f, s: pt.s });
+      prev = { x: pt.x, y: pt.y, z: z, f: pt.f, s: pt.s };
+      burnt.push(prev);
+    }
+    this.setPath(burnt, topZ,
+                 [ { diameter: beamDiameter, angle: Math.PI / 2 } ],
+                 beamDiameter);
+  }
+
   /**
    * Set the path that is being simulated. All parameters use
    * gcode units.
    * @param {object[]} path array of path points, each an object { x,
-   * y, z, f, s } where x,y,z are the coords, f is the cutter speed,
-   * and s is the spindle speed.
+   * y, z, f, s, t } where x,y,z are the coords, f is the cutter speed,
+   * s is the spindle speed, and t is the (optional) tool number.
    * @param {number} topZ top of the material
-   * @param {number} cutterDiameter diameter of cutter head, in "integer".
-   * @param {number} cutterAngle angle of V-cutter head, in radians measured
-   * from the axis of rotation. Flat heads use PI/2.
+   * @param {object[]} cutters the cutters used in the path. Each is
+   * an object { toolNumber, diameter, angle } where angle is the angle
+   * of a V-cutter head, in radians measured from the axis of
+   * rotation. Flat heads use PI/2. The first cutter is used for points
+   * that don't have a tool number.
    * @param {number} cutterHeight height of cutter cylinder, in "integer".
    */
-  setPath(path, topZ, cutterDiameter, cutterAngle, cutterHeight) {
+  setPath(path, topZ, cutters, cutterHeight) {
 
     this.#pathTopZ = topZ;
-    this.#cutterDiameter = cutterDiameter;
-    if (cutterAngle <= 0 || cutterAngle > Math.PI / 2)
-      cutterAngle = Math.PI / 2;
-    this.#cutterAngle = cutterAngle;
-    this.#isVBit = cutterAngle < Math.PI / 2;
+    this.#cutters = cutters.map(c => {
+      let angle = c.angle;
+      if (angle <= 0 || angle > Math.PI / 2)
+        angle = Math.PI / 2;
+      return { toolNumber: c.toolNumber, diameter: c.diameter, angle: angle };
+    });
+    if (this.#cutters.length === 0)
+      this.#cutters.push({ diameter: 0, angle: Math.PI / 2 });
+    this.#cutterDiameter = Math.max(...this.#cutters.map(c => c.diameter));
+    this.#isVBit = this.#cutters.some(c => c.angle < Math.PI / 2);
     this.#cutterHeight = cutterHeight;
     this.#needToCreatePathTexture = true;
     this.#requestFrame();
     this.#pathNumPoints = path.length;
 
-    if (this.#isVBit) {
-      this.#pathStride = 12;
+    this.#pathStride = 12;
+    if (this.#isVBit)
       this.#pathVerticesPerLine = 12 + HALF_CIRCLE_SEGMENTS * 6;
-    } else {
-      this.#pathStride = 9;
+    else
       this.#pathVerticesPerLine = 18;
-    }
 
     this.#pathNumVertices = this.#pathNumPoints * this.#pathVerticesPerLine;
     const buff = new Float32Array(
@@ -1105,8 +1148,12 @@ export class Simulation {
       const beginTime = time;
       time = time + 60.0 * dist / curr.f;
 
+      const cutter = this.#cutters.find(c => c.toolNumber === curr.t)
+            ?? this.#cutters[0];
+
       this.#timeSteps.push({
-        t: time, x: curr.x, y: curr.y, z: curr.z, f: curr.f, s: curr.s });
+        t: time, x: curr.x, y: curr.y, z: curr.z, f: curr.f, s: curr.s,
+        d: cutter.diameter });
 
       min.x = Math.min(min.x, curr.x);
       min.y = Math.min(min.y, curr.y);
@@ -1116,10 +1163,11 @@ export class Simulation {
       max.y = Math.max(max.y, curr.y);
       max.z = Math.max(max.z, curr.z);
 
-      if (this.#isVBit)
-        this.#vBit(idx, prev, curr, buff, beginTime, time);
+      if (cutter.angle < Math.PI / 2)
+        this.#vBit(idx, prev, curr, buff, beginTime, time, cutter.angle);
       else
-        this.#flatBit(idx, prev, curr, buff, beginTime, time);
+        this.#flatBit(idx, prev, curr, buff, beginTime, time,
+                      cutter.diameter);
 
       prev = curr;
     }
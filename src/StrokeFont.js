@@ -0,0 +1,216 @@
+/*Copyright Crawford Currie 2025. This file is part of SVGcut, see the copyright and LICENSE at the root of the distribution. */
+/* global assert */
+
+import * as SVG from "./SVG.js";
+
+/**
+ * A single-stroke font, loaded from an SVG font. The glyphs in a
+ * stroke font (such as the Hershey fonts) are lines for the centre of
+ * the tool to follow, rather than outlines, so text laid out in a
+ * stroke font can be engraved in a single pass.
+ *
+ * SVG fonts use font units, with Y up from the baseline.
+ */
+export class StrokeFont {
+
+  /**
+   * Glyphs, mapped from the unicode string they render. Each glyph is
+   * { advance: number, strokes: object[][] } where strokes are
+   * polylines of { x, y } in font units.
+   * @member {Map}
+   * @private
+   */
+  #glyphs = new Map();
+
+  /**
+   * Glyph used for characters that are not in the font
+   * @member {object}
+   * @private
+   */
+  #missing = { advance: 0, strokes: [] };
+
+  /**
+   * @param {string} content text of an SVG document containing a <font>
+   * @param {object?} params parameters for linearising curves in glyphs
+   * @param {number} params.curveMinSegs minimum number of segments
+   * @param {number} params.curveMinSegLen minimum length of a segment
+   * in font units
+   * @throws {Error} if there is no font in the content
+   */
+  constructor(content, params) {
+    params = { curveMinSegs: 5, curveMinSegLen: 10, ...params };
+
+    const svg = SVG.importFromText(content);
+    const font = svg ? svg.querySelector("font") : undefined;
+    if (!font)
+      throw new Error("No <font> found");
+
+    /**
+     * Name of the font
+     * @member {string}
+     */
+    this.name = font.getAttribute("id");
+
+    const face = font.querySelector("font-face");
+    const attr = (el, name, dflt) => {
+      const v = el ? parseFloat(el.getAttribute(name)) : NaN;
+      return isNaN(v) ? dflt : v;
+    };
+
+    /**
+     * Font units per em
+     * @member {number}
+     */
+    this.unitsPerEm = attr(face, "units-per-em", 1000);
+
+    /**
+     * Distance from the baseline to the top of the em box, in font units
+     * @member {number}
+     */
+    this.ascent = attr(face, "ascent", 0.8 * this.unitsPerEm);
+
+    /**
+     * Distance from the baseline to the bottom of the em box (negative)
+     * @member {number}
+     */
+    this.descent = attr(face, "descent", this.ascent - this.unitsPerEm);
+
+    const advance = attr(font, "horiz-adv-x", this.unitsPerEm / 2);
+    const missing = font.querySelector("missing-glyph");
+    if (missing)
+      this.#missing = this.#parseGlyph(missing, advance, params);
+
+    for (const glyph of font.querySelectorAll("glyph")) {
+      const unicode = glyph.getAttribute("unicode");
+      if (unicode && !this.#glyphs.has(unicode))
+        this.#glyphs.set(unicode, this.#parseGlyph(glyph, advance, params));
+    }
+
+    /**
+     * Height of capital letters, in font units. The cap-height from
+     * the font-face isn't reliable, so this is measured from "H"
+     * where the font has it.
+     * @member {number}
+     */
+    this.capHeight = attr(face, "cap-height", this.ascent);
+    const H = this.#glyphs.get("H");
+    if (H && H.strokes.length > 0) {
+      let top = -Infinity;
+      for (const stroke of H.strokes)
+        for (const pt of stroke)
+          top = Math.max(top, pt.y);
+      this.capHeight = top;
+    }
+  }
+
+  /**
+   * Load a font from a URL.
+   * @param {string} url where to load the font from
+   * @param {object?} params see constructor
+   * @return {Promise} resolves to a StrokeFont
+   */
+  static load(url, params) {
+    return fetch(url)
+    .then(response => response.text())
+    .then(content => new StrokeFont(content, params));
+  }
+
+  /**
+   * Convert a <glyph> or <missing-glyph> to polylines.
+   * @param {Element} el the element
+   * @param {number} advance default advance
+   * @param {object} params see constructor
+   * @return {object} { advance, strokes }
+   * @private
+   */
+  #parseGlyph(el, advance, params) {
+    const adv = parseFloat(el.getAttribute("horiz-adv-x"));
+    const glyph = { advance: isNaN(adv) ? advance : adv, strokes: [] };
+    const d = el.getAttribute("d");
+    if (!d)
+      return glyph;
+    let stroke;
+    for (const seg of SVG.linearise(SVG.parsePathD(d), params)) {
+      if (seg[0] === "M") {
+        stroke = [];
+        glyph.strokes.push(stroke);
+      } else if (seg[0] === "Z") {
+        // Close it by returning to the start; it's still a single stroke
+        if (stroke && stroke.length > 0)
+          stroke.push({ ...stroke[0] });
+        continue;
+      }
+      assert(stroke, `Glyph "${el.getAttribute("unicode")}" doesn't start with M`);
+      for (let i = 1; i < seg.length; i += 2)
+        stroke.push({ x: seg[i], y: seg[i + 1] });
+    }
+    glyph.strokes = glyph.strokes.filter(s => s.length > 1);
+    return glyph;
+  }
+
+  /**
+   * Get the glyph for a character.
+   * @param {string} ch the character
+   * @return {object} { advance, strokes }
+   */
+  glyph(ch) {
+    return this.#glyphs.get(ch) ?? this.#missing;
+  }
+
+  /**
+   * Get the width of a line of text.
+   * @param {string} text the text (a single line)
+   * @param {number} height height of capital letters
+   * @return {number} the width, in the same units as height
+   */
+  width(text, height) {
+    let w = 0;
+    for (const ch of text)
+      w += this.glyph(ch).advance;
+    return w * height / this.capHeight;
+  }
+
+  /**
+   * Lay out text. Lines are separated by newlines. The result is in
+   * SVG user coordinates, with Y down.
+   * @param {string} text the text to lay out
+   * @param {object} params named parameters
+   * @param {number} params.height height of capital letters
+   * @param {number} params.x X position of the start of the baseline
+   * of the first line
+   * @param {number} params.y Y position of the start of the baseline
+   * of the first line
+   * @param {number} params.rotation degrees anticlockwise about (x, y)
+   * @return {object[][]} open polylines of { x, y }
+   */
+  layout(text, params) {
+    const scale = params.height / this.capHeight;
+    const a = Math.PI * (params.rotation ?? 0) / 180;
+    const cos = Math.cos(a), sin = Math.sin(a);
+    const lineHeight = (this.ascent - this.descent) * scale;
+    // Flip Y, then rotate; Y is down, so anticlockwise on the screen
+    // is a negative angle
+    const place = (lx, ly) => ({
+      x: params.x + lx * cos + ly * sin,
+      y: params.y - lx * sin + ly * cos
+    });
+    const strokes = [];
+
+    let baseline = 0;
+    for (const line of String(text).split("\n")) {
+      let pen = 0;
+      for (const ch of line) {
+        const glyph = this.glyph(ch);
+        for (const stroke of glyph.strokes) {
+          const placed = [];
+          for (const pt of stroke)
+            placed.push(place(pen + pt.x * scale, baseline - pt.y * scale));
+          strokes.push(placed);
+        }
+        pen += glyph.advance * scale;
+      }
+      baseline += lineHeight;
+    }
+    return strokes;
+  }
+}
@@ -0,0 +1,184 @@
+/*Copyright Crawford Currie 2025. This file is part of SVGcut, see the copyright and LICENSE at the root of the distribution. */
+
+/* global assert */
+/* global ClipperLib */
+ClipperLib.use_xyz = true;
+
+import { CutPoint } from "./CutPoint.js";
+import { CutPath } from "./CutPath.js";
+import { CutPaths } from "./CutPaths.js";
+import { ToolpathGenerator } from "./ToolpathGenerator.js";
+
+/**
+ * Surface (face) the stock, or the spoilboard, with a big flat
+ * cutter. The operation doesn't need any selected paths; the area to
+ * surface is the bounding box of the geometry it is given (the page
+ * or the content), extended by an overhang.
+ *
+ * The area is cleared either by raster passes along X, cut back and
+ * forth, or by a spiral from the outside in. Both start at the edge,
+ * so with an overhang of at least the cutter radius the cutter enters
+ * from outside the stock. The final pass is always a climb pass.
+ * Gcode is generated with Y mirrored, so a raster from low to high Y
+ * in "integer" coordinates climb mills going in +X, and the spiral
+ * climb mills going in the direction of increasing angle.
+ * @extends ToolpathGenerator
+ */
+export class Surface extends ToolpathGenerator {
+
+  /**
+   * The area surfaced, used for the preview
+   * @member {CutPaths}
+   */
+  #area = new CutPaths();
+
+  constructor() {
+    super({ cutRate: true, passDepth: true, stepOver: true, surface: true });
+    this.generatesZ = true;
+  }
+
+  /**
+   * Surfacing doesn't need any paths.
+   * @override
+   */
+  static worksOnPaths() { return "NONE"; }
+
+  /**
+   * Get the area to surface.
+   * @param {CutPaths} geometry the geometry
+   * @param {object} params see generateToolpaths
+   * @return {object?} { minX, minY, maxX, maxY } or undefined if
+   * there's no geometry
+   */
+  area(geometry, params) {
+    if (geometry.length === 0)
+      return undefined;
+    const bb = geometry.bbox3D();
+    const o = params.overhang;
+    return {
+      minX: bb.minX - o, minY: bb.minY - o,
+      maxX: bb.maxX + o, maxY: bb.maxY + o
+    };
+  }
+
+  /**
+   * Generate raster passes over a rectangle, back and forth along X,
+   * with the last pass in +X.
+   * @param {object} rect rectangle covered by the centre of the cutter
+   * @param {number} step maximum distance between passes
+   * @param {number} z Z of the passes
+   * @return {CutPath} the passes
+   * @private
+   */
+  #raster(rect, step, z) {
+    const path = new CutPath();
+    const h = rect.maxY - rect.minY;
+    const n = Math.ceil(h / step) + 1;
+    for (let i = 0; i < n; i++) {
+      const y = Math.round(n > 1 ? rect.minY + h * i / (n - 1) : rect.minY);
+      const left = new CutPoint(rect.minX, y, z);
+      const right = new CutPoint(rect.maxX, y, z);
+      if ((n - 1 - i) % 2 === 0)
+        path.push(left, right);
+      else
+        path.push(right, left);
+    }
+    return path;
+  }
+
+  /**
+   * Generate a spiral over a rectangle, from the outside in, in the
+   * direction of increasing angle.
+   * @param {object} rect rectangle covered by the centre of the cutter
+   * @param {number} step maximum distance between orbits
+   * @param {number} z Z of the passes
+   * @return {CutPath} the spiral
+   * @private
+   */
+  #spiral(rect, step, z) {
+    const path = new CutPath();
+    let { minX, minY, maxX, maxY } = rect;
+    while (maxX - minX > 0 && maxY - minY > 0) {
+      path.push(new CutPoint(minX, minY, z), new CutPoint(maxX, minY, z),
+                new CutPoint(maxX, maxY, z), new CutPoint(minX, maxY, z),
+                new CutPoint(minX, minY, z));
+      minX += step; minY += step;
+      maxX -= step; maxY -= step;
+    }
+    // Clean out what is left in the middle
+    const x = Math.round((minX + maxX) / 2);
+    const y = Math.round((minY + maxY) / 2);
+    if (maxX > minX)
+      path.push(new CutPoint(minX, y, z), new CutPoint(maxX, y, z));
+    else if (maxY > minY)
+      path.push(new CutPoint(x, maxY, z), new CutPoint(x, minY, z));
+    else
+      path.push(new CutPoint(x, y, z));
+    return path;
+  }
+
+  /**
+   * @param {CutPaths} geometry geometry giving the area to surface
+   * @param {object} params named parameters
+   * @param {number} params.cutterDiameter diameter of the cutter, in
+   * "integer" units
+   * @param {number} params.overlap is in the range [0, 1)
+   * @param {number} params.cutDepth depth to surface to
+   * @param {number} params.passDepth depth of each pass, 0 to surface
+   * to the full depth in one pass
+   * @param {number} params.overhang how far the cut extends beyond the
+   * area
+   * @param {string} params.surfacePattern "Raster" or "Spiral"
+   * @return {CutPaths} a tool path for each pass, with Z set
+   * @override
+   */
+  generateToolpaths(geometry, params) {
+    assert(geometry instanceof CutPaths);
+    assert(typeof params.cutterDiameter === "number");
+    assert(typeof params.overlap === "number");
+    assert(typeof params.cutDepth === "number");
+    assert(typeof params.passDepth === "number");
+    assert(typeof params.overhang === "number");
+    assert(typeof params.surfacePattern === "string");
+
+    const toolPaths = new CutPaths();
+    this.#area = new CutPaths();
+    const area = this.area(geometry, params);
+    if (!area)
+      return toolPaths;
+
+    this.#area.push(new CutPath([
+      { X: area.minX, Y: area.minY }, { X: area.maxX, Y: area.minY },
+      { X: area.maxX, Y: area.maxY }, { X: area.minX, Y: area.maxY }
+    ], true));
+
+    // The rectangle covered by the centre of the cutter. If the area
+    // is narrower than the cutter, it collapses to the middle.
+    const r = params.cutterDiameter / 2;
+    const rect = {};
+    for (const [ lo, hi ] of [ [ "minX", "maxX" ], [ "minY", "maxY" ] ]) {
+      if (area[hi] - area[lo] > 2 * r) {
+        rect[lo] = Math.round(area[lo] + r);
+        rect[hi] = Math.round(area[hi] - r);
+      } else
+        rect[lo] = rect[hi] = Math.round((area[lo] + area[hi]) / 2);
+    }
+    const step = Math.max(
+      Math.round(params.cutterDiameter * (1 - params.overlap)), 1);
+
+    for (const z of this.passLevels(params.cutDepth, params.passDepth))
+      toolPaths.push((params.surfacePattern === "Spiral")
+                     ? this.#spiral(rect, step, z)
+                     : this.#raster(rect, step, z));
+
+    return toolPaths;
+  }
+
+  /**
+   * The preview is the area surfaced
+   * @override
+   */
+  generatePreviewGeometry(toolPaths, params) {
+    return this.#area;
+  }
+}
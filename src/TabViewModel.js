@@ -56,6 +56,13 @@ export class TabViewModel extends ViewModel {
    */
   margin = ko.observable(DEFAULT.TAB_MARGIN);
 
+  /**
+   * Set on tabs placed by "Add automatic tabs", so placing them
+   * again replaces them instead of adding more.
+   * @member {boolean}
+   */
+  auto = false;
+
   /**
    * @param {UnitConverter} unit converter to use
    * @param {CutPaths} tabPaths input paths to the operation
@@ -146,7 +153,8 @@ export class TabViewModel extends ViewModel {
     return {
       tabPaths: this.#tabPaths.toJson(),
       enabled: this.enabled(),
-      margin: this.margin()
+      margin: this.margin(),
+      auto: this.auto
     };
   };
 
@@ -159,6 +167,7 @@ export class TabViewModel extends ViewModel {
 
     this.updateObservable(json, 'margin');
     this.updateObservable(json, 'enabled');
+    this.auto = json.auto === true;
 
     this.#disableRecombination = false;
     this.recombine();
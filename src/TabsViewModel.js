@@ -7,6 +7,7 @@
 import { ViewModel } from "./ViewModel.js";
 import { CutPaths } from "./CutPaths.js";
 import { TabViewModel } from "./TabViewModel.js";
+import * as HoldingTabs from "./HoldingTabs.js";
 import { DEFAULT, MIN } from "./Constants.js";
 
 /**
@@ -27,6 +28,42 @@ export class TabsViewModel extends ViewModel {
    */
   maxCutDepth = this.limited("TAB_CUT_DEPTH");
 
+  /**
+   * Whether automatic tabs are placed by "Count" or "Spacing"
+   * @member {observable.<string>}
+   */
+  autoTabRule = ko.observable(DEFAULT.AUTO_TAB_RULE);
+
+  /**
+   * Number of automatic tabs on each profile
+   * @member {observable.<number>}
+   */
+  autoTabCount = ko.observable(DEFAULT.AUTO_TAB_COUNT).extend({ MIN: 1 });
+
+  /**
+   * Distance between automatic tabs
+   * @member {observable.<number>}
+   */
+  autoTabSpacing = this.limited("AUTO_TAB_SPACING");
+
+  /**
+   * Length of automatic tabs along the profile
+   * @member {observable.<number>}
+   */
+  autoTabLength = this.limited("AUTO_TAB_LENGTH");
+
+  /**
+   * Height of automatic tabs above the bottom of the cut
+   * @member {observable.<number>}
+   */
+  autoTabHeight = this.limited("AUTO_TAB_HEIGHT");
+
+  /**
+   * Keep automatic tabs off corners
+   * @member {observable.<boolean>}
+   */
+  autoTabAvoidCorners = ko.observable(DEFAULT.AUTO_TAB_AVOID_CORNERS);
+
   /**
    * @param {UnitConverter} unitConverter the UnitConverter to use
    */
@@ -38,6 +75,10 @@ export class TabsViewModel extends ViewModel {
       document.dispatchEvent(new Event("UPDATE_GCODE"));
       document.dispatchEvent(new Event("PROJECT_CHANGED"));
     });
+
+    unitConverter.add(this.autoTabSpacing, "autoTabSpacing");
+    unitConverter.add(this.autoTabLength, "autoTabLength");
+    unitConverter.add(this.autoTabHeight, "autoTabHeight");
   }
 
   /**
@@ -66,6 +107,66 @@ export class TabsViewModel extends ViewModel {
     document.dispatchEvent(new Event("UPDATE_GCODE"));
   };
 
+  /**
+   * Add tabs automatically to the closed tool paths of enabled
+   * operations that engrave Outside, as these are the ones that cut
+   * parts out. Each tab is added separately, so they can be changed
+   * or removed afterwards. Tabs placed by an earlier call are
+   * replaced, so tabs are not doubled up. The tab depth is set so
+   * the tabs are the requested height above the bottom of the
+   * deepest of these operations. There is only one tab depth, so
+   * this also changes the height of tabs placed by hand (the user is
+   * warned if it does), and tabs on shallower operations are lower.
+   * Invoked from #TabsViewPane
+   */
+  addAutoTabs() {
+    const ops = App.models.Operations.operations().filter(
+      op => op.enabled() && op.operation() === "Engrave"
+      && op.offset() === "Outside");
+    if (ops.length === 0) {
+      App.showAlert("noOutsideOperations", "alert-warning");
+      return;
+    }
+
+    const params = {
+      length: this.autoTabLength.toUnits("integer"),
+      avoidCorners: this.autoTabAvoidCorners()
+    };
+    if (this.autoTabRule() === "Count")
+      params.count = Number(this.autoTabCount());
+    else
+      params.spacing = this.autoTabSpacing.toUnits("integer");
+
+    for (const tab of this.tabs().filter(t => t.auto)) {
+      tab.removeCombinedGeometry();
+      this.tabs.remove(tab);
+    }
+
+    let deepest = 0;
+    for (const op of ops) {
+      params.cutterDiameter = op.toolSetting("cutterDiameter", "integer");
+      for (const path of op.toolPaths())
+        for (const tabPath of HoldingTabs.placeTabs(path, params)) {
+          const tab = new TabViewModel(
+            this.unitConverter, new CutPaths([ tabPath ]));
+          tab.auto = true;
+          this.tabs.push(tab);
+        }
+      deepest = Math.max(deepest, Number(op.cutDepth()));
+    }
+
+    const depth = Math.max(
+      deepest - Number(this.autoTabHeight()),
+      this.unitConverter.fromUnits(MIN.TAB_CUT_DEPTH, "mm"));
+    if (depth !== Number(this.maxCutDepth())
+        && this.tabs().some(tab => !tab.auto))
+      App.showAlert("autoTabsChangeDepth", "alert-warning");
+    this.maxCutDepth(depth);
+
+    document.dispatchEvent(new Event("PROJECT_CHANGED"));
+    document.dispatchEvent(new Event("UPDATE_GCODE"));
+  }
+
   /**
    * Remove a tab. Invoked from #TabsView
    */
@@ -95,7 +196,13 @@ export class TabsViewModel extends ViewModel {
    */
   toJson(template) {
     const json = {
-      maxCutDepth: this.maxCutDepth()
+      maxCutDepth: this.maxCutDepth(),
+      autoTabRule: this.autoTabRule(),
+      autoTabCount: this.autoTabCount(),
+      autoTabSpacing: this.autoTabSpacing(),
+      autoTabLength: this.autoTabLength(),
+      autoTabHeight: this.autoTabHeight(),
+      autoTabAvoidCorners: this.autoTabAvoidCorners()
     };
     if (!template)
       json.tabs = this.tabs().map(tab => tab.toJson());
@@ -107,6 +214,12 @@ export class TabsViewModel extends ViewModel {
    */
   fromJson(json) {
     this.updateObservable(json, 'maxCutDepth');
+    this.updateObservable(json, 'autoTabRule');
+    this.updateObservable(json, 'autoTabCount');
+    this.updateObservable(json, 'autoTabSpacing');
+    this.updateObservable(json, 'autoTabLength');
+    this.updateObservable(json, 'autoTabHeight');
+    this.updateObservable(json, 'autoTabAvoidCorners');
     if (json.tabs)
       for (const tabJson of json.tabs) {
         const paths = CutPaths.fromJson(tabJson.tabPaths);
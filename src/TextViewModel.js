@@ -0,0 +1,204 @@
+/*Copyright Crawford Currie 2025. This file is part of SVGcut, see the copyright and LICENSE at the root of the distribution. */
+//import "knockout";
+/* global ko */
+
+/* global App */
+
+import { ViewModel } from "./ViewModel.js";
+import { StrokeFont } from "./StrokeFont.js";
+import { DEFAULT } from "./Constants.js";
+
+/**
+ * Stroke fonts bundled in the fonts/ directory, so they are always
+ * available, even offline.
+ */
+const FONTS = [
+  { name: "HersheySans1", label: "Sans" },
+  { name: "HersheySerifMed", label: "Serif" },
+  { name: "HersheyScript1", label: "Script" }
+];
+
+/**
+ * View model for the text tool, which adds text in a single-stroke
+ * font to the content SVG. The text is added as open paths, so it can
+ * be engraved "On" in a single pass.
+ * @extends ViewModel
+ */
+export class TextViewModel extends ViewModel {
+
+  /**
+   * The text to add. May be several lines.
+   * @member {observable.<string>}
+   */
+  text = ko.observable("");
+
+  /**
+   * Fonts to choose from
+   * @member {object[]}
+   */
+  fonts = FONTS;
+
+  /**
+   * Name of the font to use
+   * @member {observable.<string>}
+   */
+  font = ko.observable(DEFAULT.TEXT_FONT);
+
+  /**
+   * Height of capital letters
+   * @member {observable.<number>}
+   */
+  height = this.limited("TEXT_HEIGHT");
+
+  /**
+   * X position of the start of the text, from the left of the page
+   * @member {observable.<number>}
+   */
+  x = ko.observable(0);
+
+  /**
+   * Y position of the baseline of the first line of the text, from
+   * the top of the page
+   * @member {observable.<number>}
+   */
+  y = ko.observable(0);
+
+  /**
+   * Rotation, in degrees anticlockwise about the start of the text
+   * @member {observable.<number>}
+   */
+  rotation = ko.observable(0);
+
+  /**
+   * Fonts already loaded, mapping the name to a Promise that
+   * resolves to a StrokeFont
+   * @member {object}
+   * @private
+   */
+  #loaded = {};
+
+  /**
+   * @param {UnitConverter} unitConverter the UnitConverter to use
+   */
+  constructor(unitConverter) {
+    super(unitConverter);
+
+    unitConverter.add(this.height, "textHeight");
+    unitConverter.add(this.x, "textX");
+    unitConverter.add(this.y, "textY");
+
+    for (const obs of [ this.font, this.height, this.rotation ])
+      obs.subscribe(() => document.dispatchEvent(new Event("PROJECT_CHANGED")));
+  }
+
+  /**
+   * @override
+   */
+  bind() {
+    super.bind("TextModal");
+  }
+
+  /**
+   * Get a font, loading it if necessary
+   * @param {string} name name of the font
+   * @return {Promise} resolves to a StrokeFont
+   * @private
+   */
+  #getFont(name) {
+    if (!this.#loaded[name])
+      this.#loaded[name] = StrokeFont.load(`fonts/${name}.svg`);
+    return this.#loaded[name];
+  }
+
+  /**
+   * Lay out the text and add it to the content SVG, as a single
+   * path made of open strokes. Invoked from #TextModal.
+   * @return {Promise} resolves when the text has been added
+   */
+  addText() {
+    App.hideModals();
+    const text = this.text();
+    if (text.trim().length === 0)
+      return Promise.resolve();
+
+    return this.#getFont(this.font())
+    .then(font => {
+      const strokes = font.layout(text, {
+        height: this.height.toUnits("px"),
+        x: this.x.toUnits("px"),
+        y: this.y.toUnits("px"),
+        rotation: Number(this.rotation())
+      });
+      if (strokes.length === 0)
+        return;
+
+      let w = 1, h = 1;
+      const d = [];
+      for (const stroke of strokes) {
+        for (let i = 0; i < stroke.length; i++) {
+          const pt = stroke[i];
+          w = Math.max(w, pt.x);
+          h = Math.max(h, pt.y);
+          d.push(i === 0 ? "M" : "L", pt.x.toFixed(3), pt.y.toFixed(3));
+        }
+      }
+
+      const NS = "http://www.w3.org/2000/svg";
+      const svg = document.createElementNS(NS, "svg");
+      svg.setAttribute("width", w);
+      svg.setAttribute("height", h);
+      svg.setAttribute("viewBox", `0 0 ${w} ${h}`);
+      svg.setAttribute("overflow", "visible");
+      const path = document.createElementNS(NS, "path");
+      path.setAttribute("d", d.join(" "));
+      path.setAttribute("fill", "none");
+      path.setAttribute("stroke", "black");
+      path.setAttribute("stroke-width", this.height.toUnits("px") / 10);
+      path.setAttribute("stroke-linecap", "round");
+      path.setAttribute("stroke-linejoin", "round");
+      svg.append(path);
+
+      App.contentSVGGroup.append(svg);
+      App.fitSVG();
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+    })
+    .catch(e => {
+      console.error(e);
+      App.showAlert("fontLoadError", "alert-danger", this.font());
+    });
+  }
+
+  /**
+   * @override
+   */
+  reset() {
+    this.font(DEFAULT.TEXT_FONT);
+    this.height(this.unitConverter.fromUnits(DEFAULT.TEXT_HEIGHT, "mm"));
+    this.rotation(0);
+  }
+
+  /**
+   * @override
+   */
+  jsonFieldName() { return "text"; }
+
+  /**
+   * @override
+   */
+  toJson() {
+    return {
+      font: this.font(),
+      height: this.height(),
+      rotation: this.rotation()
+    };
+  }
+
+  /**
+   * @override
+   */
+  fromJson(json) {
+    this.updateObservable(json, 'font');
+    this.updateObservable(json, 'height');
+    this.updateObservable(json, 'rotation');
+  }
+}
@@ -0,0 +1,172 @@
+/*Copyright Crawford Currie 2025. This file is part of SVGcut, see the copyright and LICENSE at the root of the distribution. */
+
+/* global assert */
+/* global ClipperLib */
+ClipperLib.use_xyz = true;
+
+import { CutPoint } from "./CutPoint.js";
+import { CutPath } from "./CutPath.js";
+import { CutPaths } from "./CutPaths.js";
+import { ToolpathGenerator } from "./ToolpathGenerator.js";
+
+// Number of straight steps in each turn of the helix
+const THREAD_STEPS = 36;
+
+// Depth of an ISO metric thread (from the major to the minor
+// diameter, on the radius) as a fraction of the pitch
+const THREAD_DEPTH = 0.54127;
+
+/**
+ * Mill threads using a single point thread mill. The tool follows a
+ * helix, rising or falling one pitch for each turn, over the length
+ * of the thread (the cut depth). Threads are cut around the centres
+ * of closed paths that are circles, and at the vertices of other
+ * paths.
+ *
+ * Internal threads are cut from the centre of a hole that has already
+ * been drilled to the minor diameter. External threads are cut
+ * around a boss that has already been cut to the major diameter.
+ * @extends ToolpathGenerator
+ */
+export class ThreadMill extends ToolpathGenerator {
+
+  /**
+   * Outlines of the threads, used for the preview
+   * @member {CutPaths}
+   */
+  #threads = new CutPaths();
+
+  constructor() {
+    super({ cutRate: true, direction: true, threadMill: true });
+    this.generatesZ = true;
+  }
+
+  /**
+   * @override
+   */
+  static worksOnPaths() { return "ALL"; }
+
+  /**
+   * Get the minor diameter of a thread.
+   * @param {object} params see generateToolpaths
+   * @return {number} the minor diameter
+   */
+  minorDiameter(params) {
+    return params.threadDiameter - 2 * THREAD_DEPTH * params.threadPitch;
+  }
+
+  /**
+   * Generate the tool path to mill a thread.
+   * @param {object} centre { X, Y } centre of the thread
+   * @param {object} params see generateToolpaths
+   * @return {CutPath} the tool path
+   * @private
+   */
+  #thread(centre, params) {
+    const internal = (params.threadType === "Internal");
+    const cr = params.cutterDiameter / 2;
+    // Radius of the orbit of the centre of the cutter. Internal
+    // threads are cut out to the major diameter, external threads
+    // in to the minor diameter.
+    const r = internal
+          ? params.threadDiameter / 2 - cr
+          : this.minorDiameter(params) / 2 + cr;
+    // Where the tool starts and finishes; the centre of an
+    // internal thread, clear of the boss for an external thread
+    const clear = internal ? 0 : r + cr + params.threadPitch;
+
+    // Gcode is generated with Y mirrored, so increasing angles in
+    // "integer" coordinates are clockwise in Gcode. Climb milling is
+    // anticlockwise inside a hole, and clockwise outside a boss.
+    const dir = (internal === params.climb) ? -1 : 1;
+    // A right hand thread rises as the tool goes anticlockwise
+    const rising = ((dir === -1) === (params.threadHand === "Right"));
+
+    const depth = params.cutDepth;
+    const turns = depth / params.threadPitch;
+    const steps = Math.max(1, Math.ceil(turns * THREAD_STEPS));
+    const start = rising ? -depth : 0, end = rising ? 0 : -depth;
+
+    const path = new CutPath();
+    const at = (rad, a, z) => path.push(new CutPoint(
+      Math.round(centre.X + rad * Math.cos(a)),
+      Math.round(centre.Y + rad * Math.sin(a)),
+      Math.round(z)));
+
+    // Move to the start Z, then in to the thread
+    at(clear, 0, 0);
+    if (start !== 0)
+      at(clear, 0, start);
+    const sweep = dir * 2 * Math.PI * turns;
+    for (let i = 0; i <= steps; i++)
+      at(r, sweep * i / steps, start + (end - start) * i / steps);
+    // Back out of the thread
+    at(clear, sweep, end);
+    return path;
+  }
+
+  /**
+   * Compute tool paths.
+   * @param {CutPaths} geometry
+   * @param {object} params named parameters
+   * @param {number} params.cutterDiameter diameter of the cutting
+   * tip of the thread mill, in "integer" units
+   * @param {number} params.cutDepth length of the thread, from the
+   * top of the material
+   * @param {number} params.threadPitch distance between the turns
+   * of the thread
+   * @param {number} params.threadDiameter major diameter of the thread
+   * @param {string} params.threadType "Internal" or "External"
+   * @param {string} params.threadHand "Right" or "Left"
+   * @param {boolean} params.climb true for climb milling
+   * @return {CutPaths} tool paths, with Z set
+   * @override
+   */
+  generateToolpaths(geometry, params) {
+    assert(geometry instanceof CutPaths);
+    assert(typeof params.cutterDiameter === "number");
+    assert(typeof params.cutDepth === "number");
+    assert(typeof params.threadPitch === "number");
+    assert(typeof params.threadDiameter === "number");
+    assert(typeof params.threadType === "string");
+    assert(typeof params.threadHand === "string");
+
+    const centres = [];
+    for (const path of geometry) {
+      const circle = this.circle(path);
+      if (circle)
+        centres.push(circle);
+      else
+        centres.push(...path);
+    }
+
+    const toolPaths = new CutPaths();
+    this.#threads = new CutPaths();
+    if (params.threadPitch <= 0 || params.threadDiameter <= 0)
+      return toolPaths;
+    for (const centre of centres) {
+      toolPaths.push(this.#thread(centre, params));
+      this.#threads.push(this.previewHole(
+        centre, { cutterDiameter: params.threadDiameter }));
+      this.#threads.push(this.previewHole(
+        centre, { cutterDiameter: this.minorDiameter(params) }));
+    }
+    return toolPaths;
+  }
+
+  /**
+   * @override
+   */
+  bbBloat(toolPathWidth) {
+    return toolPathWidth / 2;
+  }
+
+  /**
+   * The preview shows the thread, between the major and minor
+   * diameters
+   * @override
+   */
+  generatePreviewGeometry(toolPaths, params) {
+    return this.#threads;
+  }
+}
@@ -0,0 +1,223 @@
+/*Copyright Crawford Currie 2025. This file is part of SVGcut, see the copyright and LICENSE at the root of the distribution. */
+
+// import "knockout";
+/* global ko */
+
+/* global App */
+
+import { ViewModel } from "./ViewModel.js";
+import { UnitConverter } from "./UnitConverter.js";
+
+/**
+ * Name of a key in browser LocalStorage that stores the tool library
+ */
+const LOCAL_TOOLS_AREA = "svgcut-tools";
+
+/**
+ * Fields of the Tool Defaults that are stored in a library tool.
+ * Lengths and rates are stored in mm.
+ */
+const LENGTHS = [ "cutterDiameter", "passDepth" ];
+const RATES = [ "plungeRate", "cutRate" ];
+const NUMBERS = [ "toolNumber", "flutes", "cutterAngle", "stepOver", "rpm" ];
+
+/**
+ * A tool in the library. Lengths are in mm, rates in mm/min.
+ * @typedef {object} LibraryTool
+ * @property {string} name user-friendly name
+ * @property {number} toolNumber tool number, for tool changes
+ * @property {number} flutes number of flutes
+ * @property {number} cutterDiameter diameter of the cutter
+ * @property {number} cutterAngle V-bit angle, degrees (90 for flat)
+ * @property {number} passDepth default pass depth
+ * @property {number} stepOver default step over, percent
+ * @property {number} plungeRate default plunge rate
+ * @property {number} cutRate default cut rate
+ * @property {number} rpm default spindle speed
+ */
+
+/**
+ * View model for the Tool Library pane. The library is a list of
+ * named tools, kept in browser local storage so it is shared by all
+ * projects. Operations can select a tool from the library to override
+ * the Tool Defaults.
+ * @extends ViewModel
+ */
+export class ToolLibraryViewModel extends ViewModel {
+
+  /**
+   * The tools in the library
+   * @member {observableArray.<LibraryTool>}
+   */
+  tools = ko.observableArray([]);
+
+  /**
+   * Name of the tool selected in the UI
+   * @member {observable.<string>}
+   */
+  selectedTool = ko.observable();
+
+  /**
+   * Name to use when saving the Tool Defaults to the library
+   * @member {observable.<string>}
+   */
+  newToolName = ko.observable("");
+
+  /**
+   * @param {UnitConverter} unitConverter the converter to use
+   */
+  constructor(unitConverter) {
+    super(unitConverter);
+
+    // A corrupt or old-format library must not stop the app from
+    // starting, so anything that doesn't look like a list of tools
+    // is ignored and the library starts empty.
+    const json = localStorage.getItem(LOCAL_TOOLS_AREA);
+    if (!json)
+      return;
+    let tools;
+    try {
+      tools = JSON.parse(json);
+    } catch (e) {
+      console.error(`Ignoring unreadable ${LOCAL_TOOLS_AREA}`, e);
+      return;
+    }
+    if (Array.isArray(tools) && tools.every(
+      tool => typeof tool === "object" && tool !== null
+      && typeof tool.name === "string"))
+      this.tools(tools);
+    else
+      console.error(`Ignoring ${LOCAL_TOOLS_AREA}, it is not a tool library`);
+  }
+
+  /**
+   * @override
+   */
+  bind() {
+    super.bind("ToolLibraryView");
+  }
+
+  /**
+   * Save the library in browser local storage
+   */
+  #saveLibrary() {
+    localStorage.setItem(LOCAL_TOOLS_AREA,
+                         JSON.stringify(this.tools(), null, 1));
+  }
+
+  /**
+   * Get the text to show for a tool in the UI.
+   * @param {LibraryTool} tool the tool
+   * @return {string} the text
+   */
+  toolText(tool) {
+    return `T${tool.toolNumber} ${tool.name}`;
+  }
+
+  /**
+   * Find a tool in the library
+   * @param {string} name name of the tool
+   * @return {LibraryTool?} the tool, or undefined if not found
+   */
+  getTool(name) {
+    return this.tools().find(t => t.name === name);
+  }
+
+  /**
+   * Get a tool setting.
+   * @param {string?} name name of a library tool. If undefined, or
+   * the tool isn't in the library, the setting is taken from the
+   * Tool Defaults.
+   * @param {string} field the setting e.g. "cutterDiameter"
+   * @param {string} units units to convert lengths and rates to.
+   * Ignored for other settings.
+   * @return {number} the value of the setting
+   */
+  getSetting(name, field, units) {
+    const tool = this.getTool(name);
+    const convert = LENGTHS.indexOf(field) >= 0 || RATES.indexOf(field) >= 0;
+    if (!tool) {
+      const ob = App.models.Tool[field];
+      return convert ? ob.toUnits(units) : Number(ob());
+    }
+    return convert ? tool[field] * UnitConverter.from.mm.to[units]
+    : tool[field];
+  }
+
+  /**
+   * Add a tool to the library, replacing any tool with the same name.
+   * @param {LibraryTool} tool the tool to add
+   */
+  addTool(tool) {
+    const old = this.getTool(tool.name);
+    if (old)
+      this.tools.replace(old, tool);
+    else
+      this.tools.push(tool);
+    this.#saveLibrary();
+  }
+
+  /**
+   * Get the Tool Defaults, expressed as a library tool.
+   * @param {string} name name to give the tool
+   * @return {LibraryTool} the tool
+   */
+  getToolDefaults(name) {
+    const toolModel = App.models.Tool;
+    const tool = { name: name };
+    for (const f of LENGTHS)
+      tool[f] = toolModel[f].toUnits("mm");
+    for (const f of RATES)
+      tool[f] = toolModel[f].toUnits("mm");
+    for (const f of NUMBERS)
+      tool[f] = Number(toolModel[f]());
+    return tool;
+  }
+
+  /**
+   * Save the Tool Defaults in the library, under the name in
+   * `newToolName`. Invoked from the UI.
+   */
+  saveToolDefaults() {
+    const name = this.newToolName().trim();
+    if (name.length === 0)
+      return;
+    this.addTool(this.getToolDefaults(name));
+    this.selectedTool(name);
+    this.newToolName("");
+  }
+
+  /**
+   * Copy the selected tool into the Tool Defaults. Invoked from the UI.
+   */
+  useAsToolDefaults() {
+    const tool = this.getTool(this.selectedTool());
+    if (!tool)
+      return;
+    const toolModel = App.models.Tool;
+    for (const f of LENGTHS)
+      toolModel[f](this.unitConverter.fromUnits(tool[f], "mm"));
+    for (const f of RATES)
+      toolModel[f](this.unitConverter.fromUnits(tool[f], "mm"));
+    for (const f of NUMBERS)
+      toolModel[f](tool[f]);
+  }
+
+  /**
+   * Delete the selected tool from the library. Operations that
+   * use the tool will revert to using the Tool Defaults. Invoked
+   * from the UI.
+   */
+  deleteTool() {
+    const tool = this.getTool(this.selectedTool());
+    if (!tool)
+      return;
+    this.tools.remove(tool);
+    this.#saveLibrary();
+  }
+
+  /**
+   * @override
+   */
+  jsonFieldName() { return "toolLibrary"; }
+}
@@ -14,6 +14,18 @@ import { DEFAULT, MIN } from "./Constants.js";
  */
 export class ToolViewModel extends ViewModel {
 
+  /**
+   * Tool number, used to select the tool when tools are changed
+   * @member {observable.<number>}
+   */
+  toolNumber = ko.observable(DEFAULT.TOOL_NUMBER).extend({ MIN: 0 });
+
+  /**
+   * Number of flutes on the cutter
+   * @member {observable.<number>}
+   */
+  flutes = ko.observable(DEFAULT.TOOL_FLUTES).extend({ MIN: 1 });
+
   /**
    * Tool diameter mm, must be >= 0.01mm
    * @member {observable.<number>}
@@ -65,6 +77,15 @@ export class ToolViewModel extends ViewModel {
   constructor(unitConverter) {
     super(unitConverter);
 
+    this.toolNumber.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+      document.dispatchEvent(new Event("UPDATE_GCODE"));
+    });
+
+    this.flutes.subscribe(() => {
+      document.dispatchEvent(new Event("PROJECT_CHANGED"));
+    });
+
     unitConverter.add(this.cutterDiameter, "cutterDiameter");
     this.cutterDiameter.subscribe(v => {
       document.dispatchEvent(new Event("PROJECT_CHANGED"));
@@ -119,6 +140,8 @@ export class ToolViewModel extends ViewModel {
    * @override
    */
   reset() {
+    this.toolNumber(DEFAULT.TOOL_NUMBER);
+    this.flutes(DEFAULT.TOOL_FLUTES);
     this.cutterDiameter(DEFAULT.TOOL_DIAMETER);
     this.cutterAngle(DEFAULT.TOOL_ANGLE);
     this.stepOver(DEFAULT.STEP_OVER);
@@ -139,6 +162,8 @@ export class ToolViewModel extends ViewModel {
    */
   toJson() {
     return {
+      toolNumber: this.toolNumber(),
+      flutes: this.flutes(),
       cutterDiameter: this.cutterDiameter(),
       cutterAngle: this.cutterAngle(),
       passDepth: this.passDepth(),
@@ -154,12 +179,15 @@ export class ToolViewModel extends ViewModel {
    * @override
    */
   fromJson(json) {
-    this.updateObservable(json, 'diameter');
+    this.updateObservable(json, 'toolNumber');
+    this.updateObservable(json, 'flutes');
+    this.updateObservable(json, 'cutterDiameter');
     this.updateObservable(json, 'cutterAngle');
     this.updateObservable(json, 'passDepth');
     this.updateObservable(json, 'stepOver');
     this.updateObservable(json, 'rapidRate');
     this.updateObservable(json, 'plungeRate');
     this.updateObservable(json, 'cutRate');
+    this.updateObservable(json, 'rpm');
   };
 }
@@ -8,10 +8,77 @@ import { CutPoint } from "./CutPoint.js";
 import { CutPath } from "./CutPath.js";
 import { CutPaths } from "./CutPaths.js";
 import { UnitConverter } from "./UnitConverter.js";
+import { CONST } from "./Constants.js";
 
 // Delta angle (rad) for generating hole preview
 const HOLE_DTHETA = Math.PI / 8;
 
+// A closed path is a circle if the distance of every vertex from the
+// centre is within this fraction of the radius
+const CIRCLE_TOLERANCE = 0.05;
+
+// Minimum number of vertices for a closed path to be a circle
+const CIRCLE_MIN_VERTICES = 8;
+
+// A tool path vertex is taken to be at the corner of the walls if it
+// is within this fraction of the cutter radius of where it should be
+const CORNER_TOLERANCE = 0.01;
+
+// Residue thinner than this (in "integer" units) is ignored when rest
+// machining. Avoids cutting slivers left by approximating arcs.
+const REST_TOLERANCE = CONST.ARC_TOLERANCE;
+
+// Number of segments in a lead-in or lead-out arc
+const LEAD_ARC_STEPS = 8;
+
+/**
+ * Compute the area swept by a cutter following tool paths. Closed
+ * paths are followed all the way round, but their insides are not
+ * swept.
+ * @param {CutPaths} toolPaths the paths followed by the cutter
+ * @param {number} r radius of the cutter
+ * @return {CutPaths} closed paths around the swept area
+ * @private
+ */
+function sweep(toolPaths, r) {
+  const co = new ClipperLib.ClipperOffset(2, CONST.ARC_TOLERANCE);
+  for (const path of toolPaths) {
+    const line = [ ...path ];
+    if (path.isClosed && path.length > 0)
+      line.push(path[0]);
+    co.AddPath(line, ClipperLib.JoinType.jtRound,
+               ClipperLib.EndType.etOpenRound);
+  }
+  const swept = [];
+  co.Execute(swept, r);
+  return new CutPaths(swept, true);
+}
+
+/**
+ * Get the distance from a point to the nearest edge of closed paths
+ * @param {object} pt point { X, Y }
+ * @param {CutPaths} paths closed paths
+ * @return {number} distance
+ * @private
+ */
+function distanceToEdges(pt, paths) {
+  let best = Infinity;
+  for (const path of paths) {
+    for (let i = 0; i < path.length; i++) {
+      const a = path[i], b = path[(i + 1) % path.length];
+      const dx = b.X - a.X, dy = b.Y - a.Y;
+      const l2 = dx * dx + dy * dy;
+      const t = l2 > 0
+            ? Math.max(0, Math.min(
+              1, ((pt.X - a.X) * dx + (pt.Y - a.Y) * dy) / l2))
+            : 0;
+      best = Math.min(best, Math.hypot(pt.X - a.X - t * dx,
+                                       pt.Y - a.Y - t * dy));
+    }
+  }
+  return best;
+}
+
 /**
  * Base class of all toolpath/preview geometry generators.
  */
@@ -43,8 +110,8 @@ export class ToolpathGenerator {
 
   /**
    * Whether the generator works on all paths, or only on closed
-   * or open paths.
-   * @return {string} "ALL", "CLOSED", "OPEN"
+   * or open paths, or doesn't need any paths at all.
+   * @return {string} "ALL", "CLOSED", "OPEN", "NONE"
    */
   static worksOnPaths() { return "ALL"; }
 
@@ -84,6 +151,72 @@ export class ToolpathGenerator {
     return hole;
   }
 
+  /**
+   * Determine if a path is a circle.
+   * @param {CutPath} path the path to test
+   * @return {object?} { X, Y, R } giving the centre and radius of the
+   * circle, or undefined if it isn't a circle
+   * @protected
+   */
+  circle(path) {
+    if (!path.isClosed || path.length < CIRCLE_MIN_VERTICES)
+      return undefined;
+    const bb = path.bbox3D();
+    const c = { X: (bb.minX + bb.maxX) / 2, Y: (bb.minY + bb.maxY) / 2 };
+    let r = 0;
+    for (const pt of path)
+      r += Math.hypot(pt.X - c.X, pt.Y - c.Y);
+    r /= path.length;
+    if (r === 0)
+      return undefined;
+    for (const pt of path)
+      if (Math.abs(Math.hypot(pt.X - c.X, pt.Y - c.Y) - r)
+          > r * CIRCLE_TOLERANCE)
+        return undefined;
+    return { X: c.X, Y: c.Y, R: r };
+  }
+
+  /**
+   * Get the depths of the passes needed to cut down to a depth
+   * @param {number} depth the final depth (positive)
+   * @param {number} passDepth depth of each pass, 0 for one pass
+   * @return {number[]} Z of each pass
+   * @protected
+   */
+  passLevels(depth, passDepth) {
+    const levels = [];
+    let z = 0;
+    do {
+      z = (passDepth > 0) ? Math.min(z + passDepth, depth) : depth;
+      levels.push(-z);
+    } while (z < depth);
+    return levels;
+  }
+
+  /**
+   * Join passes over a path at each level into a single tool path.
+   * Open paths are cut back and forth, closed paths always start at
+   * the same point.
+   * @param {CutPath} pass the path followed on each pass, in the
+   * direction of the first pass
+   * @param {number[]} levels Z of each pass, see passLevels
+   * @return {CutPath} the joined tool path, with Z set
+   * @protected
+   */
+  joinPasses(pass, levels) {
+    pass = new CutPath(pass);
+    if (pass.isClosed)
+      pass.push(pass[0]);
+    const toolPath = new CutPath();
+    for (const level of levels) {
+      for (const pt of pass)
+        toolPath.push(new CutPoint(pt.X, pt.Y, level));
+      if (!pass.isClosed)
+        pass = new CutPath(pass).reverse();
+    }
+    return toolPath;
+  }
+
   /**
    * Subclasses must override. All input measurements are in "integer" units.
    * @param {CutPaths} geometry input geometry
@@ -107,6 +240,342 @@ export class ToolpathGenerator {
     assert(false, "Pure virtual");
   }
 
+  /**
+   * Restrict tool paths to rest machining. Only the parts of the tool
+   * paths where the cutter can reach material that was left by the
+   * tool paths of a previous operation (usually with a bigger cutter)
+   * are kept.
+   * @param {CutPaths} toolPaths tool paths generated by this generator
+   * @param {object} params named parameters
+   * @param {number} params.cutterDiameter diameter of this cutter
+   * @param {CutPaths} params.restPaths tool paths of the previous
+   * operation
+   * @param {number} params.restDiameter diameter of the cutter used by
+   * the previous operation
+   * @return {CutPaths} open tool paths
+   */
+  restToolpaths(toolPaths, params) {
+    assert(params.restPaths instanceof CutPaths);
+    assert(typeof params.restDiameter === "number");
+    const r = params.cutterDiameter / 2;
+    const round = { ...params, joinType: ClipperLib.JoinType.jtRound };
+
+    // Material this operation would remove that the previous
+    // operation didn't
+    const residue = sweep(toolPaths, r)
+          .difference(sweep(params.restPaths, params.restDiameter / 2))
+          .offset(-REST_TOLERANCE, params)
+          .offset(REST_TOLERANCE, round);
+    if (residue.length === 0)
+      return new CutPaths();
+
+    // Keep the parts of the tool paths where the cutter touches
+    // the residue
+    const reach = residue.offset(r, round);
+    const clpr = new ClipperLib.Clipper();
+    clpr.ZFillFunction = CutPoint.interpolateZ;
+    for (const path of toolPaths) {
+      const line = [ ...path ];
+      if (path.isClosed && path.length > 0)
+        line.push(path[0]);
+      clpr.AddPath(line, ClipperLib.PolyType.ptSubject, false);
+    }
+    clpr.AddPaths(reach, ClipperLib.PolyType.ptClip, true);
+    const tree = new ClipperLib.PolyTree();
+    clpr.Execute(ClipperLib.ClipType.ctIntersection, tree,
+                 ClipperLib.PolyFillType.pftNonZero,
+                 ClipperLib.PolyFillType.pftNonZero);
+    return new CutPaths(ClipperLib.Clipper.OpenPathsFromPolyTree(tree), false)
+    .filter(p => p.length > 1);
+  }
+
+  /**
+   * Add relief to inside corners. A round cutter can't cut into
+   * an inside corner of the walls it follows, so the corners are left
+   * rounded and square parts won't fit. Relief overcuts the corners
+   * so they will.
+   *
+   * A "Dogbone" moves the cutter along the bisector of the corner
+   * until it touches the corner. A "TBone" moves it along the longer
+   * of the two edges, so the overcut is in the shorter one.
+   *
+   * If a tool path has a vertex where the cutter sits in the corner,
+   * the relief is added to the tool path there, otherwise it is added
+   * as a separate tool path.
+   * @param {CutPaths} toolPaths tool paths, modified in place
+   * @param {CutPaths} walls closed paths the edge of the cutter follows
+   * @param {boolean} outside true if the material is cut outside the
+   * walls, false if it is cut inside them (even-odd)
+   * @param {number} radius distance between the walls and the tool
+   * paths that follow them
+   * @param {object} params named parameters
+   * @param {string} params.cornerRelief "Dogbone" or "TBone"
+   * @param {number} params.cornerAngle only corners with an angle less
+   * than this (radians) are relieved
+   * @return {CutPaths} the tool paths
+   * @protected
+   */
+  cornerRelief(toolPaths, walls, outside, radius, params) {
+    assert(typeof params.cornerRelief === "string");
+    assert(typeof params.cornerAngle === "number");
+    walls = walls.filter(p => p.isClosed && p.length > 2);
+    if (radius <= 0 || walls.length === 0)
+      return toolPaths;
+
+    function cut(pt) {
+      let count = 0;
+      for (const path of walls)
+        if (path.inside(pt) > 0)
+          count++;
+      return ((count % 2) === 1) !== outside;
+    }
+
+    const tolerance = Math.max(2, radius * CORNER_TOLERANCE);
+    for (const wall of walls) {
+      for (let i = 0; i < wall.length; i++) {
+        const c = wall[i];
+        const a = wall[(i + wall.length - 1) % wall.length];
+        const b = wall[(i + 1) % wall.length];
+        const la = c.dist(a), lb = c.dist(b);
+        if (la === 0 || lb === 0)
+          continue;
+        const ua = { X: (a.X - c.X) / la, Y: (a.Y - c.Y) / la };
+        const ub = { X: (b.X - c.X) / lb, Y: (b.Y - c.Y) / lb };
+        const angle = Math.acos(
+          Math.max(-1, Math.min(1, ua.X * ub.X + ua.Y * ub.Y)));
+        if (angle <= 0 || angle >= params.cornerAngle)
+          continue;
+        // Bisector, into the corner
+        const bl = Math.hypot(ua.X + ub.X, ua.Y + ub.Y);
+        const bis = { X: (ua.X + ub.X) / bl, Y: (ua.Y + ub.Y) / bl };
+        const eps = Math.min(la, lb, radius) / 4;
+        if (!cut(new CutPoint(c.X + bis.X * eps, c.Y + bis.Y * eps)))
+          continue;
+
+        // Where the cutter sits in the corner
+        const d = radius / Math.sin(angle / 2);
+        const v = new CutPoint(Math.round(c.X + bis.X * d),
+                               Math.round(c.Y + bis.Y * d));
+        // The cutter can't get there
+        if (distanceToEdges(v, walls) < radius - tolerance)
+          continue;
+
+        // Where the cutter goes to relieve the corner
+        let relief;
+        if (params.cornerRelief === "TBone") {
+          // Perpendicular to the longer edge
+          const u = la >= lb ? ua : ub;
+          const dot = bis.X * u.X + bis.Y * u.Y;
+          const nx = bis.X - u.X * dot, ny = bis.Y - u.Y * dot;
+          const nl = Math.hypot(nx, ny);
+          relief = { X: c.X + nx * radius / nl, Y: c.Y + ny * radius / nl };
+        } else
+          relief = { X: c.X + bis.X * radius, Y: c.Y + bis.Y * radius };
+
+        let best, bestPath;
+        for (const path of toolPaths) {
+          const closest = path.closestVertex(v);
+          if (closest && (!best || closest.dist2 < best.dist2)) {
+            best = closest;
+            bestPath = path;
+          }
+        }
+        if (best && best.dist2 <= tolerance * tolerance) {
+          const at = bestPath[best.pointIndex];
+          bestPath.splice(best.pointIndex + 1, 0,
+                          new CutPoint(Math.round(relief.X),
+                                       Math.round(relief.Y), at.Z),
+                          new CutPoint(at.X, at.Y, at.Z));
+        } else
+          toolPaths.push(new CutPath([
+            v, { X: Math.round(relief.X), Y: Math.round(relief.Y) }, v
+          ], false));
+      }
+    }
+    return toolPaths;
+  }
+
+  /**
+   * Choose where closed tool paths start. Paths near a start point
+   * picked by the user start at the vertex closest to it. Other closed
+   * paths start where the rule says; "Nearest" starts at the vertex
+   * nearest to where the previous tool path ended, "LongestEdge" starts
+   * at the beginning of the longest straight edge, so a ramp or lead
+   * goes along it. Anything else leaves the paths as they were
+   * generated.
+   * @param {CutPaths} toolPaths tool paths, modified in place
+   * @param {object} params named parameters
+   * @param {object[]?} params.startPoints picked start points, each
+   * `{ X, Y }`
+   * @param {string?} params.startRule rule for paths that don't have a
+   * picked start point
+   * @return {CutPaths} the tool paths
+   * @protected
+   */
+  chooseStartPoints(toolPaths, params) {
+    // The vertex each path starts at, by path index
+    const picked = new Map();
+    for (const sp of params.startPoints ?? []) {
+      const best = toolPaths.closestVertex(new CutPoint(sp.X, sp.Y), true);
+      if (best)
+        picked.set(best.pathIndex, best.pointIndex);
+    }
+
+    let end;
+    for (let i = 0; i < toolPaths.length; i++) {
+      const path = toolPaths[i];
+      if (path.isClosed && path.length > 1) {
+        let first = picked.get(i);
+        if (typeof first === "undefined") {
+          if (params.startRule === "Nearest" && end)
+            first = path.closestVertex(end).pointIndex;
+          else if (params.startRule === "LongestEdge") {
+            let longest = -1;
+            for (let j = 0; j < path.length; j++) {
+              const d2 = path[j].dist2(path[(j + 1) % path.length]);
+              if (d2 > longest) {
+                longest = d2;
+                first = j;
+              }
+            }
+          }
+        }
+        if (typeof first !== "undefined")
+          path.makeFirst(first);
+        // A closed path ends where it started
+        end = path[0];
+      } else if (path.length > 0)
+        end = path[path.length - 1];
+    }
+    return toolPaths;
+  }
+
+  /**
+   * Add lead-in and lead-out moves to closed tool paths that follow
+   * walls, so the cutter doesn't plunge (and lift) on the wall and
+   * leave a mark there. The leads are on the waste side of the tool
+   * path, and are attached to it as `leadIn` and `leadOut` (see
+   * CutPath.withLeads).
+   *
+   * A "Tangent" lead is a straight line along the direction of the
+   * path where it starts (or ends), a "Perpendicular" lead is a
+   * straight line at right angles to it, and an "Arc" is a quarter
+   * circle that joins the path tangentially. If the cutter would cut
+   * into the walls following a lead, a perpendicular lead is used
+   * instead, and if that won't fit either, the path gets no leads.
+   * @param {CutPaths} toolPaths tool paths, modified in place
+   * @param {CutPaths} walls closed paths the edge of the cutter follows
+   * @param {boolean} outside true if the material is cut outside the
+   * walls, false if it is cut inside them (even-odd)
+   * @param {number} radius distance between the walls and the tool
+   * paths
+   * @param {object} params named parameters
+   * @param {string} params.leadType "Tangent", "Arc" or "Perpendicular"
+   * @param {number} params.leadLength length of a straight lead, or
+   * radius of an arc
+   * @return {CutPaths} the tool paths
+   * @protected
+   */
+  addLeads(toolPaths, walls, outside, radius, params) {
+    assert(typeof params.leadType === "string");
+    assert(typeof params.leadLength === "number");
+    walls = walls.filter(p => p.isClosed && p.length > 2);
+    const L = params.leadLength;
+    if (L <= 0 || walls.length === 0)
+      return toolPaths;
+
+    const tolerance = Math.max(2, radius * CORNER_TOLERANCE);
+
+    // Can the cutter follow the lead without cutting the walls? Points
+    // are checked no more than the radius apart, so the lead can't
+    // cross a wall without one of them being too close to it.
+    function fits(lead) {
+      for (let i = 1; i < lead.length; i++) {
+        const a = lead[i - 1], b = lead[i];
+        const n = Math.max(1, Math.ceil(a.dist(b) / Math.max(radius, 1)));
+        for (let j = 1; j <= n; j++) {
+          const pt = new CutPoint(a.X + (b.X - a.X) * j / n,
+                                  a.Y + (b.Y - a.Y) * j / n);
+          let count = 0;
+          for (const path of walls)
+            if (path.inside(pt) > 0)
+              count++;
+          if (((count % 2) === 1) === outside
+              || distanceToEdges(pt, walls) < radius - tolerance)
+            return false;
+        }
+      }
+      return true;
+    }
+
+    // Make a lead from the path at p, where the direction of the path
+    // is t and n is the normal on the waste side. The lead is in the
+    // direction of cutting, so a lead in ends at p, and a lead out
+    // starts there.
+    function lead(type, p, t, n, isIn) {
+      const s = isIn ? -1 : 1;
+      const pts = [];
+      if (type === "Arc") {
+        const c = { X: p.X + n.X * L, Y: p.Y + n.Y * L };
+        for (let i = 0; i <= LEAD_ARC_STEPS; i++) {
+          const a = (isIn ? LEAD_ARC_STEPS - i : i) * Math.PI
+                / (2 * LEAD_ARC_STEPS);
+          const cos = Math.cos(a), sin = Math.sin(a);
+          pts.push({ X: c.X + L * (-n.X * cos + s * t.X * sin),
+                     Y: c.Y + L * (-n.Y * cos + s * t.Y * sin) });
+        }
+      } else {
+        const d = (type === "Tangent") ? { X: s * t.X, Y: s * t.Y } : n;
+        pts.push({ X: p.X, Y: p.Y }, { X: p.X + d.X * L, Y: p.Y + d.Y * L });
+        if (isIn)
+          pts.reverse();
+      }
+      return new CutPath(pts.map(pt => new CutPoint(
+        Math.round(pt.X), Math.round(pt.Y), p.Z)), false);
+    }
+
+    const unit = (a, b) => {
+      const l = a.dist(b);
+      return { X: (b.X - a.X) / l, Y: (b.Y - a.Y) / l };
+    };
+
+    for (const path of toolPaths) {
+      if (!path.isClosed || path.length < 2)
+        continue;
+      const p = path[0];
+      const next = path.find(pt => !pt.equals(p));
+      const prev = path.findLast(pt => !pt.equals(p));
+      if (!next)
+        continue;
+      const tIn = unit(p, next), tOut = unit(prev, p);
+
+      // The waste side is the one away from the walls
+      const left = { X: -tIn.Y, Y: tIn.X };
+      const e = Math.max(radius / 2, tolerance);
+      const side = distanceToEdges(
+        { X: p.X + left.X * e, Y: p.Y + left.Y * e }, walls)
+            >= distanceToEdges(
+              { X: p.X - left.X * e, Y: p.Y - left.Y * e }, walls)
+            ? 1 : -1;
+      const nIn = { X: -side * tIn.Y, Y: side * tIn.X };
+      const nOut = { X: -side * tOut.Y, Y: side * tOut.X };
+
+      for (const type of [ params.leadType, "Perpendicular" ]) {
+        const leadIn = lead(type, p, tIn, nIn, true);
+        const leadOut = lead(type, p, tOut, nOut, false);
+        if (fits(leadIn) && fits(leadOut)) {
+          // The ends that join the path are the path itself
+          leadIn.pop();
+          leadOut.shift();
+          path.leadIn = leadIn;
+          path.leadOut = leadOut;
+          break;
+        }
+      }
+    }
+    return toolPaths;
+  }
+
   /**
    * Extra space required in a bounding box outside of the basic
    * operand paths.
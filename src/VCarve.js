@@ -0,0 +1,164 @@
+/*Copyright Crawford Currie 2025. This file is part of SVGcut, see the copyright and LICENSE at the root of the distribution. */
+
+/* global assert */
+/* global ClipperLib */
+ClipperLib.use_xyz = true;
+
+import { CutPoint } from "./CutPoint.js";
+import { CutPath } from "./CutPath.js";
+import { CutPaths } from "./CutPaths.js";
+import { ToolpathGenerator } from "./ToolpathGenerator.js";
+import { Pocket } from "./Pocket.js";
+import { medialAxis } from "./MedialAxis.js";
+
+/**
+ * V-carve closed paths with a V cutter. The cutter follows the
+ * medial axis of the shape, and the depth at each point is set so
+ * the cutter just touches the sides of the shape. This gives sharp
+ * corners, as the cutter rises out of the material into them.
+ *
+ * Where the depth is limited (by the cut depth, or the size of the
+ * cutter) the bottom of the carving is flat. The edge of the flat
+ * area is cut with the V cutter, and the flat area itself can be
+ * cleared using a second (flat) tool. The paths for the second tool
+ * are left in `clearingPaths`.
+ * @extends ToolpathGenerator
+ */
+export class VCarve extends ToolpathGenerator {
+
+  /**
+   * The shape being carved, used for the preview
+   * @member {CutPaths}
+   */
+  #shape = new CutPaths();
+
+  constructor() {
+    super({ cutRate: true, passDepth: true, vCarve: true });
+    this.generatesZ = true;
+
+    /**
+     * Tool paths for the flat bottom clearing tool, with Z set.
+     * Empty if there is no flat bottom, or no clearing tool.
+     * @member {CutPaths}
+     */
+    this.clearingPaths = new CutPaths();
+  }
+
+  /**
+   * @override
+   */
+  static worksOnPaths() { return "CLOSED"; }
+
+  /**
+   * @param {CutPaths} geometry input geometry
+   * @param {object} params named parameters
+   * @param {number} params.cutterDiameter diameter of the V cutter
+   * @param {number} params.cutterAngle angle (radians) of cutter edge
+   * from axis of rotation
+   * @param {number} params.cutDepth maximum depth of the carving
+   * @param {number} params.passDepth depth of each pass
+   * @param {number} params.clearDiameter diameter of the flat tool
+   * used to clear flat bottoms, 0 for no clearing
+   * @param {number} params.clearPassDepth pass depth for the flat tool
+   * @param {JoinType} params.joinType join type
+   * @param {number} params.mitreLimit join mitre limit
+   * @return {CutPaths} tool paths with Z set
+   * @override
+   */
+  generateToolpaths(geometry, params) {
+    assert(geometry instanceof CutPaths);
+    assert(typeof params.cutterDiameter === "number");
+    assert(typeof params.cutterAngle === "number");
+    assert(typeof params.cutDepth === "number");
+    assert(typeof params.passDepth === "number");
+
+    this.#shape = new CutPaths(geometry.filter(p => p.isClosed));
+    this.clearingPaths = new CutPaths();
+    const toolPaths = new CutPaths();
+    if (this.#shape.length === 0)
+      return toolPaths;
+
+    const tanA = Math.tan(params.cutterAngle);
+    // Can't go deeper than the cut depth, or the V of the cutter
+    const maxDepth = Math.min(params.cutDepth,
+                              params.cutterDiameter / (2 * tanA));
+
+    let capped = false;
+    const axis = new CutPaths();
+    for (const line of medialAxis(this.#shape)) {
+      const path = new CutPath();
+      for (const pt of line) {
+        let depth = pt.R / tanA;
+        if (depth > maxDepth) {
+          depth = maxDepth;
+          capped = true;
+        }
+        path.push(new CutPoint(Math.round(pt.X), Math.round(pt.Y),
+                               -Math.round(depth)));
+      }
+      path.unduplicate();
+      if (path.length > 1)
+        axis.push(path);
+    }
+
+    // Edge of the flat bottom, and the area inside it
+    let flat = new CutPaths();
+    if (capped)
+      flat = this.#shape.offset(-maxDepth * tanA, params);
+
+    const levels = this.passLevels(Math.round(maxDepth), params.passDepth);
+    let prevZ = 0;
+    for (const z of levels) {
+      const pass = new CutPaths();
+      for (const path of axis) {
+        if (path.bbox3D().minZ >= prevZ)
+          continue; // already cut
+        const cut = new CutPath();
+        for (const pt of path)
+          cut.push(new CutPoint(pt.X, pt.Y, Math.max(pt.Z, z)));
+        pass.push(cut);
+      }
+      for (const path of flat) {
+        const edge = new CutPath(path);
+        edge.Z(z, true);
+        pass.push(edge);
+      }
+      toolPaths.push(...pass.sortPaths());
+      prevZ = z;
+    }
+
+    if (capped && params.clearDiameter > 0) {
+      const rings = new Pocket().generateToolpaths(flat, {
+        strategy: "Annular",
+        cutterDiameter: params.clearDiameter,
+        cutterAngle: Math.PI / 2,
+        cutDepth: params.cutDepth,
+        passDepth: params.clearPassDepth,
+        topZ: 0,
+        margin: 0,
+        overlap: params.overlap ?? 0.5,
+        climb: params.climb ?? false,
+        joinType: params.joinType,
+        mitreLimit: params.mitreLimit
+      });
+      for (const z of this.passLevels(Math.round(maxDepth),
+                                      params.clearPassDepth ?? 0)) {
+        for (const ring of rings) {
+          const path = new CutPath(ring);
+          path.Z(z, true);
+          this.clearingPaths.push(path);
+        }
+      }
+    }
+
+    return toolPaths;
+  }
+
+  /**
+   * The preview is the shape being carved
+   * @override
+   */
+  generatePreviewGeometry(toolPaths, params) {
+    return this.#shape;
+  }
+}
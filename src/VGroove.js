@@ -4,21 +4,21 @@
 /* global ClipperLib */
 ClipperLib.use_xyz = true;
 
-import { CutPoint } from "./CutPoint.js";
 import { CutPath } from "./CutPath.js";
 import { CutPaths } from "./CutPaths.js";
 import { ToolpathGenerator } from "./ToolpathGenerator.js";
 
 /**
- * Cut a V-shaped groove following the path. The size of the goove
- * is dictated by the angle of the cutter, and the maximum depth of
- * the cut.
+ * Cut a V-shaped groove following the path, using a V cutter. The
+ * depth of the groove is dictated by the angle of the cutter and the
+ * desired width of the groove. The groove is cut in a number of
+ * passes, stepping down to the full depth.
  * @extends ToolpathGenerator
  */
 export class VGroove extends ToolpathGenerator {
   constructor() {
-    super({ cutRate: true, direction: true, passDepth: true,
-            width: true, stepOver: true });
+    super({ cutRate: true, direction: true, passDepth: true, width: true });
+    this.generatesZ = true;
   }
 
   /**
@@ -26,72 +26,80 @@ export class VGroove extends ToolpathGenerator {
    */
   static worksOnPaths() { return "ALL"; }
 
+  /**
+   * Get the width of the groove. This is the requested width, but
+   * can't be wider than the cutter.
+   * @param {object} params see generateToolpaths
+   * @return {number} width in "integer" units
+   * @private
+   */
+  #grooveWidth(params) {
+    if (params.width > 0 && params.width < params.cutterDiameter)
+      return params.width;
+    return params.cutterDiameter;
+  }
+
+  /**
+   * Get the depth of the groove.
+   * @param {object} params see generateToolpaths
+   * @return {number} depth in "integer" units
+   */
+  grooveDepth(params) {
+    return Math.round(
+      this.#grooveWidth(params) / (2 * Math.tan(params.cutterAngle)));
+  }
+
   /**
    * @param {CutPaths} geometry input geometry
    * @param {object} params named parameters. Not all are used by all
    * operations.
    * @param {number} params.cutterDiameter diameter of thickest part of cutter
    * in "integer" units
-   * @param {number} params.cutterAngle angle of cutter edge from axis of
-   * rotation
-   * @param {number} params.width desired path width (may be wider than the
-   * cutter)
-   * @param {number} params.overlap is in the range [0, 1)
+   * @param {number} params.cutterAngle angle (radians) of cutter edge
+   * from axis of rotation
+   * @param {number} params.width desired groove width. 0 means the
+   * full width of the cutter, which is also the maximum.
+   * @param {number} params.passDepth depth of each pass, 0 to cut to
+   * the full depth in one pass
    * @param {boolean} params.climb true for climb milling
+   * @return {CutPaths} tool paths with Z set
    * @override
    */
   generateToolpaths(geometry, params) {
-    /**
-     * Don't exceed the path width
-     * Cut to the target depth
-     * Just like outline, except it's centred on the path
-     */
     assert(geometry instanceof CutPaths);
+    assert(typeof params.cutterDiameter === "number");
+    assert(typeof params.cutterAngle === "number");
+    assert(typeof params.width === "number");
+    assert(typeof params.passDepth === "number");
 
-    // An open path can be closed by backtracking it
-    const w = params.width;
-    params.clipPoly = geometry
-    .offset(w / 2, params)
-    .difference(geometry.offset(-w / 2, params));
-
-    // This has to be done in layers. Can I use pocket?
-    const off = 0;
-    const current = geometry.offset(off, params);
-    params.step = -1;
-    params.needReverse = params.climb;
+    const depth = this.grooveDepth(params);
 
-    let currentWidth = params.cutterDiameter;
-    const eachWidth = params.cutterDiameter * (1 - params.overlap);
+    const levels = this.passLevels(depth, params.passDepth);
 
     const toolPaths = new CutPaths();
-    while (currentWidth <= params.width) {
-      toolPaths.push(...geometry);
-      let i;
-      if (params.needReverse)
-        for (i = 0; i < geometry.length; ++i)
-          geometry[i].reverse();
-      const nextWidth = currentWidth + eachWidth;
-      if (nextWidth > params.width && params.width - currentWidth > 0) {
-        geometry = geometry.offset(params.width - currentWidth, params);
-        if (params.needReverse)
-          for (i = 0; i < geometry.length; ++i)
-            geometry[i].reverse();
-        break;
-      }
-      currentWidth = nextWidth;
-      geometry = geometry.offset(params.step * eachWidth, params);
+    for (const path of geometry) {
+      if (path.length === 0)
+        continue;
+      const pass = new CutPath(path);
+      if (!params.climb)
+        pass.reverse();
+      toolPaths.push(this.joinPasses(pass, levels));
     }
-    toolPaths.mergePaths(params.clipPoly);
     return toolPaths;
   }
 
   /**
    * @override
    */
-  generatePreviewGeometry(geometry, params) {
-    const w = params.width;
-    return geometry
-    .offset(w / 2, params)
-    .difference(geometry.offset(-w / 2, params));
+  bbBloat(toolPathWidth) {
+    return toolPathWidth;
+  }
+
+  /**
+   * The preview shows the groove at the surface of the material
+   * @override
+   */
+  generatePreviewGeometry(toolPaths, params) {
+    return toolPaths.offset(this.#grooveWidth(params) / 2, params);
   }
 }
@@ -0,0 +1,182 @@
+/* global describe, it, assert */
+
+import ClipperLib from "clipper-lib";
+global.ClipperLib = ClipperLib;
+ClipperLib.use_xyz = true;
+
+import { UNit } from "./TestSupport.js";
+
+let CutPaths, Pocket;
+
+describe("Adaptive Pocket", () => {
+
+  // CutPath depends on ClipperLib
+  before(() => {
+    return Promise.all([
+      import("../src/CutPaths.js"),
+      import("../src/Pocket.js") ])
+    .then(mods => {
+      CutPaths = mods[0].CutPaths;
+      Pocket = mods[1].Pocket;
+    });
+  });
+
+  const params = {
+    cutterDiameter: 100,
+    cutterAngle: 0,
+    overlap: 0.5,
+    climb: false,
+    cutDepth: 4,
+    passDepth: 4,
+    topZ: 0,
+    margin: 0,
+    joinType: 0,
+    mitreLimit: 2,
+    strategy: "Adaptive",
+    engagement: Math.PI / 3
+  };
+
+  // Distance from a point to the nearest edge of a set of paths
+  function distance(pt, paths) {
+    let best = Infinity;
+    for (const path of paths) {
+      for (let i = 1; i < path.length; i++) {
+        const a = path[i - 1], b = path[i];
+        const dx = b.X - a.X, dy = b.Y - a.Y;
+        const l2 = dx * dx + dy * dy;
+        const t = l2 > 0
+              ? Math.max(0, Math.min(1, ((pt.X - a.X) * dx + (pt.Y - a.Y) * dy) / l2))
+              : 0;
+        best = Math.min(best, Math.hypot(pt.X - a.X - t * dx, pt.Y - a.Y - t * dy));
+      }
+    }
+    return best;
+  }
+
+  // Largest angle (degrees) of the edge of the cutter that is in the
+  // material, anywhere along the tool paths. The edge is sampled every
+  // 5 degrees, every 4 units along the paths, and the material is
+  // tracked on a 1 unit grid. The cut starts on a circle of diameter
+  // r, where the entry strategy takes the cutter into solid material,
+  // so that isn't measured.
+  function maxEngagement(toolPaths, r, pocket) {
+    const walls = pocket.map(path => [ ...path, path[0] ]);
+    const bb = pocket.bbox3D();
+    const w = bb.maxX - bb.minX + 1, h = bb.maxY - bb.minY + 1;
+    const cut = new Uint8Array(w * h);
+    let worst = 0, travel = 0;
+    const visit = (x, y) => {
+      if (travel > Math.PI * r) {
+        let n = 0;
+        for (let a = 0; a < 360; a += 5) {
+          const pt = { X: x + r * Math.cos(a * Math.PI / 180),
+                       Y: y + r * Math.sin(a * Math.PI / 180) };
+          // Points on the walls of the pocket are never cut
+          if (!cut[Math.round(pt.Y - bb.minY) * w + Math.round(pt.X - bb.minX)]
+              && distance(pt, walls) > 1.5)
+            n++;
+        }
+        worst = Math.max(worst, n * 5);
+      }
+      for (let j = Math.ceil(y - r + 1); j <= y + r - 1; j++) {
+        const dx = Math.sqrt((r - 1) * (r - 1) - (j - y) * (j - y));
+        cut.fill(1, (j - bb.minY) * w + Math.ceil(x - dx) - bb.minX,
+                 (j - bb.minY) * w + Math.floor(x + dx) - bb.minX + 1);
+      }
+    };
+    for (const path of toolPaths) {
+      visit(path[0].X, path[0].Y);
+      for (let k = 1; k < path.length; k++) {
+        const a = path[k - 1], b = path[k];
+        const n = Math.ceil(a.dist(b) / 4);
+        for (let s = 1; s <= n; s++, travel += a.dist(b) / n)
+          visit(a.X + (b.X - a.X) * s / n, a.Y + (b.Y - a.Y) * s / n);
+      }
+    }
+    return worst;
+  }
+
+  it("clears a square pocket", () => {
+    const square = new CutPaths([[
+      { X: 0, Y: 0 }, { X: 1000, Y: 0 },
+      { X: 1000, Y: 1000 }, { X: 0, Y: 1000 }
+    ]], true);
+    const result = new Pocket().generateToolpaths(square, params);
+    assert(result.length > 0);
+
+    // All paths must stay inside the area the cutter can reach
+    const bb = result.bbox3D();
+    assert(bb.minX >= 50 && bb.minY >= 50, JSON.stringify(bb));
+    assert(bb.maxX <= 950 && bb.maxY <= 950, JSON.stringify(bb));
+
+    // Radial step is r(1 - cos(60)) = 25. Every point the cutter can
+    // reach must be within a step of a tool path, so no more than the
+    // engagement angle is ever cut.
+    for (let x = 50; x <= 950; x += 50)
+      for (let y = 50; y <= 950; y += 50)
+        assert(distance({ X: x, Y: y }, result) <= 25 + 1, `${x},${y}`);
+
+    // The cut starts in the middle of the pocket
+    const start = result[0][0];
+    assert(Math.hypot(start.X - 500, start.Y - 500) < 100, JSON.stringify(start));
+  });
+
+  it("works around islands", () => {
+    const pocket = new CutPaths([
+      [ { X: 0, Y: 0 }, { X: 1000, Y: 0 },
+        { X: 1000, Y: 600 }, { X: 0, Y: 600 } ],
+      [ { X: 400, Y: 200 }, { X: 400, Y: 400 },
+        { X: 600, Y: 400 }, { X: 600, Y: 200 } ]
+    ], true);
+    const result = new Pocket().generateToolpaths(pocket, params);
+    assert(result.length > 0);
+    // The cutter never enters the island
+    const island = [ ...pocket[1], pocket[1][0] ];
+    for (const path of result)
+      for (const pt of path)
+        assert(pocket[1].inside(pt) < 0 && distance(pt, [ island ]) >= 49,
+               JSON.stringify(pt));
+    // and clears around it
+    for (const pt of [ { X: 200, Y: 300 }, { X: 800, Y: 300 },
+                       { X: 500, Y: 100 }, { X: 500, Y: 500 } ])
+      assert(distance(pt, result) <= 26, JSON.stringify(pt));
+  });
+
+  it("climb reverses direction", () => {
+    const square = new CutPaths([[
+      { X: 0, Y: 0 }, { X: 1000, Y: 0 },
+      { X: 1000, Y: 1000 }, { X: 0, Y: 1000 }
+    ]], true);
+    const conv = new Pocket().generateToolpaths(square, params);
+    const climb = new Pocket().generateToolpaths(
+      square, { ...params, climb: true });
+    // The final pass around the walls goes the other way
+    const area = paths => ClipperLib.Clipper.Area(
+      paths[paths.length - 1].slice(-40));
+    assert(area(conv) !== 0);
+    assert(Math.sign(area(conv)) === -Math.sign(area(climb)));
+  });
+
+  it("limits the engagement", () => {
+    const square = new CutPaths([[
+      { X: 0, Y: 0 }, { X: 1000, Y: 0 },
+      { X: 1000, Y: 1000 }, { X: 0, Y: 1000 }
+    ]], true);
+    const island = new CutPaths([
+      [ { X: 0, Y: 0 }, { X: 1000, Y: 0 },
+        { X: 1000, Y: 600 }, { X: 0, Y: 600 } ],
+      [ { X: 400, Y: 200 }, { X: 400, Y: 400 },
+        { X: 600, Y: 400 }, { X: 600, Y: 200 } ]
+    ], true);
+    // The maximum is 60. It's exceeded where a pass turns into a
+    // corner, but nowhere near the 180 of cutting a slot.
+    let worst = maxEngagement(
+      new Pocket().generateToolpaths(square, params), 50, square);
+    assert(worst <= 120, `square ${worst}`);
+    // The corners of the island are cut off square, so there are more
+    // corners to turn into
+    worst = maxEngagement(
+      new Pocket().generateToolpaths(island, params), 50, island);
+    assert(worst <= 150, `island ${worst}`);
+  });
+});
@@ -135,4 +135,20 @@ describe("Annular Pocket", () => {
       ], true);
     assert.almost(result, expected);
   });
+
+  it("gives the area for helical ramps", () => {
+    const square = new CutPaths([[
+      { X: 0, Y: 0 }, { X: 100, Y: 0 }, { X: 100, Y: 100 }, { X: 0, Y: 100 }
+    ]], true);
+    const gen = new Pocket();
+    gen.generateToolpaths(square, {
+      cutterDiameter: 10, cutterAngle: 0, overlap: 0.5, climb: false,
+      cutDepth: 4, passDepth: 4, topZ: 0, joinType: 0, mitreLimit: 2,
+      margin: 5, strategy: "Annular"
+    });
+    // Inset by the cutter radius and the margin
+    assert.equal(gen.entryArea.length, 1);
+    const bb = gen.entryArea.bbox3D();
+    assert.deepEqual([ bb.minX, bb.minY, bb.maxX, bb.maxY ], [ 10, 10, 90, 90 ]);
+  });
 });
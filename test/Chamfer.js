@@ -0,0 +1,113 @@
+/* global describe, it, assert */
+
+import ClipperLib from "clipper-lib";
+global.ClipperLib = ClipperLib;
+ClipperLib.use_xyz = true;
+
+import { UNit } from "./TestSupport.js";
+
+let CutPaths, Chamfer;
+
+describe("Chamfer", () => {
+
+  // CutPath depends on ClipperLib
+  before(() => {
+    return Promise.all([
+      import("../src/CutPaths.js"),
+      import("../src/Chamfer.js") ])
+    .then(mods => {
+      CutPaths = mods[0].CutPaths;
+      Chamfer = mods[1].Chamfer;
+    });
+  });
+
+  // 10mm square
+  const square = () => new CutPaths([[
+    { X:       0, Y:       0 },
+    { X: 1000000, Y:       0 },
+    { X: 1000000, Y: 1000000 },
+    { X:       0, Y: 1000000 }
+  ]], true);
+
+  // 90 degree V cutter, so depth is the same as the radius
+  const params = {
+    cutterDiameter: 600000,
+    cutterAngle: Math.PI / 4,
+    offset: "Outside",
+    width: 100000,
+    passDepth: 0,
+    climb: false,
+    joinType: ClipperLib.JoinType.jtMiter,
+    mitreLimit: 2
+  };
+
+  it("chamfers outside", () => {
+    const op = new Chamfer();
+    assert(op.generatesZ);
+    const result = op.generateToolpaths(square(), params);
+    assert.equal(result.length, 1);
+    // Bevel in the middle of the flank, so the tip is 1mm outside,
+    // and 2mm deep so the cone reaches 1mm into the part
+    const bb = result.bbox3D();
+    assert.equal(bb.minX, -100000);
+    assert.equal(bb.maxX, 1100000);
+    assert.equal(bb.minZ, -200000);
+    assert.equal(bb.maxZ, -200000);
+    // Closed paths start and finish at the same point
+    const path = result[0];
+    assert.deepEqual(path[0], path[path.length - 1]);
+  });
+
+  it("chamfers inside", () => {
+    const op = new Chamfer();
+    const result = op.generateToolpaths(
+      square(), { ...params, offset: "Inside" });
+    const bb = result.bbox3D();
+    assert.equal(bb.minX, 100000);
+    assert.equal(bb.maxX, 900000);
+    assert.equal(bb.minZ, -200000);
+  });
+
+  it("chamfers on the path", () => {
+    const op = new Chamfer();
+    const result = op.generateToolpaths(
+      square(), { ...params, offset: "On" });
+    const bb = result.bbox3D();
+    assert.equal(bb.minX, 0);
+    assert.equal(bb.maxX, 1000000);
+    assert.equal(bb.minZ, -100000);
+  });
+
+  it("limits the width to the cutter", () => {
+    const op = new Chamfer();
+    for (const width of [ 0, 500000 ]) {
+      const cut = op.chamfer({ ...params, width: width }, false);
+      assert.deepEqual(cut, { width: 300000, offset: 0, depth: 300000 });
+    }
+  });
+
+  it("steps down open paths", () => {
+    const op = new Chamfer();
+    const line = new CutPaths([[
+      { X: 0, Y: 0 }, { X: 1000000, Y: 0 }
+    ]], false);
+    const result = op.generateToolpaths(
+      line, { ...params, passDepth: 25000 });
+    assert.equal(result.length, 1);
+    // Open paths are always cut on the path, back and forth
+    assert.deepEqual(result[0].map(pt => [ pt.X, pt.Z ]), [
+      [ 1000000, -25000 ], [ 0, -25000 ],
+      [ 0, -50000 ], [ 1000000, -50000 ],
+      [ 1000000, -75000 ], [ 0, -75000 ],
+      [ 0, -100000 ], [ 1000000, -100000 ]
+    ]);
+  });
+
+  it("previews the cut at the surface", () => {
+    const op = new Chamfer();
+    const result = op.generateToolpaths(square(), params);
+    const bb = op.generatePreviewGeometry(result, params).bbox3D();
+    assert.approximately(bb.minX, -300000, 10);
+    assert.approximately(bb.maxX, 1300000, 10);
+  });
+});
@@ -0,0 +1,143 @@
+/* global describe, it, assert */
+
+import ClipperLib from "clipper-lib";
+global.ClipperLib = ClipperLib;
+ClipperLib.use_xyz = true;
+
+import { UNit } from "./TestSupport.js";
+
+let CutPaths, Pocket, Engrave;
+
+describe("Corner Relief", () => {
+
+  // CutPath depends on ClipperLib
+  before(() => {
+    return Promise.all([
+      import("../src/CutPaths.js"),
+      import("../src/Pocket.js"),
+      import("../src/Engrave.js") ])
+    .then(mods => {
+      CutPaths = mods[0].CutPaths;
+      Pocket = mods[1].Pocket;
+      Engrave = mods[2].Engrave;
+    });
+  });
+
+  const params = {
+    cutterDiameter: 100,
+    cutterAngle: 0,
+    overlap: 0.5,
+    climb: false,
+    cutDepth: 4,
+    passDepth: 4,
+    topZ: 0,
+    margin: 0,
+    width: 0,
+    offset: "Inside",
+    joinType: ClipperLib.JoinType.jtMiter,
+    mitreLimit: 2,
+    strategy: "Annular",
+    cornerRelief: "Dogbone",
+    cornerAngle: 2 * Math.PI / 3
+  };
+
+  const rect = (w, h) => new CutPaths([[
+    { X: 0, Y: 0 }, { X: w, Y: 0 }, { X: w, Y: h }, { X: 0, Y: h }
+  ]], true);
+
+  // Find a point in the tool paths, returning the previous and next
+  // points on the path
+  function find(paths, pt) {
+    for (const path of paths)
+      for (let i = 0; i < path.length; i++)
+        if (path[i].X === pt.X && path[i].Y === pt.Y)
+          return { prev: path[i - 1], next: path[i + 1] };
+    return undefined;
+  }
+
+  it("adds dogbones to a pocket", () => {
+    const result = new Pocket().generateToolpaths(rect(1000, 400), params);
+    // The cutter goes from where it sits in each corner, along the
+    // bisector until it touches the corner, and back again
+    for (const [ corner, bone ] of [
+      [ { X: 50, Y: 50 }, { X: 35, Y: 35 } ],
+      [ { X: 950, Y: 50 }, { X: 965, Y: 35 } ],
+      [ { X: 950, Y: 350 }, { X: 965, Y: 365 } ],
+      [ { X: 50, Y: 350 }, { X: 35, Y: 365 } ] ]) {
+      const at = find(result, bone);
+      assert(at, JSON.stringify(bone));
+      assert.deepEqual([ at.prev.X, at.prev.Y ], [ corner.X, corner.Y ]);
+      assert.deepEqual([ at.next.X, at.next.Y ], [ corner.X, corner.Y ]);
+    }
+  });
+
+  it("adds T-bones to a pocket", () => {
+    const result = new Pocket().generateToolpaths(
+      rect(1000, 400), { ...params, cornerRelief: "TBone" });
+    // Along the longer side, so the overcut is in the short sides
+    for (const bone of [ { X: 0, Y: 50 }, { X: 1000, Y: 50 },
+                         { X: 1000, Y: 350 }, { X: 0, Y: 350 } ])
+      assert(find(result, bone), JSON.stringify(bone));
+  });
+
+  it("leaves islands and shallow corners alone", () => {
+    const pocket = new CutPaths([
+      [ { X: 0, Y: 0 }, { X: 1000, Y: 0 },
+        { X: 1000, Y: 600 }, { X: 0, Y: 600 } ],
+      [ { X: 400, Y: 200 }, { X: 400, Y: 400 },
+        { X: 600, Y: 400 }, { X: 600, Y: 200 } ]
+    ], true);
+    const plain = new Pocket().generateToolpaths(
+      pocket, { ...params, cornerRelief: "None" });
+    const relieved = new Pocket().generateToolpaths(pocket, params);
+    const count = paths => paths.reduce((n, p) => n + p.length, 0);
+    // Only the four outside corners get relief
+    assert.equal(count(relieved), count(plain) + 8);
+
+    // A hexagon has 120 degree corners
+    const hexagon = [];
+    for (let i = 0; i < 6; i++)
+      hexagon.push({ X: Math.round(500 + 500 * Math.cos(i * Math.PI / 3)),
+                     Y: Math.round(500 + 500 * Math.sin(i * Math.PI / 3)) });
+    const hex = new CutPaths([ hexagon ], true);
+    assert.deepEqual(
+      new Pocket().generateToolpaths(
+        hex, { ...params, cornerAngle: 110 * Math.PI / 180 }),
+      new Pocket().generateToolpaths(hex, { ...params, cornerRelief: "None" }));
+  });
+
+  it("relieves engraving inside and outside", () => {
+    const inside = new Engrave().generateToolpaths(rect(1000, 400), params);
+    assert(find(inside, { X: 35, Y: 35 }));
+
+    // An L shape has one inside corner when cut outside
+    const ell = new CutPaths([[
+      { X: 0, Y: 0 }, { X: 1000, Y: 0 }, { X: 1000, Y: 400 },
+      { X: 400, Y: 400 }, { X: 400, Y: 1000 }, { X: 0, Y: 1000 }
+    ]], true);
+    const outside = new Engrave().generateToolpaths(
+      ell, { ...params, offset: "Outside" });
+    assert(find(outside, { X: 435, Y: 435 }));
+    const plain = new Engrave().generateToolpaths(
+      ell, { ...params, offset: "Outside", cornerRelief: "None" });
+    assert.equal(outside[0].length, plain[0].length + 2);
+
+    // Cutting on the path has no inside corners
+    assert.deepEqual(
+      new Engrave().generateToolpaths(rect(1000, 400),
+                                      { ...params, offset: "On" }),
+      new Engrave().generateToolpaths(rect(1000, 400),
+                                      { ...params, offset: "On",
+                                        cornerRelief: "None" }));
+  });
+
+  it("adds relief where there is no sharp corner", () => {
+    // Spirals don't have a vertex where the cutter sits in the
+    // corner, so the relief is added as separate paths
+    const result = new Pocket().generateToolpaths(
+      rect(1000, 400), { ...params, strategy: "SpiralIn" });
+    const bone = find(result, { X: 35, Y: 35 });
+    assert(bone, "no dogbone");
+    assert.deepEqual([ bone.prev.X, bone.prev.Y ], [ 50, 50 ]);
+  });
+});
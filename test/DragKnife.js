@@ -0,0 +1,83 @@
+/* global describe, it, assert */
+
+import ClipperLib from "clipper-lib";
+global.ClipperLib = ClipperLib;
+ClipperLib.use_xyz = true;
+
+import { UNit } from "./TestSupport.js";
+
+let CutPaths, DragKnife;
+
+describe("DragKnife", () => {
+
+  // CutPath depends on ClipperLib
+  before(() => {
+    return Promise.all([
+      import("../src/CutPaths.js"),
+      import("../src/DragKnife.js") ])
+    .then(mods => {
+      CutPaths = mods[0].CutPaths;
+      DragKnife = mods[1].DragKnife;
+    });
+  });
+
+  const params = {
+    cutterDiameter: 10,
+    climb: true,
+    bladeOffset: 100,
+    swivelAngle: Math.PI / 6,
+    overcut: 0
+  };
+
+  it("swivels around sharp corners", () => {
+    const path = new CutPaths([[
+      { X:    0, Y:    0 },
+      { X: 1000, Y:    0 },
+      { X: 1000, Y: 1000 }
+    ]], false);
+    const op = new DragKnife();
+    const result = op.generateToolpaths(path, params);
+    assert.equal(result.length, 1);
+    const tp = result[0];
+    assert(!tp.isClosed);
+    // Edges are led by the blade offset
+    assert.deepEqual(tp[0], { X: 100, Y: 0, Z: 0 });
+    assert.deepEqual(tp[1], { X: 1100, Y: 0, Z: 0 });
+    assert.deepEqual(tp[tp.length - 2], { X: 1000, Y: 100, Z: 0 });
+    assert.deepEqual(tp[tp.length - 1], { X: 1000, Y: 1100, Z: 0 });
+    // Swivel arc around the corner
+    assert(tp.length > 4);
+    for (let i = 1; i < tp.length - 1; i++)
+      assert.approximately(Math.hypot(tp[i].X - 1000, tp[i].Y), 100, 1);
+  });
+
+  it("drags around shallow corners", () => {
+    const path = new CutPaths([[
+      { X:    0, Y:    0 },
+      { X: 1000, Y:    0 },
+      { X: 2000, Y:  100 }
+    ]], false);
+    const op = new DragKnife();
+    const result = op.generateToolpaths(path, params);
+    assert.equal(result[0].length, 4);
+  });
+
+  it("overcuts closed paths", () => {
+    const path = new CutPaths([[
+      { X:    0, Y:    0 },
+      { X: 1000, Y:    0 },
+      { X: 1000, Y: 1000 },
+      { X:    0, Y: 1000 }
+    ]], true);
+    const op = new DragKnife();
+    const result = op.generateToolpaths(
+      path, Object.assign({}, params, { overcut: 500 }));
+    assert.equal(result.length, 1);
+    const tp = result[0];
+    // Tool path is open, and ends after passing the start point
+    assert(!tp.isClosed);
+    const start = tp[0], end = tp[tp.length - 1];
+    assert.equal(start.Y, end.Y);
+    assert.equal(Math.abs(end.X - start.X), 500);
+  });
+});
@@ -123,6 +123,39 @@ describe("Gcode", () => {
     ]);
   });
 
+  it("parser linearises IJ arcs", () => {
+    const res = Gcode.parse("G0 X1 Y0 Z0 F4\nG3 X0 Y1 I-1 J0 Z-1");
+    assert(res.length > 3);
+    assert.deepEqual(res[0], { x: 1, y: 0, z: 0, f: 4, s: 0 });
+    assert.deepEqual(res[res.length - 1], { x: 0, y: 1, z: -1, f: 4, s: 0 });
+    let lastZ = 1;
+    for (const pt of res) {
+      // Anticlockwise quarter circle, helical in Z
+      assert.approximately(Math.sqrt(pt.x * pt.x + pt.y * pt.y), 1, 1e-6);
+      assert(pt.x >= -1e-6 && pt.y >= -1e-6);
+      assert(pt.z < lastZ);
+      lastZ = pt.z;
+    }
+  });
+
+  it("parser linearises R arcs", () => {
+    // Clockwise, centre at (1,0), then modal G2 continues
+    const res = Gcode.parse("G0 X0 Y0 Z0 F4\nG2 X2 Y0 R1\nX0 R1");
+    assert.deepEqual(res[0], { x: 0, y: 0, z: 0, f: 4, s: 0 });
+    assert.deepEqual(res[res.length - 1], { x: 0, y: 0, z: 0, f: 4, s: 0 });
+    let top = 0, bottom = 0;
+    for (const pt of res) {
+      assert.approximately(Math.sqrt((pt.x - 1) * (pt.x - 1) + pt.y * pt.y),
+                           1, 1e-6);
+      top = Math.max(top, pt.y);
+      bottom = Math.min(bottom, pt.y);
+    }
+    assert.approximately(top, 1, 0.01);
+    assert.approximately(bottom, -1, 0.01);
+    // Clockwise from the origin goes over the top first
+    assert(res[1].y > 0);
+  });
+
   const job = {
     gunits:      "inch",
     xScale:      10,
@@ -194,7 +227,7 @@ describe("Gcode", () => {
       cutRate:     60,
       passDepth:   0.5,
       precalculatedZ : false,
-      ramp: false,
+      entry: "Plunge",
       rpm: 2000,
       direction: "Conventional"
     };
@@ -261,7 +294,7 @@ describe("Gcode", () => {
       ]),
       name: "Test",
       cutType: "AnnularPocket",
-      ramp: false,
+      entry: "Plunge",
       direction: "Conventional",
       cutRate:     60,
       passDepth:   0.5,
@@ -347,7 +380,9 @@ describe("Gcode", () => {
       ], true),
       name: "Test",
       cutType: "Engrave",
-      ramp: true,
+      entry: "Linear",
+      // 1mm down for each 20mm edge
+      rampAngle: Math.atan2(1, 20),
       rpm: 2000,
       cutRate:     80,
       passDepth:   5,
@@ -407,7 +442,8 @@ describe("Gcode", () => {
       cutRate:     80,
       passDepth:   5,
       precalculatedZ : false,
-      ramp: true
+      entry: "Linear",
+      rampAngle: Math.atan2(1, 20)
     };
     const job = new Gcode.Generator(opJob);
     job.addOperation(op);
@@ -443,8 +479,7 @@ describe("Gcode", () => {
   });
 
   it("partial segment ramping", () => {
-    // ramp to depth within a single segment
-    // ramp should be 45 degrees
+    // ramp to depth within a single segment, at 45 degrees
     const opJob = {
       gunits:      "mm",  xScale:      1,   yScale:      1,
       zScale:      1,     xOffset:     0,   yOffset:     0,
@@ -463,8 +498,8 @@ describe("Gcode", () => {
       passDepth:   4,
       precalculatedZ : false,
       direction: "Conventional",
-
-      ramp: true
+      entry: "Linear",
+      rampAngle: Math.PI / 4
     };
     const job = new Gcode.Generator(opJob);
     job.addOperation(op);
@@ -494,6 +529,143 @@ describe("Gcode", () => {
     assert.equal(gcode.length, expected.length);
   });
 
+  // A 20x20 square pocket outline, cut 4 deep in one pass
+  function rampOp(entry) {
+    return Object.assign({
+      paths: new CutPaths([
+        [ { X: -10, Y: -10, Z: -4 }, { X: 10, Y: -10, Z: -4 },
+          { X: 10, Y: 10, Z: -4 }, { X: -10, Y: 10, Z: -4 } ]
+      ], true),
+      name: "Test", cutType: "Pocket", rpm: 2000,
+      direction: "Conventional",
+      cutRate:     80,
+      passDepth:   5,
+      precalculatedZ : false,
+      rampAngle: Math.PI / 4
+    }, entry);
+  }
+
+  // Get the Gcode for a ramp operation (see opGcode)
+  function rampGcode(op) {
+    const job = new Gcode.Generator(opJob);
+    job.addOperation(op);
+    return opGcode(job.end());
+  }
+
+  it("zig-zag ramping", () => {
+    const gcode = rampGcode(rampOp({ entry: "ZigZag", rampLength: 3 }));
+    const expected = [
+      '; *** Operation "Test" (Pocket) ***',
+      '; Path 1',
+      '; Pass 1:1',
+      'G0 X-10 Y-10 ; Hang',
+      'G0 Z0 ; Sink',
+      'M3 S2000 ; Start spindle',
+      // 2 legs of 3mm, each 2mm down
+      'G1 X-7 Z-2 F80 ; Ramp leg',
+      'G1 X-10 Z-4 ; Ramp leg',
+      'G1 X10',
+      'G1 Y10',
+      'G1 X-10',
+      'G1 Y-10 ; Close path',
+      'G0 Z10 F1000 ; Retract'
+    ];
+    for (let i = 0; i < expected.length; i++)
+      assert.equal(gcode[i], expected[i], `mismatch line ${i}`);
+    assert.equal(gcode.length, expected.length);
+  });
+
+  it("zig-zag ramping on a short path", () => {
+    const op = rampOp({ entry: "ZigZag", rampLength: 100 });
+    op.paths = new CutPaths([
+      [ { X: 0, Y: 0, Z: -4 }, { X: 1, Y: 0, Z: -4 } ] ], false);
+    const gcode = rampGcode(op);
+    // Back and forth along the whole path, no steeper than 45 degrees
+    const legs = gcode.filter(l => /; Ramp leg/.test(l));
+    assert.equal(legs.length, 4);
+    assert.equal(legs[3], "G1 X0 Z-4 ; Ramp leg");
+  });
+
+  it("helical ramping", () => {
+    const area = new CutPaths([
+      [ { X: -10, Y: -10 }, { X: 10, Y: -10 },
+        { X: 10, Y: 10 }, { X: -10, Y: 10 } ] ], true);
+    const gcode = rampGcode(rampOp({
+      entry: "Helical", helixRadius: 2, entryArea: area }));
+    const start = gcode.findIndex(l => /; Start of helix/.test(l));
+    const end = gcode.findIndex(l => /; End of helix/.test(l));
+    assert(start > 0 && end > start, "helix");
+    assert.equal(gcode[end], "G1 X-10 Y-10 ; End of helix");
+    // Follow the helix, checking it stays inside the pocket
+    let x = -10, y = -10, z = 0, minR = 10, maxR = 0;
+    for (let i = start; i < end; i++) {
+      const word = (c, v) => {
+        const m = new RegExp(`${c}(-?[\\d.]+)`).exec(gcode[i].split(";")[0]);
+        return m ? Number(m[1]) : v;
+      };
+      x = word("X", x); y = word("Y", y);
+      const nz = word("Z", z);
+      assert(nz <= z, `goes down ${gcode[i]}`);
+      z = nz;
+      assert(Math.abs(x) <= 10 && Math.abs(y) <= 10, gcode[i]);
+      const r = Math.hypot(x + 8, y + 8);
+      minR = Math.min(minR, r);
+      maxR = Math.max(maxR, r);
+    }
+    assert.equal(z, -4);
+    assert.closeTo(minR, 2, 0.01);
+    assert.closeTo(maxR, 2, 0.01);
+  });
+
+  it("falls back to a linear ramp if there's no room for a helix", () => {
+    const area = new CutPaths([
+      [ { X: -10, Y: -10 }, { X: 10, Y: -10 },
+        { X: 10, Y: -9 }, { X: -10, Y: -9 } ] ], true);
+    const gcode = rampGcode(rampOp({
+      entry: "Helical", helixRadius: 2, entryArea: area }));
+    assert(gcode.indexOf("; No room for a helix") > 0);
+    assert(gcode.indexOf("G1 X-6 Z-4 F80 ; Bottom of ramp") > 0);
+  });
+
+  it("cuts closed paths with leads from the start of the lead in", () => {
+    const op = rampOp({ entry: "Plunge", passDepth: 2 });
+    const path = op.paths[0];
+    path.leadIn = new CutPath([ { X: -10, Y: -15, Z: -4 } ], false);
+    path.leadOut = new CutPath([ { X: -15, Y: -10, Z: -4 } ], false);
+    const gcode = rampGcode(op);
+    const expected = [
+      '; *** Operation "Test" (Pocket) ***',
+      '; Path 1',
+      '; Pass 1:1',
+      'G0 X-10 Y-15 ; Hang',
+      'G0 Z0 ; Sink',
+      'M3 S2000 ; Start spindle',
+      'G1 Z-2 F80',
+      'G1 Y-10',
+      'G1 X10',
+      'G1 Y10',
+      'G1 X-10',
+      'G1 Y-10',
+      'G1 X-15',
+      // Not back along the path, so the direction of cut is the same
+      '; Pass 1:2',
+      'G0 Z10 F1000 ; Clear',
+      'G0 X-10 Y-15 ; Hang',
+      'G0 Z0 ; Sink',
+      'G1 Z-4 F80',
+      'G1 Y-10',
+      'G1 X10',
+      'G1 Y10',
+      'G1 X-10',
+      'G1 Y-10',
+      'G1 X-15',
+      'G0 Z10 F1000 ; Retract'
+    ];
+    for (let i = 0; i < expected.length; i++)
+      assert.equal(gcode[i], expected[i], `mismatch line ${i}`);
+    assert.equal(gcode.length, expected.length);
+  });
+
   it("precalculated drill path", () => {
     const opJob = {
       gunits:      "mm",
@@ -513,7 +685,7 @@ describe("Gcode", () => {
       ], true),
       name: "Test",
       cutType: "Drill",
-      ramp: true,
+      entry: "Linear",
       rpm: 2000,
       cutRate:     80,
       passDepth:   5,
@@ -547,4 +719,484 @@ describe("Gcode", () => {
       assert.equal(gcode[i], expected[i], `mismatch line ${i}`);
     assert.equal(gcode.length, expected.length);
   });
+
+  /**
+   * Make an operation to drill two holes, 5 deep
+   */
+  function drillOp(drill) {
+    return {
+      paths: new CutPaths([
+        [ { X: 0, Y: 0, Z: 10 }, { X: 0, Y: 0, Z: -5 }, { X: 0, Y: 0, Z: 10 },
+          { X: 10, Y: 0, Z: 10 }, { X: 10, Y: 0, Z: -5 }, { X: 10, Y: 0, Z: 10 } ]
+      ], false),
+      name: "Test",
+      cutType: "Drill",
+      entry: "Plunge",
+      rpm: 2000,
+      cutRate:     80,
+      plungeRate:  40,
+      passDepth:   5,
+      precalculatedZ : true,
+      direction: "Conventional",
+      drill: drill
+    };
+  }
+
+  const drillJob = {
+    gunits:      "mm",
+    xScale:      1, yScale: 1, zScale: 1,
+    xOffset:     0, yOffset: 0,
+    topZ:        0, botZ: -5, safeZ: 10,
+    workWidth: 300, workHeight:  180,
+    plungeRate:  4, retractRate: 200, rapidRate: 1000,
+    returnHome:  false
+  };
+
+  /**
+   * Get the gcode for an operation
+   */
+  function opGcode(gcode) {
+    while (gcode[0].indexOf("*** Operation") < 0)
+      gcode.shift();
+    // Up to where the spindle is stopped by end()
+    return gcode.slice(0, gcode.findIndex(l => /^M5/.test(l)));
+  }
+
+  it("drills using canned cycles", () => {
+    let gen = new Gcode.Generator(drillJob);
+    gen.addOperation(drillOp({ peck: 0, dwell: 0, retractZ: 1 }));
+    assert.deepEqual(opGcode(gen.end()), [
+      '; *** Operation "Test" (Drill) ***',
+      '; Path 1',
+      'G0 X0 Y0 ; Hang',
+      'M3 S2000 ; Start spindle',
+      'G98 ; Retract to initial Z',
+      'G81 X0 Y0 Z-5 R1 F40',
+      'X10',
+      'G80 ; Cancel canned cycle'
+    ]);
+
+    gen = new Gcode.Generator(drillJob);
+    gen.addOperation(drillOp({ peck: 0, dwell: 0.5, retractZ: 1 }));
+    assert.include(gen.end(), 'G82 X0 Y0 Z-5 R1 P0.5 F40');
+
+    gen = new Gcode.Generator(drillJob);
+    gen.addOperation(drillOp({ peck: 2, dwell: 0.5, retractZ: 20 }));
+    // Retract plane is limited to safeZ
+    assert.include(gen.end(), 'G83 X0 Y0 Z-5 R10 Q2 F40');
+  });
+
+  it("drills using expanded peck cycles", () => {
+    const grbl = Object.assign({}, drillJob, { postProcessor: "GRBL" });
+    const gen = new Gcode.Generator(grbl);
+    gen.addOperation(drillOp({ peck: 2.5, dwell: 0, retractZ: 1 }));
+    assert.deepEqual(opGcode(gen.end()), [
+      '(*** Operation "Test" Drill ***)',
+      '(Path 1)',
+      'G0 X0 Y0 (Hang)',
+      'M3 S2000 (Start spindle)',
+      'G0 Z1 (Retract plane)',
+      'G1 Z-1.5 F40',
+      'G0 Z1 F1000 (Clear chips)',
+      'G0 Z-1.5',
+      'G1 Z-4 F40',
+      'G0 Z1 F1000 (Clear chips)',
+      'G0 Z-4',
+      'G1 Z-5 F40',
+      'G0 Z10 F1000',
+      'G0 X10',
+      'G0 Z1 (Retract plane)',
+      'G1 Z-1.5 F40',
+      'G0 Z1 F1000 (Clear chips)',
+      'G0 Z-1.5',
+      'G1 Z-4 F40',
+      'G0 Z1 F1000 (Clear chips)',
+      'G0 Z-4',
+      'G1 Z-5 F40',
+      'G0 Z10 F1000'
+    ]);
+  });
+
+  it("parser handles canned drilling cycles", () => {
+    const path = Gcode.parse([
+      "G0 X0 Y0 Z10 F100",
+      "G98 G83 X1 Y2 Z-5 R1 Q3 F50",
+      "X4",
+      "G80",
+      "G99 G81 X5 Y5 Z-2 R2",
+      "Y6",
+      "G80"
+    ]);
+    const xyz = path.map(p => [ p.x, p.y, p.z ]);
+    assert.deepEqual(xyz, [
+      [ 0, 0, 10 ],
+      [ 1, 2, 10 ], [ 1, 2, 1 ], [ 1, 2, -2 ], [ 1, 2, 1 ],
+      [ 1, 2, -5 ], [ 1, 2, 10 ],
+      [ 4, 2, 10 ], [ 4, 2, 1 ], [ 4, 2, -2 ], [ 4, 2, 1 ],
+      [ 4, 2, -5 ], [ 4, 2, 10 ],
+      [ 5, 5, 10 ], [ 5, 5, 2 ], [ 5, 5, -2 ], [ 5, 5, 2 ],
+      [ 5, 6, 2 ], [ 5, 6, -2 ], [ 5, 6, 2 ]
+    ]);
+    assert.equal(path[3].f, 50);
+  });
+
+  it("generates laser Gcode", () => {
+    const laserJob = Object.assign({}, drillJob, {
+      laser: true, focusZ: 5, postProcessor: "GRBL" });
+    const gen = new Gcode.Generator(laserJob);
+    gen.addOperation({
+      paths: new CutPaths([
+        [ { X: 0, Y: 0, Z: -1 }, { X: 10, Y: 0, Z: -1 }, { X: 10, Y: 10, Z: -1 } ],
+        [ { X: 20, Y: 20, Z: -2 }, { X: 30, Y: 20, Z: -2 } ]
+      ], false),
+      name: "Test",
+      cutType: "Engrave",
+      entry: "Plunge",
+      rpm: 2000,
+      cutRate: 600,
+      passDepth: 1,
+      precalculatedZ: false,
+      direction: "Conventional",
+      power: 800,
+      passes: 2
+    });
+    const gcode = gen.end();
+    gcode.shift(); // timestamp
+    assert.deepEqual(gcode, [
+      '(Work area: 300x180 mm)',
+      '(Offset: 0,0 mm)',
+      'G21 (Set units to mm)',
+      'G90 (Absolute positioning)',
+      'G94 (Feed rate in units per minute)',
+      'G0 Z5 F1000 (Focus laser)',
+      '(*** Operation "Test" Engrave ***)',
+      'M4 S0 (Laser on, dynamic power)',
+      '(Pass 1)',
+      '(Path 1)',
+      'G0 X0 Y0',
+      'G1 X10 F600 S800',
+      'G1 Y10',
+      '(Path 2)',
+      'G0 X20 Y20 F1000 S0',
+      'G1 X30 F600 S800',
+      '(Pass 2)',
+      '(Path 1)',
+      'G0 X0 Y0 F1000 S0',
+      'G1 X10 F600 S800',
+      'G1 Y10',
+      '(Path 2)',
+      'G0 X20 Y20 F1000 S0',
+      'G1 X30 F600 S800',
+      'M5 (Laser off)',
+      'M2 (End program)'
+    ]);
+
+    // Parsed path has no Z, and rapids have the beam off
+    const path = Gcode.parse(gcode);
+    for (const pt of path)
+      assert(isNaN(pt.z) || pt.z === 5);
+    assert.equal(path.find(p => p.x === 20 && p.y === 20).s, 0);
+    assert.equal(path.find(p => p.x === 30).s, 800);
+  });
+
+  it("generates pen plotter Gcode", () => {
+    const plotterJob = Object.assign({}, drillJob, {
+      plotter: true, penUp: "M3 S90", penDown: "M3 S30\n\n",
+      penDwell: 0.5, postProcessor: "GRBL" });
+    const gen = new Gcode.Generator(plotterJob);
+    gen.addOperation({
+      paths: new CutPaths([
+        [ { X: 0, Y: 0, Z: -1 }, { X: 10, Y: 0, Z: -1 } ],
+        [ { X: 20, Y: 20, Z: -2 }, { X: 30, Y: 20, Z: -2 } ],
+        [ { X: 10, Y: 10, Z: -1 }, { X: 10, Y: 0, Z: -1 } ]
+      ], false),
+      name: "Test",
+      cutType: "Engrave",
+      entry: "Plunge",
+      rpm: 2000,
+      cutRate: 600,
+      passDepth: 0.1,
+      precalculatedZ: false,
+      direction: "Conventional"
+    });
+    const gcode = gen.end();
+    gcode.shift(); // timestamp
+    // Paths are reordered and joined to reduce pen-up travel
+    assert.deepEqual(gcode, [
+      '(Work area: 300x180 mm)',
+      '(Offset: 0,0 mm)',
+      'G21 (Set units to mm)',
+      'G90 (Absolute positioning)',
+      'G94 (Feed rate in units per minute)',
+      'M3 S90 (Pen up)',
+      'G4 P0.5 (Wait for pen)',
+      '(*** Operation "Test" Engrave ***)',
+      '(Path 1)',
+      'G0 X30 Y20 F1000',
+      'M3 S30 (Pen down)',
+      'G4 P0.5 (Wait for pen)',
+      'G1 X20 F600',
+      '(Path 2)',
+      'M3 S90 (Pen up)',
+      'G4 P0.5 (Wait for pen)',
+      'G0 X10 Y10 F1000',
+      'M3 S30 (Pen down)',
+      'G4 P0.5 (Wait for pen)',
+      'G1 Y0 F600',
+      'G1 X0',
+      'M3 S90 (Pen up)',
+      'G4 P0.5 (Wait for pen)',
+      'M2 (End program)'
+    ]);
+
+    // The pen is down while drawing
+    const path = Gcode.parse(gcode);
+    assert.equal(path.find(p => p.x === 20 && p.y === 20).s, 30);
+    assert.equal(path[path.length - 1].s, 90);
+  });
+
+  /**
+   * Make a closed anticlockwise circle of radius 10 centred on the origin
+   */
+  function circle(n) {
+    const path = [];
+    for (let i = 0; i < n; i++) {
+      const a = 2 * Math.PI * i / n;
+      path.push({ X: 10 * Math.cos(a), Y: 10 * Math.sin(a), Z: -1 });
+    }
+    return new CutPaths([ path ], true);
+  }
+
+  const circleOp = {
+    name: "Test",
+    cutType: "Engrave",
+    cutRate:     60,
+    passDepth:   1,
+    precalculatedZ : false,
+    entry: "Plunge",
+    rpm: 2000,
+    direction: "Conventional"
+  };
+
+  it("does not fit arcs by default", () => {
+    const gen = new Gcode.Generator(opJob);
+    gen.addOperation(Object.assign({ paths: circle(72) }, circleOp));
+    const gcode = gen.end();
+    for (const line of gcode)
+      assert(!/^G[23] /.test(line), line);
+  });
+
+  it("fits arcs using IJ", () => {
+    const gen = new Gcode.Generator(
+      Object.assign({ arcFitting: "IJ", arcTolerance: 0.05 }, opJob));
+    gen.addOperation(Object.assign({ paths: circle(72) }, circleOp));
+    const gcode = gen.end();
+    const arcs = gcode.filter(line => /^G[23] /.test(line));
+    assert(arcs.length > 0);
+    assert(gcode.length < 30);
+    for (const line of arcs)
+      assert.match(line, /^G3 .*I-?[\d.]+ J-?[\d.]+/);
+    // Parse it back, and make sure we are still on the circle
+    for (const pt of Gcode.parse(gcode)) {
+      if (pt.z === -1)
+        assert.approximately(Math.sqrt(pt.x * pt.x + pt.y * pt.y), 10, 0.05);
+    }
+  });
+
+  it("fits arcs using R, respecting mirroring", () => {
+    const gen = new Gcode.Generator(
+      Object.assign({}, opJob,
+                    { arcFitting: "R", arcTolerance: 0.05, yScale: -1 }));
+    gen.addOperation(Object.assign({ paths: circle(72) }, circleOp));
+    const gcode = gen.end();
+    const arcs = gcode.filter(line => /^G[23] /.test(line));
+    assert(arcs.length > 0);
+    // Mirrored in Y, so anticlockwise becomes clockwise
+    for (const line of arcs)
+      assert.match(line, /^G2 .*R-?[\d.]+/);
+    for (const pt of Gcode.parse(gcode)) {
+      if (pt.z === -1)
+        assert.approximately(Math.sqrt(pt.x * pt.x + pt.y * pt.y), 10, 0.05);
+    }
+  });
+
+  it("does not fit arcs to straight lines", () => {
+    const gen = new Gcode.Generator(
+      Object.assign({ arcFitting: "IJ" }, opJob));
+    const path = [];
+    for (let i = 0; i < 10; i++)
+      path.push({ X: i, Y: 2 * i, Z: -1 });
+    gen.addOperation(Object.assign(
+      { paths: new CutPaths([ path ], false) }, circleOp));
+    for (const line of gen.end())
+      assert(!/^G[23] /.test(line), line);
+  });
+
+  it("fits helical arcs", () => {
+    const gen = new Gcode.Generator(
+      Object.assign({ arcFitting: "IJ", arcTolerance: 0.05 }, opJob));
+    // Two turns of a helix, descending 1 per turn
+    const path = [];
+    for (let i = 0; i <= 144; i++) {
+      const a = 2 * Math.PI * i / 72;
+      path.push({ X: 10 * Math.cos(a), Y: 10 * Math.sin(a), Z: -i / 72 });
+    }
+    gen.addOperation(Object.assign(
+      { paths: new CutPaths([ path ], false) }, circleOp,
+      { precalculatedZ: true }));
+    const gcode = gen.end();
+    const arcs = gcode.filter(line => /^G[23] /.test(line));
+    assert(arcs.length > 0);
+    assert(arcs.length < 10);
+    for (const line of arcs)
+      assert.match(line, /^G3 .*Z-[\d.]+ .*I-?[\d.]+ J-?[\d.]+/);
+    // Parse it back, and make sure we are still on the helix
+    const pts = Gcode.parse(gcode).filter(pt => pt.z < 0);
+    assert(pts.length > 10);
+    let turns = 0, prev;
+    for (const pt of pts) {
+      assert.approximately(Math.sqrt(pt.x * pt.x + pt.y * pt.y), 10, 0.05);
+      const a = Math.atan2(pt.y, pt.x);
+      if (prev !== undefined) {
+        let da = a - prev;
+        if (da < -Math.PI) da += 2 * Math.PI;
+        turns += da / (2 * Math.PI);
+      }
+      prev = a;
+      assert.approximately(pt.z, -turns, 0.05);
+    }
+  });
+
+  it("does not fit arcs over a dip in Z", () => {
+    const gen = new Gcode.Generator(
+      Object.assign({ arcFitting: "IJ", arcTolerance: 0.05 }, opJob));
+    // Half a circle at Z -1, dipping to -2 at one point in the middle
+    // and coming straight back up again
+    const depth = i => (Math.round(i) === 18) ? -2 : -1;
+    const path = [];
+    for (let i = 0; i <= 36; i++) {
+      const a = Math.PI * i / 36;
+      path.push({ X: 10 * Math.cos(a), Y: 10 * Math.sin(a), Z: depth(i) });
+    }
+    gen.addOperation(Object.assign(
+      { paths: new CutPaths([ path ], false) }, circleOp,
+      { precalculatedZ: true }));
+    const gcode = gen.end();
+    // The flat parts are still fitted
+    assert(gcode.filter(line => /^G[23] /.test(line)).length > 0);
+    // Every point on the circle is cut at the right depth
+    const pts = Gcode.parse(gcode).filter(pt => pt.z < 0);
+    let deepest = 0;
+    for (const pt of pts) {
+      assert.equal(pt.z, depth(Math.atan2(pt.y, pt.x) * 36 / Math.PI));
+      deepest = Math.min(deepest, pt.z);
+    }
+    assert.approximately(deepest, -2, 1e-6);
+  });
+
+  it("parser handles tool changes", () => {
+    const path = Gcode.parse([
+      "G0 X1 Y1 Z1",
+      "T2 M6",
+      "G0 X2",
+      "M0 T3 (Change tool)",
+      "G0 X3" ]);
+    assert.isUndefined(path[0].t);
+    assert.equal(path[2].t, 2);
+    assert.equal(path[2].x, 2);
+    assert.equal(path[4].t, 3);
+    assert.equal(path[4].x, 3);
+  });
+
+  it("changes tools between operations", () => {
+    function toolOp(name, number) {
+      return {
+        paths: new CutPaths([
+          [ { X: 0, Y: 0, Z: -1 }, { X: 10, Y: 10, Z: -1 } ]
+        ], false),
+        name: name,
+        cutType: "Engrave",
+        cutRate:     60,
+        plungeRate:  number * 10,
+        passDepth:   1,
+        precalculatedZ : false,
+        entry: "Plunge",
+        rpm: 2000,
+        direction: "Conventional",
+        tool: { number: number, name: `Bit ${number}` }
+      };
+    }
+
+    const job = Object.assign({}, opJob, { toolChangePause: true });
+    let gen = new Gcode.Generator(job);
+    gen.addOperation(toolOp("A", 1));
+    gen.addOperation(toolOp("B", 2));
+    let gcode = gen.end();
+    let i = gcode.indexOf('T2 M6 ; Change to tool 2 "Bit 2"');
+    assert(i > 0);
+    assert.equal(gcode[i - 1], "M5 ; Stop spindle");
+    assert.equal(gcode[i + 1], "G43 H2 ; Tool length offset");
+    assert.equal(gcode[i + 2], "M0 ; Pause");
+    assert(gcode.indexOf('T1 M6 ; Change to tool 1 "Bit 1"') > 0);
+    const path = Gcode.parse(gcode);
+    assert.equal(path[path.length - 1].t, 2);
+
+    const grbl = Object.assign({}, opJob, { postProcessor: "GRBL" });
+    gen = new Gcode.Generator(grbl);
+    gen.addOperation(toolOp("A", 1));
+    gen.addOperation(toolOp("B", 2));
+    gcode = gen.end();
+    i = gcode.indexOf('M0 T2 (Change to tool 2 "Bit 2")');
+    assert(i > 0);
+    assert.equal(gcode.indexOf("G43 H2 (Tool length offset)"), -1);
+  });
+
+  it("uses the post-processor", () => {
+    const op = {
+      paths: new CutPaths([
+        [ { X: 0, Y: 0, Z: -1 }, { X: 10, Y: 10, Z: -1 } ]
+      ], false),
+      name: "Test",
+      cutType: "Engrave",
+      cutRate:     60,
+      passDepth:   1,
+      precalculatedZ : false,
+      entry: "Plunge",
+      rpm: 2000,
+      direction: "Conventional"
+    };
+    const mach3 = Object.assign({}, opJob, { postProcessor: "Mach3" });
+    delete mach3.decimal;
+    const gen = new Gcode.Generator(mach3);
+    gen.addOperation(op);
+    const gcode = gen.end();
+    gcode.shift(); // timestamp
+    const expected = [
+      '(Work area: 300.0000x180.0000 mm)',
+      '(Offset: 0.0000,0.0000 mm)',
+      'G21 (Set units to mm)',
+      'G90 (Absolute positioning)',
+      'G91.1 (Arc centres relative to start)',
+      'G94 (Feed rate in units per minute)',
+      'G17 (XY plane)',
+      'G40 (Cancel cutter compensation)',
+      'G49 (Cancel tool length offset)',
+      'G0 Z10.0000 F1000 (Move to clearance level)',
+      '(*** Operation "Test" Engrave ***)',
+      '(Path 1)',
+      '(Pass 1:1)',
+      'G0 X0.0000 Y0.0000 (Hang)',
+      'G0 Z0.0000 (Sink)',
+      'M3 S2000 (Start spindle)',
+      'G1 Z-1.0000 F60',
+      'G1 X10.0000 Y10.0000',
+      'G0 Z10.0000 F1000 (Retract)',
+      'M5 (Stop spindle)',
+      'G0 X0.0000 Y0.0000 (Return to 0,0)',
+      'M30 (End program)'
+    ];
+    for (let i = 0; i < expected.length; i++)
+      assert.equal(gcode[i], expected[i], `mismatch line ${i}`);
+    assert.equal(gcode.length, expected.length);
+  });
 });
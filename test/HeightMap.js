@@ -0,0 +1,47 @@
+/* global describe, it, assert */
+
+import ClipperLib from "clipper-lib";
+global.ClipperLib = ClipperLib;
+ClipperLib.use_xyz = true;
+
+import { UNit } from "./TestSupport.js";
+
+let HeightMap;
+
+describe("HeightMap", () => {
+
+  before(() => {
+    return import("../src/HeightMap.js")
+    .then(mod => HeightMap = mod.HeightMap);
+  });
+
+  // 2x1 image, black on the left, white on the right
+  const image = {
+    width: 2, height: 1,
+    data: new Uint8ClampedArray([ 0, 0, 0, 255, 255, 255, 255, 255 ])
+  };
+
+  it("samples brightness", () => {
+    const map = new HeightMap(image, { x: 100, y: 200, width: 200, height: 100 });
+    assert.equal(map.brightness(100, 250), 0);
+    assert.equal(map.brightness(300, 250), 1);
+    // Interpolated between the pixel centres
+    assert.closeTo(map.brightness(200, 250), 0.5, 1e-6);
+    assert.closeTo(map.brightness(175, 210), 0.25, 1e-6);
+  });
+
+  it("is undefined off the image", () => {
+    const map = new HeightMap(image, { x: 100, y: 200, width: 200, height: 100 });
+    assert(map.contains(100, 300));
+    assert(!map.contains(99, 250));
+    assert.isUndefined(map.brightness(301, 250));
+    assert.isUndefined(map.brightness(200, 199));
+  });
+
+  it("treats transparent as white", () => {
+    const map = new HeightMap({
+      width: 1, height: 1, data: new Uint8ClampedArray([ 0, 0, 0, 0 ])
+    }, { x: 0, y: 0, width: 10, height: 10 });
+    assert.equal(map.brightness(5, 5), 1);
+  });
+});
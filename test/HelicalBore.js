@@ -0,0 +1,157 @@
+/* global describe, it, assert */
+
+import ClipperLib from "clipper-lib";
+global.ClipperLib = ClipperLib;
+ClipperLib.use_xyz = true;
+
+import { UNit } from "./TestSupport.js";
+
+let CutPaths, HelicalBore, Gcode;
+
+describe("HelicalBore", () => {
+
+  // CutPath depends on ClipperLib
+  before(() => {
+    return Promise.all([
+      import("../src/CutPaths.js"),
+      import("../src/HelicalBore.js"),
+      import("../src/Gcode.js") ])
+    .then(mods => {
+      CutPaths = mods[0].CutPaths;
+      HelicalBore = mods[1].HelicalBore;
+      Gcode = mods[2];
+    });
+  });
+
+  const params = {
+    cutterDiameter: 200,
+    cutDepth: 1000,
+    passDepth: 250,
+    holeDiameter: 0,
+    climb: false
+  };
+
+  // A closed circle of radius r, centred on (x, y)
+  function circle(x, y, r, n = 32) {
+    const path = [];
+    for (let i = 0; i < n; i++) {
+      const a = 2 * Math.PI * i / n;
+      path.push({ X: x + r * Math.cos(a), Y: y + r * Math.sin(a) });
+    }
+    return path;
+  }
+
+  it("recognises circles", () => {
+    const gen = new HelicalBore();
+    const paths = new CutPaths([ circle(1000, 2000, 500) ], true);
+    const c = gen.circle(paths[0]);
+    assert.approximately(c.X, 1000, 1);
+    assert.approximately(c.Y, 2000, 1);
+    assert.approximately(c.R, 500, 10);
+    const square = new CutPaths([[
+      { X: 0, Y: 0 }, { X: 100, Y: 0 }, { X: 100, Y: 100 }, { X: 0, Y: 100 }
+    ]], true);
+    assert.isUndefined(gen.circle(square[0]));
+    const open = new CutPaths([ circle(0, 0, 500) ], false);
+    assert.isUndefined(gen.circle(open[0]));
+  });
+
+  it("bores a circle", () => {
+    const gen = new HelicalBore();
+    const paths = new CutPaths([ circle(1000, 2000, 500) ], true);
+    const result = gen.generateToolpaths(paths, params);
+    assert.equal(result.length, 1);
+    const path = result[0];
+    // Starts at the top, on the orbit
+    assert.equal(path[0].Z, 0);
+    // Orbit radius is the hole radius less the cutter radius
+    const bb = path.bbox3D();
+    assert.approximately(bb.maxX - bb.minX, 2 * 400, 20);
+    assert.equal(bb.minZ, -1000);
+    // Descends one pass depth per turn, a full turn at the bottom,
+    // then moves to the centre
+    let turns = 0, prev;
+    for (let i = 0; i < path.length - 1; i++) {
+      const pt = path[i];
+      const a = Math.atan2(pt.Y - 2000, pt.X - 1000);
+      if (prev !== undefined) {
+        let da = a - prev;
+        if (da < -Math.PI) da += 2 * Math.PI;
+        assert(da > 0, "anticlockwise");
+        turns += da / (2 * Math.PI);
+      }
+      prev = a;
+      assert.approximately(pt.Z, Math.max(-250 * turns, -1000), 1);
+    }
+    assert.approximately(turns, 5, 1e-6);
+    assert.deepEqual(path[path.length - 1],
+                     { X: 1000, Y: 2000, Z: -1000 });
+    // Preview is the hole
+    const preview = gen.generatePreviewGeometry(result, params);
+    assert.equal(preview.length, 1);
+    assert.approximately(preview.bbox3D().maxX, 1500, 1);
+  });
+
+  it("climb goes clockwise", () => {
+    const gen = new HelicalBore();
+    const paths = new CutPaths([ circle(0, 0, 500) ], true);
+    const path = gen.generateToolpaths(
+      paths, { ...params, climb: true })[0];
+    const a0 = Math.atan2(path[0].Y, path[0].X);
+    const a1 = Math.atan2(path[1].Y, path[1].X);
+    assert(a1 < a0);
+  });
+
+  it("bores holes at vertices", () => {
+    const gen = new HelicalBore();
+    const paths = new CutPaths([[
+      { X: 0, Y: 0 }, { X: 1000, Y: 0 }, { X: 1000, Y: 1000 }
+    ]], false);
+    assert.equal(gen.generateToolpaths(paths, params).length, 0);
+    const result = gen.generateToolpaths(
+      paths, { ...params, holeDiameter: 600 });
+    assert.equal(result.length, 3);
+    const bb = result[1].bbox3D();
+    assert.approximately(bb.maxX, 1200, 1);
+    assert.approximately(bb.minX, 800, 1);
+  });
+
+  it("bores big holes with helical arcs", () => {
+    // A 20mm hole with a 6mm cutter, in "integer" units
+    const gen = new HelicalBore();
+    const paths = new CutPaths([ circle(0, 0, 1000000, 64) ], true);
+    const result = gen.generateToolpaths(paths, {
+      ...params, cutterDiameter: 600000, cutDepth: 500000,
+      passDepth: 200000 });
+    const job = new Gcode.Generator({
+      gunits: "mm",
+      xScale: 1e-5, yScale: 1e-5, zScale: 1e-5,
+      xOffset: 0, yOffset: 0,
+      topZ: 0, botZ: -5, safeZ: 5,
+      plungeRate: 50, retractRate: 200, rapidRate: 1000, returnHome: false,
+      workWidth: 20, workHeight: 20,
+      arcFitting: "IJ"
+    });
+    job.addOperation({
+      name: "Bore", cutType: "HelicalBore", paths: result,
+      cutRate: 100, passDepth: 2, precalculatedZ: true,
+      entry: "Plunge", rpm: 10000, direction: "Conventional"
+    });
+    const gcode = job.end();
+    const arcs = gcode.filter(line => /^G[23] /.test(line));
+    assert(arcs.length > 0);
+    // The helix and the finishing circle are all arcs
+    assert(gcode.filter(line => /^G1 /.test(line)).length < 5);
+    // and go down in Z
+    assert(arcs.find(line => /Z-/.test(line)));
+  });
+
+  it("plunges holes no bigger than the cutter", () => {
+    const gen = new HelicalBore();
+    const paths = new CutPaths([ circle(0, 0, 100) ], true);
+    const result = gen.generateToolpaths(paths, params);
+    assert.equal(result.length, 1);
+    assert.equal(result[0].length, 2);
+    assert.equal(result[0][1].Z, -1000);
+  });
+});
@@ -206,4 +206,99 @@ describe("Holding tabs", () => {
       ]
     ], false));
   });
+
+  it("splits leads along with the path", () => {
+    const path = new CutPath([
+      { X:   0, Y:   0 },
+      { X: 100, Y:   0 },
+      { X: 100, Y: 100 },
+      { X:   0, Y: 100 }
+    ], true);
+    path.leadIn = new CutPath([ { X: 0, Y: -20 } ], false);
+    path.leadOut = new CutPath([ { X: -20, Y: 0 } ], false);
+    const tabs = new CutPaths([
+      [
+        {X: 110, Y: 40},
+        {X: 110, Y: 60},
+        {X:  90, Y: 60},
+        {X:  90, Y: 40}
+      ]
+    ], true);
+    const ps = HoldingTabs.splitPathOverTabs(path, tabs, -2, -1);
+    assert.deepEqual(ps, new CutPaths([
+      [
+        { X: 0, Y: -20, Z: -2 },
+        { X: 0, Y: 0, Z: -2 },
+        { X: 100, Y: 0, Z: -2 },
+        { X: 100, Y: 40, Z: -2 },
+        { X: 100, Y: 40, Z: -1 },
+        { X: 100, Y: 60, Z: -1 },
+        { X: 100, Y: 60, Z: -2 },
+        { X: 100, Y: 100, Z: -2 },
+        { X: 0, Y: 100, Z: -2 },
+        { X: 0, Y: 0, Z: -2 },
+        { X: -20, Y: 0, Z: -2 }
+      ]
+    ], false));
+  });
+
+  // The tool path for cutting outside a 1000x400 rectangle with a
+  // cutter of diameter 100
+  const profile = () => new CutPath([
+    { X: 1050, Y: -50 }, { X: -50, Y: -50 },
+    { X: -50, Y: 450 }, { X: 1050, Y: 450 }
+  ], true);
+
+  // Centre of a tab
+  const centre = tab => ({
+    X: tab.reduce((x, p) => x + p.X, 0) / tab.length,
+    Y: tab.reduce((y, p) => y + p.Y, 0) / tab.length });
+
+  it("places tabs evenly", () => {
+    const tabs = HoldingTabs.placeTabs(profile(), {
+      count: 4, length: 50, cutterDiameter: 100, avoidCorners: false });
+    assert.equal(tabs.length, 4);
+    // The perimeter is 3200, so they are 800 apart, starting 400 in
+    assert.deepEqual(tabs.map(centre), [
+      { X: 650, Y: -50 }, { X: -50, Y: 50 },
+      { X: 350, Y: 450 }, { X: 1050, Y: 350 } ]);
+    // Across the path, and as long as the tab
+    assert.deepEqual(tabs[0].map(p => [ p.X, p.Y ]), [
+      [ 675, 0 ], [ 625, 0 ], [ 625, -100 ], [ 675, -100 ] ]);
+  });
+
+  it("places tabs by spacing", () => {
+    const tabs = HoldingTabs.placeTabs(profile(), {
+      spacing: 1000, length: 50, cutterDiameter: 100, avoidCorners: false });
+    assert.equal(tabs.length, 3);
+    for (const tab of tabs)
+      assert(tab.isClosed);
+  });
+
+  it("keeps tabs off corners", () => {
+    // The cutter would be turning the corner while cutting round
+    // two of the tabs
+    const params = { count: 4, length: 150, cutterDiameter: 100 };
+    const on = HoldingTabs.placeTabs(
+      profile(), { ...params, avoidCorners: false });
+    assert.deepEqual(centre(on[1]), { X: -50, Y: 50 });
+    const off = HoldingTabs.placeTabs(
+      profile(), { ...params, avoidCorners: true });
+    assert.equal(off.length, 4);
+    assert.deepEqual(centre(off[0]), centre(on[0]));
+    const corners = profile();
+    for (const tab of off) {
+      const c = centre(tab);
+      for (const corner of corners)
+        assert(Math.hypot(c.X - corner.X, c.Y - corner.Y) > 125,
+               JSON.stringify(c));
+    }
+  });
+
+  it("doesn't overlap tabs", () => {
+    const tabs = HoldingTabs.placeTabs(profile(), {
+      count: 100, length: 50, cutterDiameter: 100, avoidCorners: false });
+    // Each needs 150
+    assert.equal(tabs.length, 21);
+  });
 });
@@ -0,0 +1,118 @@
+/* global describe, it, assert */
+
+import ClipperLib from "clipper-lib";
+global.ClipperLib = ClipperLib;
+ClipperLib.use_xyz = true;
+
+import { UNit } from "./TestSupport.js";
+
+let CutPaths, Inlay;
+
+describe("Inlay", () => {
+
+  // CutPath depends on ClipperLib
+  before(() => {
+    return Promise.all([
+      import("../src/CutPaths.js"),
+      import("../src/Inlay.js") ])
+    .then(mods => {
+      CutPaths = mods[0].CutPaths;
+      Inlay = mods[1].Inlay;
+    });
+  });
+
+  // 4mm square
+  const square = () => new CutPaths([[
+    { X:      0, Y:      0 },
+    { X: 400000, Y:      0 },
+    { X: 400000, Y: 400000 },
+    { X:      0, Y: 400000 }
+  ]], true);
+
+  // 90 degree V cutter, so walls are offset by the same as the depth
+  const params = {
+    cutterDiameter: 200000,
+    cutterAngle: Math.PI / 4,
+    cutDepth: 50000,
+    passDepth: 0,
+    inlayStartDepth: 30000,
+    inlayGlueGap: 10000,
+    clearDiameter: 0,
+    clearPassDepth: 0,
+    joinType: ClipperLib.JoinType.jtMiter,
+    mitreLimit: 2
+  };
+
+  // Signed distance of a point outside the square, -ve inside
+  function outside(pt) {
+    const dx = Math.max(-pt.X, pt.X - 400000);
+    const dy = Math.max(-pt.Y, pt.Y - 400000);
+    if (dx > 0 && dy > 0)
+      return Math.hypot(dx, dy);
+    return Math.max(dx, dy);
+  }
+
+  it("carves the pocket", () => {
+    const op = new Inlay();
+    assert(op.generatesZ);
+    const result = op.generateToolpaths(square(), params);
+    const bb = result.bbox3D();
+    assert.equal(bb.minZ, -50000);
+    assert.equal(bb.maxZ, 0);
+    // All inside the square
+    for (const path of result)
+      for (const pt of path)
+        assert(outside(pt) <= 0, JSON.stringify(pt));
+  });
+
+  it("carves a matching plug", () => {
+    const op = new Inlay();
+    op.generateToolpaths(square(), params);
+    const plug = op.plugPaths;
+    assert(plug.length > 0);
+    // The plug is deeper than the pocket by the start depth, less
+    // the glue gap
+    assert.equal(plug.bbox3D().minZ, -70000);
+
+    // The top of the plug is the pocket, less the glue gap, so the
+    // walls of the plug at depth d are (d - 40000) outside the
+    // square. The cutter must never cut into them.
+    // Check the middle of each edge too, as the cutter may go
+    // straight past the walls
+    const pts = [];
+    for (const path of plug)
+      for (let i = 0; i < path.length; i++) {
+        const a = path[i], b = path[i + 1] ?? a;
+        pts.push(a, { X: (a.X + b.X) / 2, Y: (a.Y + b.Y) / 2,
+                      Z: (a.Z + b.Z) / 2 });
+      }
+    let wall = false;
+    for (const pt of pts) {
+      const s = outside(pt);
+      assert(s >= -pt.Z - 40000 - 1500, JSON.stringify(pt));
+      if (pt.Z === -70000 && Math.abs(s - 30000) < 1500)
+        wall = true;
+    }
+    // and at the bottom, the wall is cut out to the start depth
+    assert(wall);
+  });
+
+  it("leaves the top of the plug", () => {
+    const op = new Inlay();
+    const waste = op.plugWaste(square(), params);
+    // Hole in the waste is the square inset by the pocket depth
+    // less the glue gap
+    const area = Math.abs(waste.reduce(
+      (a, p) => a + ClipperLib.Clipper.Area(p), 0));
+    const blank = 400000 + 2 * (30000 + 200000);
+    assert.approximately(area, blank * blank - 320000 * 320000, 1e6);
+  });
+
+  it("clears flat areas", () => {
+    const op = new Inlay();
+    op.generateToolpaths(square(), { ...params, clearDiameter: 50000 });
+    assert(op.clearingPaths.length > 0);
+    assert(op.plugClearingPaths.length > 0);
+    assert.equal(op.plugClearingPaths.bbox3D().minZ, -70000);
+  });
+});
@@ -0,0 +1,111 @@
+/* global describe, it, assert */
+
+import ClipperLib from "clipper-lib";
+global.ClipperLib = ClipperLib;
+ClipperLib.use_xyz = true;
+
+import { UNit } from "./TestSupport.js";
+
+let CutPaths, Engrave;
+
+describe("Leads", () => {
+
+  // CutPath depends on ClipperLib
+  before(() => {
+    return Promise.all([
+      import("../src/CutPaths.js"),
+      import("../src/Engrave.js") ])
+    .then(mods => {
+      CutPaths = mods[0].CutPaths;
+      Engrave = mods[1].Engrave;
+    });
+  });
+
+  const params = {
+    cutterDiameter: 100,
+    overlap: 0.5,
+    climb: false,
+    margin: 0,
+    width: 0,
+    offset: "Outside",
+    joinType: ClipperLib.JoinType.jtMiter,
+    mitreLimit: 2,
+    leadType: "Tangent",
+    leadLength: 200
+  };
+
+  const rect = () => new CutPaths([[
+    { X: 0, Y: 0 }, { X: 1000, Y: 0 }, { X: 1000, Y: 400 }, { X: 0, Y: 400 }
+  ]], true);
+
+  const xy = path => path.map(p => [ p.X, p.Y ]);
+
+  it("adds tangent leads outside", () => {
+    const result = new Engrave().generateToolpaths(rect(), params);
+    assert.equal(result.length, 1);
+    const path = result[0];
+    assert.deepEqual(xy(path), [ [ 1050, -50 ], [ -50, -50 ],
+                                 [ -50, 450 ], [ 1050, 450 ] ]);
+    // Along the first edge to the start, and on along the last edge
+    assert.deepEqual(xy(path.leadIn), [ [ 1250, -50 ] ]);
+    assert.deepEqual(xy(path.leadOut), [ [ 1050, -250 ] ]);
+    assert.deepEqual(xy(path.withLeads()), [
+      [ 1250, -50 ], [ 1050, -50 ], [ -50, -50 ], [ -50, 450 ],
+      [ 1050, 450 ], [ 1050, -50 ], [ 1050, -250 ] ]);
+  });
+
+  it("adds perpendicular leads outside", () => {
+    const result = new Engrave().generateToolpaths(
+      rect(), { ...params, leadType: "Perpendicular" });
+    const path = result[0];
+    assert.deepEqual(xy(path.leadIn), [ [ 1050, -250 ] ]);
+    assert.deepEqual(xy(path.leadOut), [ [ 1250, -50 ] ]);
+  });
+
+  it("adds arc leads outside", () => {
+    const result = new Engrave().generateToolpaths(
+      rect(), { ...params, leadType: "Arc" });
+    const path = result[0];
+    // Quarter circles of radius 200, joining the path tangentially
+    assert.deepEqual(xy(path.leadIn)[0], [ 1250, -250 ]);
+    for (const pt of path.leadIn)
+      assert.closeTo(Math.hypot(pt.X - 1050, pt.Y + 250), 200, 1);
+    // Coming in along the first edge, in -X
+    const last = path.leadIn[path.leadIn.length - 1];
+    assert.deepEqual([ last.X, last.Y ], [ 1089, -54 ]);
+    // Going out along the last edge, in -Y
+    assert.deepEqual(xy(path.leadOut)[0], [ 1054, -89 ]);
+    assert.deepEqual(xy(path.leadOut).pop(), [ 1250, -250 ]);
+    for (const pt of path.leadOut)
+      assert.closeTo(Math.hypot(pt.X - 1250, pt.Y + 50), 200, 1);
+  });
+
+  it("adds leads inside, where they fit", () => {
+    // The rect is too small inside for an arc of radius 100 at the
+    // corner, so perpendicular leads are used
+    const result = new Engrave().generateToolpaths(
+      rect(), { ...params, offset: "Inside", leadType: "Arc",
+                leadLength: 100 });
+    const path = result[0];
+    assert.deepEqual(xy(path), [ [ 950, 50 ], [ 50, 50 ],
+                                 [ 50, 350 ], [ 950, 350 ] ]);
+    assert.deepEqual(xy(path.leadIn), [ [ 950, 150 ] ]);
+    assert.deepEqual(xy(path.leadOut), [ [ 850, 50 ] ]);
+
+    // No room at all
+    const none = new Engrave().generateToolpaths(
+      rect(), { ...params, offset: "Inside", leadLength: 400 });
+    assert.isUndefined(none[0].leadIn);
+    assert.isUndefined(none[0].leadOut);
+  });
+
+  it("doesn't add leads on the path", () => {
+    const result = new Engrave().generateToolpaths(
+      rect(), { ...params, offset: "On" });
+    assert.isUndefined(result[0].leadIn);
+    assert.deepEqual(
+      result,
+      new Engrave().generateToolpaths(
+        rect(), { ...params, offset: "On", leadType: "None" }));
+  });
+});
@@ -0,0 +1,47 @@
+/* global describe, it, assert */
+
+import { UNit } from "./TestSupport.js";
+
+let PostProcessor;
+
+describe("PostProcessor", () => {
+  before(() => {
+    return import("../src/PostProcessor.js")
+    .then(mod => PostProcessor = mod.PostProcessor);
+  });
+
+  it("has the standard dialects", () => {
+    assert.deepEqual(PostProcessor.names().sort(), [
+      "GRBL", "LinuxCNC", "Mach3", "Marlin", "Smoothieware" ]);
+    assert.equal(new PostProcessor().name, "LinuxCNC");
+  });
+
+  it("keeps the default precision", () => {
+    const pp = new PostProcessor();
+    assert.equal(pp.decimal("mm"), 2);
+    assert.equal(pp.decimal("inch"), 2);
+  });
+
+  it("formats numbers", () => {
+    const pp = new PostProcessor("LinuxCNC");
+    assert.equal(pp.number(1.5, 3), "1.5");
+    assert.equal(pp.number(2, 3), "2");
+    assert.equal(pp.number(10, 0), "10");
+    assert.equal(pp.number(-0.0001, 3), "0");
+    assert.equal(pp.number(-1.23456, 3), "-1.235");
+  });
+
+  it("pads numbers", () => {
+    const pp = new PostProcessor("Mach3");
+    assert.equal(pp.number(1.5, 4), "1.5000");
+    assert.equal(pp.number(-0.00001, 4), "0.0000");
+    assert.equal(pp.number(-2, 2), "-2.00");
+  });
+
+  it("formats comments", () => {
+    assert.equal(new PostProcessor("Marlin").comment("Hello (world)"),
+                 "; Hello (world)");
+    assert.equal(new PostProcessor("GRBL").comment("Hello (world)"),
+                 "(Hello world)");
+  });
+});
@@ -120,4 +120,71 @@ describe("Pocket", () => {
         ], false)
       ]));
   });
+
+  const square = () => new CutPaths([[
+    { X: 0, Y: 0 }, { X: 100, Y: 0 }, { X: 100, Y: 100 }, { X: 0, Y: 100 }
+  ]], true);
+
+  const rasterParams = {
+    cutterDiameter: 10,
+    cutterAngle: 90,
+    cutDepth: 3,
+    passDepth: 3,
+    topZ: 0,
+    overlap: 0.5,
+    climb: false,
+    joinType: 0,
+    mitreLimit: 2,
+    margin: 0,
+    strategy: "Raster",
+    rasterAngle: Math.PI / 4
+  };
+
+  // Get the directions of the raster edges, ignoring short links
+  function directions(path) {
+    const dirs = [];
+    for (let i = 1; i < path.length; i++) {
+      const dx = path[i].X - path[i - 1].X, dy = path[i].Y - path[i - 1].Y;
+      if (Math.hypot(dx, dy) > 10)
+        dirs.push(Math.atan2(dy, dx));
+    }
+    return dirs;
+  }
+
+  it("angled raster pocket", () => {
+    const result = new Pocket().generateToolpaths(square(), rasterParams);
+    assert.equal(result.length, 2);
+    // Outline first
+    assert(result[0].isClosed);
+    const bb = result.bbox3D();
+    assert(bb.minX >= 5 - 1e-6 && bb.maxX <= 95 + 1e-6);
+    assert(bb.minY >= 5 - 1e-6 && bb.maxY <= 95 + 1e-6);
+    // Rasters are at 45 degrees, back and forth
+    const dirs = directions(result[1]);
+    assert(dirs.length > 4);
+    for (const dir of dirs)
+      assert.almost(Math.abs(Math.cos(dir)), Math.SQRT1_2, 1e-6);
+    assert.almost(Math.abs(dirs[0] - dirs[1]), Math.PI, 1e-6);
+  });
+
+  it("one way rasters", () => {
+    const result = new Pocket().generateToolpaths(
+      square(), { ...rasterParams, strategy: "XRaster", zigZag: false });
+    assert(result.length > 4);
+    // A path for each raster, all in the same direction
+    for (let i = 1; i < result.length; i++) {
+      const raster = result[i], last = raster[raster.length - 1];
+      assert(last.X > raster[0].X);
+      for (const pt of raster)
+        assert.equal(pt.Y, raster[0].Y);
+    }
+  });
+
+  it("cross hatched rasters", () => {
+    const result = new Pocket().generateToolpaths(
+      square(), { ...rasterParams, crossHatch: true });
+    assert.equal(result.length, 3);
+    const a = directions(result[1]), b = directions(result[2]);
+    assert.almost(Math.cos(a[0] - b[0]), 0, 1e-6);
+  });
 });
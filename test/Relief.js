@@ -0,0 +1,152 @@
+/* global describe, it, assert */
+
+import ClipperLib from "clipper-lib";
+global.ClipperLib = ClipperLib;
+ClipperLib.use_xyz = true;
+
+import { UNit } from "./TestSupport.js";
+
+let CutPaths, HeightMap, Relief;
+
+describe("Relief", () => {
+
+  before(() => {
+    return Promise.all([
+      import("../src/CutPaths.js"),
+      import("../src/HeightMap.js"),
+      import("../src/Relief.js") ])
+    .then(mods => {
+      CutPaths = mods[0].CutPaths;
+      HeightMap = mods[1].HeightMap;
+      Relief = mods[2].Relief;
+    });
+  });
+
+  // Image that is a ramp from black on the left to white on the right
+  function ramp(w) {
+    const data = new Uint8ClampedArray(w * 4);
+    for (let i = 0; i < w; i++) {
+      const v = Math.round(255 * i / (w - 1));
+      data.set([ v, v, v, 255 ], 4 * i);
+    }
+    return { width: w, height: 1, data: data };
+  }
+
+  const square = () => new CutPaths([[
+    { X: 0, Y: 0 }, { X: 1000, Y: 0 },
+    { X: 1000, Y: 1000 }, { X: 0, Y: 1000 }
+  ]], true);
+
+  const params = () => {
+    return {
+      heightMaps: [ new HeightMap(
+        ramp(11), { x: 0, y: 0, width: 1000, height: 1000 }) ],
+      cutterDiameter: 100,
+      cutterAngle: Math.PI / 4,
+      reliefTool: "Ball",
+      reliefInvert: false,
+      cutDepth: 200,
+      passDepth: 0,
+      overlap: 0.5,
+      reliefFinishStepOver: 0.1,
+      reliefAllowance: 20
+    };
+  };
+
+  // A row of the finishing pass, away from the edges; the finishing
+  // pass is last
+  const middle = result => result.slice().reverse()
+        .find(path => path[0].Y === 500);
+
+  it("needs height maps", () => {
+    assert.equal(Relief.worksOnPaths(), "CLOSED");
+    const result = new Relief().generateToolpaths(
+      square(), { ...params(), heightMaps: [] });
+    assert.equal(result.length, 0);
+  });
+
+  it("maps brightness to depth", () => {
+    const result = new Relief().generateToolpaths(square(), params());
+    const bb = result.bbox3D();
+    // Stays inside the region
+    assert(bb.minX >= 0 && bb.maxX <= 1000, JSON.stringify(bb));
+    assert(bb.minY >= 0 && bb.maxY <= 1000, JSON.stringify(bb));
+    assert(bb.maxZ <= 0, JSON.stringify(bb));
+    assert(bb.minZ >= -200, JSON.stringify(bb));
+    // Deeper on the left, where the image is black. The ball touches
+    // the slope a little above its tip.
+    const map = params().heightMaps[0];
+    const row = middle(result);
+    for (const pt of row)
+      if (pt.X >= 100 && pt.X <= 900)
+        assert.closeTo(pt.Z, -(1 - map.brightness(pt.X, 500)) * 200, 3,
+                       `${pt.X}`);
+    const left = row.find(p => p.X === 200), right = row.find(p => p.X === 800);
+    assert(left.Z < right.Z - 100, `${left.Z} ${right.Z}`);
+  });
+
+  it("inverts", () => {
+    const result = new Relief().generateToolpaths(
+      square(), { ...params(), reliefInvert: true });
+    const map = params().heightMaps[0];
+    const row = middle(result);
+    for (const pt of row)
+      if (pt.X >= 100 && pt.X <= 900)
+        assert.closeTo(pt.Z, -map.brightness(pt.X, 500) * 200, 3, `${pt.X}`);
+  });
+
+  it("doesn't gouge the surface", () => {
+    const p = params();
+    const relief = new Relief();
+    const result = relief.generateToolpaths(square(), p);
+    const map = p.heightMaps[0];
+    for (const path of result) {
+      for (const pt of path) {
+        // Check the surface under the ball
+        for (let dx = -50; dx <= 50; dx += 10) {
+          const x = pt.X + dx;
+          if (x < 0 || x > 1000)
+            continue;
+          const surface = -(1 - map.brightness(x, pt.Y)) * 200;
+          const cutter = pt.Z + relief.cutterProfile(Math.abs(dx), p);
+          assert(cutter >= surface - 2, `${pt.X},${pt.Y},${pt.Z} ${dx}`);
+        }
+      }
+    }
+  });
+
+  it("roughs in levels, leaving the allowance", () => {
+    const p = { ...params(), passDepth: 100 };
+    const result = new Relief().generateToolpaths(square(), p);
+    const finished = new Relief().generateToolpaths(
+      square(), { ...p, passDepth: 0, reliefAllowance: 0 });
+    const zs = new Set();
+    for (const path of result)
+      for (const pt of path)
+        zs.add(pt.Z);
+    assert(zs.has(-100), "First level");
+    // Rough points are never below the finish plus the allowance
+    const finish = new Map();
+    const last = finished.slice(-11);
+    for (const path of last)
+      for (const pt of path)
+        finish.set(`${pt.X},${pt.Y}`, pt.Z);
+    for (const path of result.slice(0, result.length - 11))
+      for (const pt of path) {
+        const f = finish.get(`${pt.X},${pt.Y}`);
+        if (typeof f === "number")
+          assert(pt.Z >= f + 20 - 1, `${pt.X},${pt.Y} ${pt.Z} ${f}`);
+      }
+  });
+
+  it("only carves inside the closed paths", () => {
+    const triangle = new CutPaths([[
+      { X: 0, Y: 0 }, { X: 1000, Y: 0 }, { X: 0, Y: 1000 }
+    ]], true);
+    const result = new Relief().generateToolpaths(triangle, params());
+    assert(result.length > 0);
+    for (const path of result)
+      for (const pt of path)
+        assert(pt.X + pt.Y <= 1000, `${pt.X},${pt.Y}`);
+  });
+});
@@ -0,0 +1,92 @@
+/* global describe, it, assert */
+
+import ClipperLib from "clipper-lib";
+global.ClipperLib = ClipperLib;
+ClipperLib.use_xyz = true;
+
+import { UNit } from "./TestSupport.js";
+import { UnitConverter } from "../src/UnitConverter.js";
+
+let CutPaths, Pocket, Engrave;
+
+describe("Rest Machining", () => {
+
+  // CutPath depends on ClipperLib
+  before(() => {
+    return Promise.all([
+      import("../src/CutPaths.js"),
+      import("../src/Pocket.js"),
+      import("../src/Engrave.js") ])
+    .then(mods => {
+      CutPaths = mods[0].CutPaths;
+      Pocket = mods[1].Pocket;
+      Engrave = mods[2].Engrave;
+    });
+  });
+
+  const params = {
+    cutterAngle: 0,
+    overlap: 0.5,
+    climb: false,
+    cutDepth: 4,
+    passDepth: 4,
+    topZ: 0,
+    margin: 0,
+    width: 0,
+    offset: "Inside",
+    joinType: 0,
+    mitreLimit: 2,
+    strategy: "Annular"
+  };
+
+  // 1mm in "integer" units
+  const mm = UnitConverter.from.mm.to.integer;
+
+  const square = () => new CutPaths([[
+    { X: 0, Y: 0 }, { X: 10 * mm, Y: 0 },
+    { X: 10 * mm, Y: 10 * mm }, { X: 0, Y: 10 * mm }
+  ]], true);
+
+  const corners = [
+    { X: 0, Y: 0 }, { X: 10 * mm, Y: 0 },
+    { X: 10 * mm, Y: 10 * mm }, { X: 0, Y: 10 * mm }
+  ];
+
+  // Distance (along the axes) to the nearest corner of the square
+  function cornerDist(pt) {
+    return Math.min(...corners.map(
+      c => Math.max(Math.abs(pt.X - c.X), Math.abs(pt.Y - c.Y))));
+  }
+
+  it("only cuts the corners of a pocket", () => {
+    const rough = new Pocket().generateToolpaths(
+      square(), { ...params, cutterDiameter: 4 * mm });
+    const gen = new Pocket();
+    const fine = { ...params, cutterDiameter: 1 * mm };
+    const full = gen.generateToolpaths(square(), fine);
+    const rest = gen.restToolpaths(full, {
+      ...fine, restPaths: rough, restDiameter: 4 * mm });
+    assert(rest.length > 0);
+    for (const path of rest) {
+      assert(!path.isClosed);
+      for (const pt of path)
+        assert(cornerDist(pt) <= 2.6 * mm, JSON.stringify(pt));
+    }
+    // All four corners are cleaned up
+    for (const c of corners)
+      assert(rest.find(path => path.find(
+        pt => Math.max(Math.abs(pt.X - c.X), Math.abs(pt.Y - c.Y)) < 1 * mm)),
+             JSON.stringify(c));
+  });
+
+  it("cuts nothing if the previous tool reached everything", () => {
+    const gen = new Engrave();
+    const fine = { ...params, cutterDiameter: 1 * mm };
+    const full = gen.generateToolpaths(square(), { ...fine });
+    const rough = new Pocket().generateToolpaths(
+      square(), { ...params, cutterDiameter: 1 * mm });
+    const rest = gen.restToolpaths(full, {
+      ...fine, restPaths: rough, restDiameter: 1 * mm });
+    assert.equal(rest.length, 0);
+  });
+});
@@ -0,0 +1,110 @@
+/* global describe, it, assert */
+
+import ClipperLib from "clipper-lib";
+global.ClipperLib = ClipperLib;
+ClipperLib.use_xyz = true;
+
+import { UNit } from "./TestSupport.js";
+
+let CutPaths, Pocket;
+
+describe("Spiral Pocket", () => {
+
+  // CutPath depends on ClipperLib
+  before(() => {
+    return Promise.all([
+      import("../src/CutPaths.js"),
+      import("../src/Pocket.js") ])
+    .then(mods => {
+      CutPaths = mods[0].CutPaths;
+      Pocket = mods[1].Pocket;
+    });
+  });
+
+  const params = {
+    cutterDiameter: 100,
+    cutterAngle: 0,
+    overlap: 0.5,
+    climb: false,
+    cutDepth: 4,
+    passDepth: 4,
+    topZ: 0,
+    margin: 0,
+    joinType: 0,
+    mitreLimit: 2,
+    strategy: "SpiralIn"
+  };
+
+  function square() {
+    return new CutPaths([[
+      { X: 0, Y: 0 }, { X: 1000, Y: 0 },
+      { X: 1000, Y: 1000 }, { X: 0, Y: 1000 }
+    ]], true);
+  }
+
+  function distToCentre(pt) {
+    return Math.hypot(pt.X - 500, pt.Y - 500);
+  }
+
+  it("single spiral from the outside in", () => {
+    const result = new Pocket().generateToolpaths(square(), params);
+    assert.equal(result.length, 1);
+    const spiral = result[0];
+    assert(!spiral.isClosed);
+    const bb = result.bbox3D();
+    assert(bb.minX >= 50 && bb.minY >= 50, JSON.stringify(bb));
+    assert(bb.maxX <= 950 && bb.maxY <= 950, JSON.stringify(bb));
+    // Starts on the wall, ends in the middle
+    assert(distToCentre(spiral[0]) > 400);
+    assert(distToCentre(spiral[spiral.length - 1]) < 100);
+    // Always moving inwards
+    const inset = pt => Math.max(Math.abs(pt.X - 500), Math.abs(pt.Y - 500));
+    for (let i = 1; i < spiral.length; i++)
+      assert(inset(spiral[i]) <= inset(spiral[i - 1]) + 1, `${i}`);
+  });
+
+  it("single spiral from the inside out", () => {
+    const inwards = new Pocket().generateToolpaths(square(), params);
+    const result = new Pocket().generateToolpaths(
+      square(), { ...params, strategy: "SpiralOut" });
+    assert.equal(result.length, 1);
+    const spiral = result[0];
+    assert(distToCentre(spiral[0]) < 100);
+    assert(distToCentre(spiral[spiral.length - 1]) > 400);
+    // Same direction of rotation around the pocket as spiralling in
+    const rot = path => Math.sign(ClipperLib.Clipper.Area(path.slice(-10)));
+    const rin = path => Math.sign(ClipperLib.Clipper.Area(path.slice(0, 10)));
+    assert.equal(rot(spiral), rin(inwards[0]));
+  });
+
+  it("climb reverses direction", () => {
+    const conv = new Pocket().generateToolpaths(square(), params);
+    const climb = new Pocket().generateToolpaths(
+      square(), { ...params, climb: true });
+    const area = path => ClipperLib.Clipper.Area(path.slice(0, 10));
+    assert(area(conv[0]) !== 0);
+    assert.equal(Math.sign(area(conv[0])), -Math.sign(area(climb[0])));
+  });
+
+  it("splits around islands", () => {
+    const pocket = new CutPaths([
+      [ { X: 0, Y: 0 }, { X: 1000, Y: 0 },
+        { X: 1000, Y: 600 }, { X: 0, Y: 600 } ],
+      [ { X: 400, Y: 200 }, { X: 400, Y: 400 },
+        { X: 600, Y: 400 }, { X: 600, Y: 200 } ]
+    ], true);
+    const result = new Pocket().generateToolpaths(pocket, params);
+    assert(result.length >= 2);
+    // The cutter never enters the island
+    for (const path of result)
+      for (const pt of path) {
+        const dx = Math.max(400 - pt.X, 0, pt.X - 600);
+        const dy = Math.max(200 - pt.Y, 0, pt.Y - 400);
+        assert(Math.hypot(dx, dy) >= 49, JSON.stringify(pt));
+      }
+    // Regions are split across the island, giving a region below it
+    // and a region above it
+    assert.equal(result[0].bbox3D().maxY, 300);
+    assert(result.find(p => p.bbox3D().minY === 300));
+  });
+});
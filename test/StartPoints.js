@@ -0,0 +1,89 @@
+/* global describe, it, assert */
+
+import ClipperLib from "clipper-lib";
+global.ClipperLib = ClipperLib;
+ClipperLib.use_xyz = true;
+
+import { UNit } from "./TestSupport.js";
+
+let CutPaths, Engrave;
+
+describe("Start points", () => {
+
+  // CutPath depends on ClipperLib
+  before(() => {
+    return Promise.all([
+      import("../src/CutPaths.js"),
+      import("../src/Engrave.js") ])
+    .then(mods => {
+      CutPaths = mods[0].CutPaths;
+      Engrave = mods[1].Engrave;
+    });
+  });
+
+  const params = {
+    cutterDiameter: 100,
+    overlap: 0.5,
+    climb: false,
+    margin: 0,
+    width: 0,
+    offset: "Outside",
+    joinType: ClipperLib.JoinType.jtMiter,
+    mitreLimit: 2
+  };
+
+  const rect = (x, y, w, h) => [
+    { X: x, Y: y }, { X: x + w, Y: y }, { X: x + w, Y: y + h }, { X: x, Y: y + h }
+  ];
+
+  const xy = path => path.map(p => [ p.X, p.Y ]);
+
+  it("starts as generated", () => {
+    const result = new Engrave().generateToolpaths(
+      new CutPaths([ rect(0, 0, 1000, 400) ], true), params);
+    assert.deepEqual(xy(result[0]), [ [ 1050, -50 ], [ -50, -50 ],
+                                      [ -50, 450 ], [ 1050, 450 ] ]);
+  });
+
+  it("starts at picked points", () => {
+    const geometry = new CutPaths(
+      [ rect(0, 0, 1000, 400), rect(2000, 0, 400, 400) ], true);
+    const result = new Engrave().generateToolpaths(geometry, {
+      ...params,
+      startPoints: [ { X: -40, Y: 440 }, { X: 2460, Y: 470 } ] });
+    assert.deepEqual(xy(result[0])[0], [ -50, 450 ]);
+    assert.deepEqual(xy(result[1])[0], [ 2450, 450 ]);
+    // The order of the vertices is the same
+    assert.deepEqual(xy(result[0]), [ [ -50, 450 ], [ 1050, 450 ],
+                                      [ 1050, -50 ], [ -50, -50 ] ]);
+  });
+
+  it("starts at the longest straight edge", () => {
+    const result = new Engrave().generateToolpaths(
+      new CutPaths([ rect(0, 0, 400, 1000) ], true),
+      { ...params, startRule: "LongestEdge" });
+    const path = result[0];
+    assert.equal(path[0].dist(path[1]), 1100);
+  });
+
+  it("starts nearest to the end of the previous path", () => {
+    const geometry = new CutPaths(
+      [ rect(0, 0, 1000, 400), rect(2000, 0, 400, 400) ], true);
+    const result = new Engrave().generateToolpaths(
+      geometry, { ...params, startRule: "Nearest",
+                  startPoints: [ { X: 1050, Y: 450 } ] });
+    assert.deepEqual(xy(result[0])[0], [ 1050, 450 ]);
+    assert.deepEqual(xy(result[1])[0], [ 1950, 450 ]);
+  });
+
+  it("adds leads at the start point", () => {
+    const result = new Engrave().generateToolpaths(
+      new CutPaths([ rect(0, 0, 1000, 400) ], true),
+      { ...params, leadType: "Perpendicular", leadLength: 200,
+        startPoints: [ { X: -50, Y: 450 } ] });
+    const path = result[0];
+    assert.deepEqual(xy(path)[0], [ -50, 450 ]);
+    assert.deepEqual(xy(path.leadIn), [ [ -50, 650 ] ]);
+    assert.deepEqual(xy(path.leadOut), [ [ -250, 450 ] ]);
+  });
+});
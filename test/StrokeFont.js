@@ -0,0 +1,97 @@
+/* global describe, it, before */
+/* global assert */
+
+import { promises as Fs } from "fs";
+import { setupDOM } from "./TestSupport.js";
+
+let StrokeFont;
+
+describe("StrokeFont", () => {
+
+  // A tiny font; "I" is a single stroke, "O" is a closed square
+  const FONT = `<?xml version="1.0" encoding="UTF-8" ?>
+<svg xmlns="http://www.w3.org/2000/svg">
+<defs>
+<font id="Tiny" horiz-adv-x="300">
+<font-face units-per-em="1000" ascent="800" descent="-200" cap-height="500"/>
+<missing-glyph horiz-adv-x="400"/>
+<glyph unicode=" " horiz-adv-x="200"/>
+<glyph unicode="H" horiz-adv-x="600" d="M 100 600 L 100 0 M 500 600 L 500 0 M 100 300 L 500 300"/>
+<glyph unicode="I" d="M 100 600 L 100 0"/>
+<glyph unicode="O" horiz-adv-x="500" d="M 0 0 L 400 0 L 400 600 L 0 600 Z"/>
+</font>
+</defs>
+</svg>`;
+
+  before(() => setupDOM("<html></html>")
+         .then(() => import("../src/StrokeFont.js"))
+         .then(mod => StrokeFont = mod.StrokeFont));
+
+  it("parses a font", () => {
+    const font = new StrokeFont(FONT);
+    assert.equal(font.name, "Tiny");
+    assert.equal(font.unitsPerEm, 1000);
+    assert.equal(font.ascent, 800);
+    assert.equal(font.descent, -200);
+    // Measured from "H", not taken from the font-face
+    assert.equal(font.capHeight, 600);
+    assert.equal(font.glyph("H").strokes.length, 3);
+    assert.equal(font.glyph("I").advance, 300);
+    assert.equal(font.glyph(" ").strokes.length, 0);
+    assert.equal(font.glyph("?").advance, 400);
+    assert.equal(font.width("HI ?", 6), (600 + 300 + 200 + 400) / 100);
+  });
+
+  it("lays out text at a height and position", () => {
+    const font = new StrokeFont(FONT);
+    const strokes = font.layout("II", { height: 6, x: 10, y: 20 });
+    assert.equal(strokes.length, 2);
+    // Y is flipped, the baseline is at y
+    assert.almost(strokes[0], [ { x: 11, y: 14 }, { x: 11, y: 20 } ]);
+    // Second I is one advance along
+    assert.almost(strokes[1], [ { x: 14, y: 14 }, { x: 14, y: 20 } ]);
+  });
+
+  it("closes strokes without leaving them closed paths", () => {
+    const font = new StrokeFont(FONT);
+    const strokes = font.layout("O", { height: 6, x: 0, y: 0 });
+    assert.equal(strokes.length, 1);
+    const s = strokes[0];
+    assert.equal(s.length, 5);
+    assert.almost(s[4], s[0]);
+  });
+
+  it("rotates text anticlockwise", () => {
+    const font = new StrokeFont(FONT);
+    const strokes = font.layout("I", { height: 6, x: 10, y: 20, rotation: 90 });
+    // The stroke goes up from the baseline, which is now leftwards on
+    // the screen, and the baseline runs up the screen
+    assert.almost(strokes[0], [ { x: 4, y: 19 }, { x: 10, y: 19 } ]);
+  });
+
+  it("lays out several lines", () => {
+    const font = new StrokeFont(FONT);
+    const strokes = font.layout("I\nI", { height: 6, x: 0, y: 0 });
+    assert.equal(strokes.length, 2);
+    // Line height is ascent - descent
+    assert.almost(strokes[1][1], { x: 1, y: 10 });
+  });
+
+  it("loads the bundled Hershey fonts", () => {
+    return Promise.all([ "HersheySans1", "HersheySerifMed", "HersheyScript1" ]
+    .map(name => Fs.readFile(`fonts/${name}.svg`)
+         .then(content => {
+           const font = new StrokeFont(content.toString());
+           assert.equal(font.name, name);
+           const strokes = font.layout("SVGcut", { height: 10, x: 0, y: 0 });
+           assert(strokes.length > 6, name);
+           const w = font.width("SVGcut", 10);
+           for (const stroke of strokes) {
+             for (const pt of stroke) {
+               assert(pt.y <= 5 && pt.y >= -11, `${name} ${JSON.stringify(pt)}`);
+               assert(pt.x >= -2 && pt.x <= w + 2, `${name} ${JSON.stringify(pt)}`);
+             }
+           }
+         })));
+  });
+});
@@ -0,0 +1,122 @@
+/* global describe, it, assert */
+
+import ClipperLib from "clipper-lib";
+global.ClipperLib = ClipperLib;
+ClipperLib.use_xyz = true;
+
+import { UNit } from "./TestSupport.js";
+
+let CutPaths, Surface;
+
+describe("Surface", () => {
+
+  before(() => {
+    return Promise.all([
+      import("../src/CutPaths.js"),
+      import("../src/Surface.js") ])
+    .then(mods => {
+      CutPaths = mods[0].CutPaths;
+      Surface = mods[1].Surface;
+    });
+  });
+
+  const params = {
+    cutterDiameter: 100,
+    overlap: 0.5,
+    cutDepth: 30,
+    passDepth: 0,
+    overhang: 0,
+    surfacePattern: "Raster"
+  };
+
+  const page = () => new CutPaths([[
+    { X: 0, Y: 0 }, { X: 1000, Y: 0 },
+    { X: 1000, Y: 600 }, { X: 0, Y: 600 }
+  ]], true);
+
+  // Is every point in the area within reach of the cutter?
+  function covered(result, minX, minY, maxX, maxY, r) {
+    for (let x = minX; x <= maxX; x += 25) {
+      for (let y = minY; y <= maxY; y += 25) {
+        let ok = false;
+        for (const path of result) {
+          for (let i = 1; i < path.length && !ok; i++) {
+            const a = path[i - 1], b = path[i];
+            const dx = b.X - a.X, dy = b.Y - a.Y;
+            const l2 = dx * dx + dy * dy;
+            const t = l2 > 0 ? Math.max(0, Math.min(
+              1, ((x - a.X) * dx + (y - a.Y) * dy) / l2)) : 0;
+            ok = Math.hypot(x - a.X - t * dx, y - a.Y - t * dy) <= r + 1;
+          }
+        }
+        if (!ok)
+          return `${x},${y}`;
+      }
+    }
+    return true;
+  }
+
+  it("doesn't need paths", () => {
+    assert.equal(Surface.worksOnPaths(), "NONE");
+    const result = new Surface().generateToolpaths(new CutPaths(), params);
+    assert.equal(result.length, 0);
+  });
+
+  it("rasters the area, finishing with a climb pass", () => {
+    const result = new Surface().generateToolpaths(page(), params);
+    assert.equal(result.length, 1);
+    const path = result[0];
+    const bb = result.bbox3D();
+    assert.deepEqual(bb, { minX: 50, minY: 50, minZ: -30,
+                           maxX: 950, maxY: 550, maxZ: -30 });
+    assert.equal(covered(result, 25, 25, 975, 575, 50), true);
+    // Rows are no more than the step over apart
+    for (let i = 2; i < path.length; i += 2)
+      assert(path[i].Y - path[i - 1].Y <= 50, `${i}`);
+    // Last row is along +X at the far edge; climb milling, as Y is
+    // mirrored in the Gcode
+    const a = path[path.length - 2], b = path[path.length - 1];
+    assert.equal(a.Y, 550);
+    assert.equal(b.Y, 550);
+    assert(b.X > a.X, JSON.stringify([ a, b ]));
+  });
+
+  it("extends the area by the overhang", () => {
+    const result = new Surface().generateToolpaths(
+      page(), { ...params, overhang: 50 });
+    const bb = result.bbox3D();
+    assert.equal(bb.minX, 0);
+    assert.equal(bb.minY, 0);
+    assert.equal(bb.maxX, 1000);
+    assert.equal(bb.maxY, 600);
+    // So the cutter starts clear of the area
+    const start = result[0][0];
+    assert(start.X <= 0 || start.Y <= 0, JSON.stringify(start));
+  });
+
+  it("spirals in, climb milling", () => {
+    const result = new Surface().generateToolpaths(
+      page(), { ...params, surfacePattern: "Spiral" });
+    assert.equal(result.length, 1);
+    assert.equal(covered(result, 25, 25, 975, 575, 50), true);
+    const path = result[0];
+    // Starts on the outside
+    assert.deepEqual({ X: path[0].X, Y: path[0].Y }, { X: 50, Y: 50 });
+    // Goes in the direction of increasing angle, which is clockwise
+    // in the Gcode
+    assert(ClipperLib.Clipper.Area(path.slice(0, 4)) > 0);
+    // Ends in the middle
+    const end = path[path.length - 1];
+    assert.equal(end.Y, 300);
+  });
+
+  it("cuts in passes", () => {
+    const result = new Surface().generateToolpaths(
+      page(), { ...params, passDepth: 12 });
+    assert.equal(result.length, 3);
+    assert.deepEqual(result.map(p => p[0].Z), [ -12, -24, -30 ]);
+    // Each pass starts in the same place
+    assert.deepEqual([ result[1][0].X, result[1][0].Y ],
+                     [ result[0][0].X, result[0][0].Y ]);
+  });
+});
@@ -0,0 +1,145 @@
+/* global describe, it, assert */
+
+import ClipperLib from "clipper-lib";
+global.ClipperLib = ClipperLib;
+ClipperLib.use_xyz = true;
+
+import { UNit } from "./TestSupport.js";
+
+let CutPaths, ThreadMill;
+
+describe("ThreadMill", () => {
+
+  // CutPath depends on ClipperLib
+  before(() => {
+    return Promise.all([
+      import("../src/CutPaths.js"),
+      import("../src/ThreadMill.js") ])
+    .then(mods => {
+      CutPaths = mods[0].CutPaths;
+      ThreadMill = mods[1].ThreadMill;
+    });
+  });
+
+  const params = {
+    cutterDiameter: 400,
+    cutDepth: 3000,
+    threadPitch: 1000,
+    threadDiameter: 6000,
+    threadType: "Internal",
+    threadHand: "Right",
+    climb: true
+  };
+
+  // A closed circle of radius r, centred on (x, y)
+  function circle(x, y, r, n = 32) {
+    const path = [];
+    for (let i = 0; i < n; i++) {
+      const a = 2 * Math.PI * i / n;
+      path.push({ X: x + r * Math.cos(a), Y: y + r * Math.sin(a) });
+    }
+    return path;
+  }
+
+  // Points on the helix, i.e. away from the centre
+  function helix(path, x, y) {
+    return path.filter(pt => Math.hypot(pt.X - x, pt.Y - y) > 1000);
+  }
+
+  // Total signed angle swept around (x, y)
+  function sweep(pts, x, y) {
+    let total = 0;
+    for (let i = 1; i < pts.length; i++) {
+      const a = Math.atan2(pts[i - 1].Y - y, pts[i - 1].X - x);
+      const b = Math.atan2(pts[i].Y - y, pts[i].X - x);
+      let d = b - a;
+      if (d > Math.PI) d -= 2 * Math.PI;
+      if (d < -Math.PI) d += 2 * Math.PI;
+      total += d;
+    }
+    return total;
+  }
+
+  it("mills an internal thread", () => {
+    const gen = new ThreadMill();
+    const paths = new CutPaths([ circle(1000, 2000, 2700) ], true);
+    const result = gen.generateToolpaths(paths, params);
+    assert.equal(result.length, 1);
+    const path = result[0];
+    // Starts and finishes at the centre of the hole, at the top
+    assert.deepEqual({ X: path[0].X, Y: path[0].Y, Z: path[0].Z },
+                     { X: 1000, Y: 2000, Z: 0 });
+    assert.equal(path[path.length - 1].Z, 0);
+    const pts = helix(path, 1000, 2000);
+    // Cuts out to the major diameter
+    for (const pt of pts)
+      assert.approximately(Math.hypot(pt.X - 1000, pt.Y - 2000), 2800, 2);
+    // Climb milling an internal right hand thread goes clockwise in
+    // "integer" coordinates, rising one pitch per turn
+    const turns = sweep(pts, 1000, 2000) / (2 * Math.PI);
+    assert.approximately(turns, -3, 0.01);
+    assert.equal(pts[0].Z, -3000);
+    assert.equal(pts[pts.length - 1].Z, 0);
+    for (let i = 1; i < pts.length; i++)
+      assert(pts[i].Z >= pts[i - 1].Z, JSON.stringify(pts[i]));
+  });
+
+  it("reverses for left hand and conventional", () => {
+    const gen = new ThreadMill();
+    const paths = new CutPaths([ circle(0, 0, 2700) ], true);
+
+    const left = helix(gen.generateToolpaths(
+      paths, { ...params, threadHand: "Left" })[0], 0, 0);
+    assert.approximately(sweep(left, 0, 0) / (2 * Math.PI), -3, 0.01);
+    assert.equal(left[0].Z, 0);
+    assert.equal(left[left.length - 1].Z, -3000);
+
+    const conv = helix(gen.generateToolpaths(
+      paths, { ...params, climb: false })[0], 0, 0);
+    assert.approximately(sweep(conv, 0, 0) / (2 * Math.PI), 3, 0.01);
+    assert.equal(conv[0].Z, 0);
+    assert.equal(conv[conv.length - 1].Z, -3000);
+  });
+
+  it("mills an external thread", () => {
+    const gen = new ThreadMill();
+    const paths = new CutPaths([ circle(0, 0, 3000) ], true);
+    const result = gen.generateToolpaths(
+      paths, { ...params, threadType: "External" });
+    const path = result[0];
+    // Starts and finishes clear of the boss
+    assert(Math.hypot(path[0].X, path[0].Y) > 3200,
+           JSON.stringify(path[0]));
+    assert(Math.hypot(path[path.length - 1].X, path[path.length - 1].Y) > 3200);
+    // Cuts in to the minor diameter
+    const minor = gen.minorDiameter(params);
+    const pts = path.filter(pt => Math.hypot(pt.X, pt.Y) < 3200);
+    for (const pt of pts)
+      assert.approximately(Math.hypot(pt.X, pt.Y), minor / 2 + 200, 2);
+    // Climb milling outside goes anticlockwise in "integer"
+    // coordinates, and a right hand thread then falls
+    assert.approximately(sweep(pts, 0, 0) / (2 * Math.PI), 3, 0.01);
+    assert.equal(pts[0].Z, 0);
+    assert.equal(pts[pts.length - 1].Z, -3000);
+  });
+
+  it("threads at vertices", () => {
+    const gen = new ThreadMill();
+    const paths = new CutPaths([[
+      { X: 0, Y: 0 }, { X: 10000, Y: 0 }, { X: 10000, Y: 10000 }
+    ]], false);
+    const result = gen.generateToolpaths(paths, params);
+    assert.equal(result.length, 3);
+    assert.deepEqual({ X: result[1][0].X, Y: result[1][0].Y },
+                     { X: 10000, Y: 0 });
+    // Preview is the major and minor diameters of each thread
+    assert.equal(gen.generatePreviewGeometry(result, params).length, 6);
+  });
+
+  it("ignores a zero pitch", () => {
+    const gen = new ThreadMill();
+    const paths = new CutPaths([ circle(0, 0, 2700) ], true);
+    assert.equal(gen.generateToolpaths(
+      paths, { ...params, threadPitch: 0 }).length, 0);
+  });
+});
@@ -0,0 +1,96 @@
+/* global describe, it, assert */
+
+import ClipperLib from "clipper-lib";
+global.ClipperLib = ClipperLib;
+ClipperLib.use_xyz = true;
+
+import { UNit } from "./TestSupport.js";
+
+let CutPaths, VCarve;
+
+describe("VCarve", () => {
+
+  // CutPath depends on ClipperLib
+  before(() => {
+    return Promise.all([
+      import("../src/CutPaths.js"),
+      import("../src/VCarve.js") ])
+    .then(mods => {
+      CutPaths = mods[0].CutPaths;
+      VCarve = mods[1].VCarve;
+    });
+  });
+
+  // 4mm x 1mm rectangle
+  const rect = () => new CutPaths([[
+    { X:      0, Y:      0 },
+    { X: 400000, Y:      0 },
+    { X: 400000, Y: 100000 },
+    { X:      0, Y: 100000 }
+  ]], true);
+
+  // 90 degree V cutter, so depth is the same as the inscribed radius
+  const params = {
+    cutterDiameter: 1000000,
+    cutterAngle: Math.PI / 4,
+    cutDepth: 1000000,
+    passDepth: 0,
+    clearDiameter: 0,
+    clearPassDepth: 0,
+    joinType: ClipperLib.JoinType.jtMiter,
+    mitreLimit: 2
+  };
+
+  it("follows the medial axis", () => {
+    const op = new VCarve();
+    assert(op.generatesZ);
+    const result = op.generateToolpaths(rect(), params);
+    const bb = result.bbox3D();
+    // Deepest along the middle, where the inscribed circle is biggest
+    assert.approximately(bb.minZ, -50000, 1000);
+    assert.equal(bb.maxZ, 0);
+    for (const path of result)
+      for (const pt of path) {
+        assert(pt.Z <= 0);
+        if (pt.Z < -49000)
+          assert.approximately(pt.Y, 50000, 1000);
+      }
+    // Branches run into the corners, so they are cut sharp
+    for (const corner of rect()[0])
+      assert(result.find(path => path.find(
+        pt => pt.X === corner.X && pt.Y === corner.Y && pt.Z === 0)));
+    assert.equal(op.clearingPaths.length, 0);
+  });
+
+  it("steps down in passes", () => {
+    const op = new VCarve();
+    const result = op.generateToolpaths(
+      rect(), Object.assign({}, params, { passDepth: 20000 }));
+    const levels = new Set();
+    for (const path of result)
+      levels.add(path.bbox3D().minZ);
+    // Each pass is no deeper than the pass depth below the last
+    assert(levels.has(-20000));
+    assert(levels.has(-40000));
+    assert.approximately(result.bbox3D().minZ, -50000, 1000);
+    assert.equal(result[0].bbox3D().minZ, -20000);
+  });
+
+  it("clears a flat bottom", () => {
+    const op = new VCarve();
+    const capped = Object.assign({}, params, {
+      cutDepth: 20000, clearDiameter: 10000, clearPassDepth: 100000 });
+    const result = op.generateToolpaths(rect(), capped);
+    assert.equal(result.bbox3D().minZ, -20000);
+    assert(op.clearingPaths.length > 0);
+    const bb = op.clearingPaths.bbox3D();
+    assert.equal(bb.minZ, -20000);
+    assert.equal(bb.maxZ, -20000);
+    // Clearing stays inside the edge of the flat area
+    assert(bb.minX >= 20000 + 5000 && bb.maxX <= 400000 - 20000 - 5000);
+    assert(bb.minY >= 20000 + 5000 && bb.maxY <= 100000 - 20000 - 5000);
+
+    // Preview is the shape being carved
+    assert.deepEqual(op.generatePreviewGeometry(result, capped), rect());
+  });
+});
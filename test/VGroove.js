@@ -0,0 +1,89 @@
+/* global describe, it, assert */
+
+import ClipperLib from "clipper-lib";
+global.ClipperLib = ClipperLib;
+ClipperLib.use_xyz = true;
+
+import { UNit } from "./TestSupport.js";
+
+let CutPaths, VGroove;
+
+describe("VGroove", () => {
+
+  // CutPath depends on ClipperLib
+  before(() => {
+    return Promise.all([
+      import("../src/CutPaths.js"),
+      import("../src/VGroove.js") ])
+    .then(mods => {
+      CutPaths = mods[0].CutPaths;
+      VGroove = mods[1].VGroove;
+    });
+  });
+
+  // 90 degree V cutter, so depth is half the width
+  const params = {
+    cutterDiameter: 1000,
+    cutterAngle: Math.PI / 4,
+    width: 600,
+    passDepth: 200,
+    climb: true
+  };
+
+  it("groove open", () => {
+    const path = new CutPaths([[
+      { X:    0, Y: 0 },
+      { X: 1000, Y: 0 }
+    ]], false);
+    const op = new VGroove();
+    assert(op.generatesZ);
+    const result = op.generateToolpaths(path, params);
+    assert.deepEqual(result, new CutPaths([[
+      { X:    0, Y: 0, Z: -200 },
+      { X: 1000, Y: 0, Z: -200 },
+      { X: 1000, Y: 0, Z: -300 },
+      { X:    0, Y: 0, Z: -300 }
+    ]], false));
+  });
+
+  it("groove closed", () => {
+    const path = new CutPaths([[
+      { X:   0, Y:   0 },
+      { X: 100, Y:   0 },
+      { X: 100, Y: 100 },
+      { X:   0, Y: 100 }
+    ]], true);
+    const op = new VGroove();
+    const result = op.generateToolpaths(
+      path, Object.assign({}, params, { climb: false }));
+    assert.deepEqual(result, new CutPaths([[
+      { X:   0, Y: 100, Z: -200 },
+      { X: 100, Y: 100, Z: -200 },
+      { X: 100, Y:   0, Z: -200 },
+      { X:   0, Y:   0, Z: -200 },
+      { X:   0, Y: 100, Z: -200 },
+      { X:   0, Y: 100, Z: -300 },
+      { X: 100, Y: 100, Z: -300 },
+      { X: 100, Y:   0, Z: -300 },
+      { X:   0, Y:   0, Z: -300 },
+      { X:   0, Y: 100, Z: -300 }
+    ]], false));
+  });
+
+  it("groove no wider than the cutter", () => {
+    const path = new CutPaths([[
+      { X:    0, Y: 0 },
+      { X: 1000, Y: 0 }
+    ]], false);
+    const op = new VGroove();
+    const wide = Object.assign({}, params, { width: 5000, passDepth: 0 });
+    const result = op.generateToolpaths(path, wide);
+    assert.equal(result.length, 1);
+    assert.equal(result[0].length, 2);
+    assert.equal(result[0][0].Z, -500);
+
+    // Preview is the width of the groove
+    const bb = op.generatePreviewGeometry(result, wide).bbox3D();
+    assert.equal(bb.maxY - bb.minY, 1000);
+  });
+});
@@ -113,6 +113,7 @@ function processHTML(entry) {
 
     copyFile("images", "dist/images");
     copyFile("glShaders", "dist/glShaders");
+    copyFile("fonts", "dist/fonts");
 
     return fs.writeFile(`${__dirname}/dist/${entry}.html`, content);
   });